@@ -0,0 +1,133 @@
+// api/admin/budgets.js - Manage per-case, per-user and per-organization cost budgets
+const { createClient } = require('@supabase/supabase-js');
+const caseProcessingWorker = require('../../services/case-processing.worker');
+const costMonitorService = require('../../services/costMonitor.service');
+const { verifyAdminAuth } = require('../../middleware/auth');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const SCOPE_COLUMNS = {
+  case: 'id',
+  user: 'user_id',
+  organization: 'organization_id'
+};
+
+// Requeue cases paused by a budget in this scope that now have room to continue
+async function resumePausedCases(scope, scopeId) {
+  const { data: pausedCases, error } = await supabase
+    .from('case_briefs')
+    .select('*')
+    .eq('processing_status', 'budget_exceeded')
+    .eq(SCOPE_COLUMNS[scope], scopeId);
+
+  if (error) {
+    throw new Error(`Failed to query paused cases: ${error.message}`);
+  }
+
+  const resumed = [];
+  const stillPaused = [];
+
+  for (const caseData of pausedCases || []) {
+    const withinBudget = await costMonitorService.isWithinBudget({
+      caseId: caseData.id,
+      userId: caseData.user_id,
+      organizationId: caseData.organization_id
+    });
+
+    if (!withinBudget) {
+      stillPaused.push(caseData.id);
+      continue;
+    }
+
+    await supabase
+      .from('case_briefs')
+      .update({
+        processing_status: 'queued',
+        last_ai_update: new Date().toISOString(),
+        processing_error: null
+      })
+      .eq('id', caseData.id);
+
+    const job = await caseProcessingWorker.addCaseToQueue(caseData.id, caseData.user_id, {
+      source: 'admin_budget_update',
+      trigger: 'budget_raised',
+      resume: true
+    });
+
+    console.log(`▶️ Resumed case ${caseData.id} after ${scope} budget update (job: ${job.id})`);
+    resumed.push({ caseId: caseData.id, jobId: job.id });
+  }
+
+  return { resumed, stillPaused };
+}
+
+async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Apply admin authentication middleware
+  await new Promise((resolve, reject) => {
+    verifyAdminAuth(req, res, (error) => {
+      if (error) return reject(error);
+      resolve();
+    });
+  });
+
+  try {
+    if (req.method === 'GET') {
+      const { scope, scopeId } = req.query;
+
+      let query = supabase
+        .from('cost_budgets')
+        .select('*')
+        .order('updated_at', { ascending: false });
+
+      if (scope) query = query.eq('scope', scope);
+      if (scopeId) query = query.eq('scope_id', scopeId);
+
+      const { data: budgets, error } = await query;
+      if (error) throw error;
+
+      const withSpend = await Promise.all((budgets || []).map(async budget => ({
+        ...budget,
+        spent_usd: await costMonitorService.getSpend(budget.scope, budget.scope_id, budget.period)
+      })));
+
+      return res.json({ success: true, budgets: withSpend });
+    }
+
+    const { scope, scopeId, limitUsd, period = 'total' } = req.body || {};
+
+    if (!SCOPE_COLUMNS[scope] || !scopeId || typeof limitUsd !== 'number' || limitUsd < 0) {
+      return res.status(400).json({
+        error: 'Invalid budget',
+        message: 'scope (case, user or organization), scopeId and a non-negative numeric limitUsd are required'
+      });
+    }
+
+    const budget = await costMonitorService.setBudget(scope, scopeId, limitUsd, period);
+    const { resumed, stillPaused } = await resumePausedCases(scope, scopeId);
+
+    res.json({
+      success: true,
+      budget,
+      resumedCases: resumed,
+      stillPausedCases: stillPaused
+    });
+
+  } catch (error) {
+    console.error('❌ Budget update failed:', error);
+
+    const isValidationError = error.message?.startsWith('Invalid budget');
+    res.status(isValidationError ? 400 : 500).json({
+      error: isValidationError ? 'Invalid budget' : 'Budget update failed',
+      details: error.message
+    });
+  }
+}
+
+module.exports = handler;
@@ -83,6 +83,7 @@ async function handler(req, res) {
         caseName: c.case_name,
         status: c.processing_status,
         lastUpdate: c.last_ai_update,
+        resume: !forceReprocess,
         action: 'would_process'
       }));
 
@@ -109,12 +110,14 @@ async function handler(req, res) {
           })
           .eq('id', caseData.id);
 
-        // Add to processing queue with high priority
+        // Add to processing queue with high priority. Stuck cases resume from their
+        // last checkpoint unless a full reprocess is forced.
         const job = await caseProcessingWorker.addCaseToQueue(caseData.id, caseData.user_id, {
           source: 'admin_bulk_process',
           trigger: 'stuck_case_recovery',
           priority: 3, // High priority
-          forced: true
+          forced: true,
+          resume: !forceReprocess
         });
 
         results.processed++;
@@ -123,6 +126,7 @@ async function handler(req, res) {
           caseName: caseData.case_name,
           jobId: job.id,
           status: 'queued',
+          resume: !forceReprocess,
           action: 'processed'
         });
 
@@ -0,0 +1,83 @@
+// api/cases/[id]/analysis-versions/diff.js
+const { createClient } = require('@supabase/supabase-js');
+const { validateSupabaseToken } = require('../../../../middleware/auth');
+const { applyCorsHeaders } = require('../../../../utils/cors-helper');
+const { handleError } = require('../../../../utils/errorHandler');
+const analysisVersionService = require('../../../../services/analysis-version.service');
+
+// Initialize Supabase client
+const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY)
+  : null;
+
+module.exports = async (req, res) => {
+  // Apply CORS headers
+  if (applyCorsHeaders(req, res)) {
+    return; // Request was handled (OPTIONS)
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Check service availability
+  if (!supabase) {
+    console.error('Required services not available');
+    return res.status(503).json({
+      error: 'Service temporarily unavailable',
+      message: 'Database service is not configured. Please try again later.'
+    });
+  }
+
+  try {
+    const user = await validateSupabaseToken(req);
+    const { id: caseId } = req.params || req.query;
+    const fromVersion = parseInt(req.query.from, 10);
+    const toVersion = parseInt(req.query.to, 10);
+
+    if (!caseId) {
+      return res.status(400).json({ error: 'Case ID is required' });
+    }
+
+    if (!Number.isInteger(fromVersion) || !Number.isInteger(toVersion)) {
+      return res.status(400).json({
+        error: 'Invalid versions',
+        message: 'Provide the two versions to compare as "from" and "to" query parameters'
+      });
+    }
+
+    // Verify case ownership
+    const { data: caseData, error: caseError } = await supabase
+      .from('case_briefs')
+      .select('id')
+      .eq('id', caseId)
+      .eq('user_id', user.id)
+      .single();
+
+    if (caseError || !caseData) {
+      return res.status(404).json({ error: 'Case not found or access denied' });
+    }
+
+    const diff = await analysisVersionService.diffVersions(caseId, fromVersion, toVersion);
+
+    if (!diff) {
+      return res.status(404).json({ error: `Analysis version ${fromVersion} or ${toVersion} not found for this case` });
+    }
+
+    return res.status(200).json({
+      success: true,
+      caseId,
+      ...diff,
+      changedFields: diff.predictions.length + diff.features.length,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Analysis version diff error:', error);
+
+    handleError(error, res, {
+      operation: 'diff_analysis_versions',
+      caseId: req.params?.id ?? req.query?.id
+    });
+  }
+};
@@ -1,21 +1,13 @@
-const { OpenAI } = require('openai');
 const { validateInternalServiceCall } = require('../../../middleware/auth');
 const { createClient } = require('@supabase/supabase-js');
 const rateLimiter = require('../../../services/rateLimiter');
 const { handleError } = require('../../../utils/errorHandler');
 const { applyCorsHeaders } = require('../../../utils/cors-helper');
+const aiService = require('../../../services/ai.service');
 // Initialize services with better error checking
-let openai;
 let supabase;
 
 try {
-  if (process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-    console.log('OpenAI client initialized successfully');
-  } else {
-    console.error('OpenAI API key not configured - AI features will be limited');
-  }
-  
   if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY) {
     supabase = createClient(
       process.env.SUPABASE_URL,
@@ -135,72 +127,18 @@ function calculateBaseEstimates(historicalCosts, strategy) {
   };
 }
 
-async function adjustEstimatesWithAI(params) {
+async function adjustEstimatesWithAI(params, callOptions = {}) {
   console.log('Attempting AI adjustment of estimates...');
   
-  if (!openai) {
-    console.log('OpenAI not available, using base estimates');
-    return {
-      total: {
-        min: params.base.min,
-        avg: params.base.avg,
-        max: params.base.max
-      },
-      breakdown: {
-        filing: params.base.avg * 0.05,
-        discovery: params.base.avg * 0.35,
-        motion_practice: params.base.avg * 0.20,
-        trial_prep: params.base.avg * 0.25,
-        trial: params.base.avg * 0.15
-      },
-      confidence: 'medium',
-      assumptions: ['AI analysis not available, using base estimates']
-    };
-  }
-  
   try {
-    const analysis = await openai.chat.completions.create({
-      model: "gpt-4-turbo-preview",
-      messages: [
-        {
-          role: "system",
-          content: `Adjust litigation cost estimates based on case-specific factors.
-          Consider case complexity, jurisdiction, strategy, and historical data.
-          Return JSON with adjusted estimates and confidence level.`
-        },
-        {
-          role: "user",
-          content: JSON.stringify(params)
-        }
-      ],
-      response_format: { type: "json_object" },
-      temperature: 0.3
-    });
-    
-    const result = JSON.parse(analysis.choices[0].message.content);
+    const result = await aiService.runPromptAnalysis(
+      'COST_ESTIMATE_ADJUSTMENT',
+      'cost_estimate_adjustment',
+      params,
+      callOptions
+    );
     console.log('AI adjustment completed successfully');
     
-    // Validate the AI response structure
-    if (!result.total || typeof result.total !== 'object' || !result.total.avg) {
-      console.warn('AI response missing or invalid total structure, using base estimates');
-      return {
-        total: {
-          min: params.base.min,
-          avg: params.base.avg,
-          max: params.base.max
-        },
-        breakdown: {
-          filing: params.base.avg * 0.05,
-          discovery: params.base.avg * 0.35,
-          motion_practice: params.base.avg * 0.20,
-          trial_prep: params.base.avg * 0.25,
-          trial: params.base.avg * 0.15
-        },
-        confidence: 'medium',
-        assumptions: ['AI response structure invalid, using base estimates']
-      };
-    }
-    
     return result;
   } catch (error) {
     console.error('Error adjusting estimates with AI:', error);
@@ -1,20 +1,13 @@
-const { OpenAI } = require('openai');
 const { validateSupabaseToken } = require('../../../middleware/auth');
 const { createClient } = require('@supabase/supabase-js');
 const rateLimiter = require('../../../services/rateLimiter');
 const { handleError } = require('../../../utils/errorHandler');
 const { applyCorsHeaders } = require('../../../utils/cors-helper');
+const aiService = require('../../../services/ai.service');
 // Initialize services with error checking
-let openai;
 let supabase;
 
 try {
-  if (process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  } else {
-    console.error('OpenAI API key not configured');
-  }
-  
   if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY) {
     supabase = createClient(
       process.env.SUPABASE_URL,
@@ -145,36 +138,20 @@ function calculateConfidenceIntervals(prediction, sampleSize) {
   };
 }
 
-async function predictFinancialOutcome(data) {
-  const prompt = `
-    Analyze financial outcomes based on:
-    1. Historical similar case outcomes
-    2. Current market conditions
-    3. Jurisdiction-specific damage caps
-    4. Case strength indicators
-    
-    Provide settlement and verdict predictions with confidence scores.
-    Factor in economic vs non-economic damages.
-  `;
-  
+async function predictFinancialOutcome(data, callOptions = {}) {
   try {
-    const analysis = await openai.chat.completions.create({
-      model: "gpt-4-turbo-preview",
-      messages: [
-        { role: "system", content: prompt },
-        { role: "user", content: JSON.stringify(data) }
-      ],
-      response_format: { type: "json_object" },
-      temperature: 0.3
-    });
-    
-    return JSON.parse(analysis.choices[0].message.content);
+    return await aiService.runPromptAnalysis(
+      'FINANCIAL_OUTCOME_RANGES',
+      'financial_outcome_ranges',
+      data,
+      callOptions
+    );
   } catch (error) {
     console.error('Error predicting financial outcome:', error);
     
     // Check if it's a quota exceeded error
     if (error.code === 'insufficient_quota' || error.status === 429) {
-      console.warn('OpenAI quota exceeded, using fallback predictions');
+      console.warn('AI provider quota exceeded, using fallback predictions');
       // Return fallback predictions with clear indication
       const baseAmount = data.case.damages_requested || 100000;
       return {
@@ -190,7 +167,7 @@ async function predictFinancialOutcome(data) {
           high: baseAmount * 1.5,
           confidence: 0.3
         },
-        factors: ['OpenAI quota exceeded, using fallback estimates'],
+        factors: ['AI provider quota exceeded, using fallback estimates'],
         methodology: 'quota_exceeded_fallback',
         warning: 'AI analysis unavailable due to quota limits'
       };
@@ -239,11 +216,11 @@ module.exports = async (req, res) => {
   }
 
   // Check service availability
-  if (!openai || !supabase) {
+  if (!supabase) {
     console.error('Required services not available');
     return res.status(503).json({ 
       error: 'Service temporarily unavailable',
-      message: 'AI analysis service is not configured. Please try again later.'
+      message: 'Database service is not configured. Please try again later.'
     });
   }
 
@@ -271,6 +248,10 @@ module.exports = async (req, res) => {
       historicalOutcomes: similarCases,
       marketFactors: marketData,
       damagesRequested: caseData.damages_requested
+    }, {
+      userId: user.id,
+      caseId,
+      organizationId: caseData.organization_id || null
     });
     
     // Calculate confidence intervals
@@ -0,0 +1,16 @@
+// api/cases/[id]/financial-prediction/stream.js - Financial outcome prediction streamed as Server-Sent Events
+const { streamAnalysisEndpoint } = require('../../../../utils/analysis-stream-helper');
+
+module.exports = (req, res) => streamAnalysisEndpoint(req, res, {
+  promptName: 'FINANCIAL_PREDICTION',
+  operation: 'financial_prediction',
+  analysisType: 'financial_prediction',
+  inputAnalyses: ['intake', 'similar_cases', 'judge_trends', 'risk_assessment'],
+  buildInput: (caseData, analyses) => ({
+    caseData,
+    intakeAnalysis: analyses.intake,
+    similarCases: analyses.similar_cases,
+    judgeTrends: analyses.judge_trends,
+    riskAssessment: analyses.risk_assessment
+  })
+});
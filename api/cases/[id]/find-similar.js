@@ -1,22 +1,16 @@
-const { OpenAI } = require('openai');
 const { validateSupabaseToken } = require('../../../middleware/auth');
 const { createClient } = require('@supabase/supabase-js');
 const rateLimiter = require('../../../services/rateLimiter');
 const { handleError } = require('../../../utils/errorHandler');
-const { applyCorsHeaders } = require('../../../utils/cors-helper');const courtListenerService = require('../../../services/courtlistener.service');
+const { applyCorsHeaders } = require('../../../utils/cors-helper');
+const aiService = require('../../../services/ai.service');
+const courtListenerService = require('../../../services/courtlistener.service');
 const { mapToCourtListenerCourt } = require('../../../utils/courtMaps');
 
 // Initialize services with error checking
-let openai;
 let supabase;
 
 try {
-  if (process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  } else {
-    console.error('OpenAI API key not configured');
-  }
-  
   if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY) {
     supabase = createClient(
       process.env.SUPABASE_URL,
@@ -151,7 +145,7 @@ function deduplicateCases(allCases) {
   return unique;
 }
 
-async function scoreCaseSimilarity(targetCase, candidateCases) {
+async function scoreCaseSimilarity(targetCase, candidateCases, callOptions = {}) {
   // Process in batches for efficiency
   const batchSize = 10;
   const scored = [];
@@ -160,42 +154,29 @@ async function scoreCaseSimilarity(targetCase, candidateCases) {
     const batch = candidateCases.slice(i, i + batchSize);
     
     try {
-      const analysis = await openai.chat.completions.create({
-        model: "gpt-4-turbo-preview",
-        messages: [
-          {
-            role: "system",
-            content: `Score case similarity (0-100) based on:
-            1. Fact pattern similarity (40%)
-            2. Legal issues alignment (30%)
-            3. Jurisdiction and court (15%)
-            4. Parties and stakes (15%)
-            
-            Return array with similarity score and matching factors for each case.`
-          },
-          {
-            role: "user",
-            content: JSON.stringify({ target: targetCase, candidates: batch })
-          }
-        ],
-        response_format: { type: "json_object" },
-        temperature: 0.3
-      });
+      const batchScores = await aiService.runPromptAnalysis(
+        'CASE_SIMILARITY_SCORING',
+        'case_similarity_scoring',
+        { target: targetCase, candidates: batch },
+        callOptions
+      );
       
-      const batchScores = JSON.parse(analysis.choices[0].message.content);
-      scored.push(...batchScores.cases);
+      // Scores come back in batch order, without the case details
+      batch.forEach((caseItem, index) => {
+        scored.push({ ...caseItem, ...batchScores.cases[index] });
+      });
     } catch (error) {
       console.error('Error scoring case similarity batch:', error);
       
       // Check if it's a quota exceeded error
       if (error.code === 'insufficient_quota' || error.status === 429) {
-        console.warn('OpenAI quota exceeded for case similarity scoring');
+        console.warn('AI provider quota exceeded for case similarity scoring');
         batch.forEach(caseItem => {
           scored.push({
             ...caseItem,
             similarity: 50, // Default score
             matchingFactors: ['AI analysis unavailable due to quota limits'],
-            warning: 'Similarity scoring limited due to OpenAI quota'
+            warning: 'Similarity scoring limited due to AI provider quota'
           });
         });
       } else {
@@ -249,11 +230,11 @@ module.exports = async (req, res) => {
   }
 
   // Check service availability
-  if (!openai || !supabase) {
+  if (!supabase) {
     console.error('Required services not available');
     return res.status(503).json({ 
       error: 'Service temporarily unavailable',
-      message: 'AI analysis service is not configured. Please try again later.'
+      message: 'Database service is not configured. Please try again later.'
     });
   }
 
@@ -313,7 +294,11 @@ module.exports = async (req, res) => {
     await rateLimiter.checkLimit('openai', user.id);
     
     // AI similarity scoring
-    const scoredCases = await scoreCaseSimilarity(caseData, allCases);
+    const scoredCases = await scoreCaseSimilarity(caseData, allCases, {
+      userId: user.id,
+      caseId,
+      organizationId: caseData.organization_id || null
+    });
     
     // Sort by similarity and apply limit
     const topCases = scoredCases
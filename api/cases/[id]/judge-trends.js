@@ -1,22 +1,16 @@
-const { OpenAI } = require('openai');
 const { validateSupabaseToken } = require('../../../middleware/auth');
 const { createClient } = require('@supabase/supabase-js');
 const rateLimiter = require('../../../services/rateLimiter');
 const { handleError } = require('../../../utils/errorHandler');
-const { applyCorsHeaders } = require('../../../utils/cors-helper');const courtListenerService = require('../../../services/courtlistener.service');
+const { applyCorsHeaders } = require('../../../utils/cors-helper');
+const aiService = require('../../../services/ai.service');
+const courtListenerService = require('../../../services/courtlistener.service');
 const { mapToCourtListenerCourt } = require('../../../utils/courtMaps');
 
 // Initialize services with error checking
-let openai;
 let supabase;
 
 try {
-  if (process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  } else {
-    console.error('OpenAI API key not configured');
-  }
-  
   if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY) {
     supabase = createClient(
       process.env.SUPABASE_URL,
@@ -109,35 +103,23 @@ async function calculateAppealRate(opinions) {
   return 15; // 15% default appeal rate
 }
 
-async function identifyRulingPatterns(opinions, caseType) {
+async function identifyRulingPatterns(opinions, caseType, callOptions) {
   try {
-    const analysis = await openai.chat.completions.create({
-      model: "gpt-4-turbo-preview",
-      messages: [
-        {
-          role: "system",
-          content: `Analyze judicial ruling patterns. Identify trends in how this judge rules on ${caseType} cases.
-          Return JSON with patterns array containing ruling tendencies, procedural preferences, and notable trends.`
-        },
-        {
-          role: "user",
-          content: JSON.stringify({ opinions, caseType })
-        }
-      ],
-      response_format: { type: "json_object" },
-      temperature: 0.3
-    });
-    
-    return JSON.parse(analysis.choices[0].message.content);
+    return await aiService.runPromptAnalysis(
+      'JUDGE_RULING_PATTERNS',
+      'judge_ruling_patterns',
+      { opinions, caseType },
+      callOptions
+    );
   } catch (error) {
     console.error('Error identifying ruling patterns:', error);
     
     // Check if it's a quota exceeded error
     if (error.code === 'insufficient_quota' || error.status === 429) {
-      console.warn('OpenAI quota exceeded for judge pattern analysis');
+      console.warn('AI provider quota exceeded for judge pattern analysis');
       return { 
         patterns: ['AI analysis unavailable due to quota limits'],
-        warning: 'Pattern analysis limited due to OpenAI quota'
+        warning: 'Pattern analysis limited due to AI provider quota'
       };
     }
     
@@ -188,7 +170,7 @@ async function cacheAnalysis(caseId, analysisType, result, days = 7) {
   }
 }
 
-async function analyzeJudicialPatterns(opinions, caseType) {
+async function analyzeJudicialPatterns(opinions, caseType, callOptions = {}) {
   // Group opinions by outcome
   const outcomes = groupOpinionsByOutcome(opinions);
   
@@ -202,7 +184,7 @@ async function analyzeJudicialPatterns(opinions, caseType) {
   };
   
   // Use AI to identify patterns
-  const patterns = await identifyRulingPatterns(opinions, caseType);
+  const patterns = await identifyRulingPatterns(opinions, caseType, callOptions);
   
   return { statistics, patterns };
 }
@@ -214,11 +196,11 @@ module.exports = async (req, res) => {
   }
 
   // Check service availability
-  if (!openai || !supabase) {
+  if (!supabase) {
     console.error('Required services not available');
     return res.status(503).json({ 
       error: 'Service temporarily unavailable',
-      message: 'AI analysis service is not configured. Please try again later.'
+      message: 'Database service is not configured. Please try again later.'
     });
   }
 
@@ -261,7 +243,8 @@ module.exports = async (req, res) => {
     // Analyze patterns
     const analysis = await analyzeJudicialPatterns(
       judgeOpinions,
-      caseData.case_type
+      caseData.case_type,
+      { userId: user.id, caseId, organizationId: caseData.organization_id || null }
     );
     
     // Get similar case outcomes
@@ -1,22 +1,16 @@
-const { OpenAI } = require('openai');
 const { validateSupabaseToken } = require('../../../middleware/auth');
 const { createClient } = require('@supabase/supabase-js');
 const rateLimiter = require('../../../services/rateLimiter');
 const { handleError } = require('../../../utils/errorHandler');
-const { applyCorsHeaders } = require('../../../utils/cors-helper');const courtListenerService = require('../../../services/courtlistener.service');
+const { applyCorsHeaders } = require('../../../utils/cors-helper');
+const aiService = require('../../../services/ai.service');
+const courtListenerService = require('../../../services/courtlistener.service');
 const { mapToCourtListenerCourt } = require('../../../utils/courtMaps');
 
 // Initialize services with error checking
-let openai;
 let supabase;
 
 try {
-  if (process.env.OPENAI_API_KEY) {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  } else {
-    console.error('OpenAI API key not configured');
-  }
-  
   if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY) {
     supabase = createClient(
       process.env.SUPABASE_URL,
@@ -101,7 +95,7 @@ async function getTotalCount(caseId) {
 }
 
 // AI relevance analysis
-async function analyzePrecedentRelevance(courtListenerResults, caseData) {
+async function analyzePrecedentRelevance(courtListenerResults, caseData, callOptions = {}) {
   const batchSize = 5; // Process in batches to avoid token limits
   const analyzed = [];
   
@@ -109,29 +103,17 @@ async function analyzePrecedentRelevance(courtListenerResults, caseData) {
     const batch = courtListenerResults.slice(i, i + batchSize);
     
     try {
-      const analysis = await openai.chat.completions.create({
-        model: "gpt-4-turbo-preview",
-        messages: [
-          {
-            role: "system",
-            content: `Score legal precedent relevance (0-100) based on fact similarity,
-            legal issues, jurisdiction, and outcome impact. Return array of objects with
-            relevanceScore, keyPoints, and similarityFactors for each case.`
-          },
-          {
-            role: "user",
-            content: JSON.stringify({
-              targetCase: caseData,
-              precedentCases: batch
-            })
-          }
-        ],
-        response_format: { type: "json_object" },
-        temperature: 0.3
-      });
+      const batchResults = await aiService.runPromptAnalysis(
+        'PRECEDENT_RELEVANCE',
+        'precedent_relevance',
+        { targetCase: caseData, precedentCases: batch },
+        callOptions
+      );
       
-      const batchResults = JSON.parse(analysis.choices[0].message.content);
-      analyzed.push(...batchResults.cases);
+      // Scores come back in batch order, without the case details
+      batch.forEach((caseItem, index) => {
+        analyzed.push({ ...caseItem, ...batchResults.cases[index] });
+      });
     } catch (error) {
       console.error('Error analyzing precedent batch:', error);
       // Add fallback analysis
@@ -156,11 +138,11 @@ module.exports = async (req, res) => {
   }
 
   // Check service availability
-  if (!openai || !supabase) {
+  if (!supabase) {
     console.error('Required services not available');
     return res.status(503).json({ 
       error: 'Service temporarily unavailable',
-      message: 'AI analysis service is not configured. Please try again later.'
+      message: 'Database service is not configured. Please try again later.'
     });
   }
 
@@ -231,7 +213,8 @@ module.exports = async (req, res) => {
     // Analyze relevance with AI
     const precedents = await analyzePrecedentRelevance(
       searchResults.results,
-      caseData
+      caseData,
+      { userId: user.id, caseId, organizationId: caseData.organization_id || null }
     );
     
     // Store in database
@@ -2,6 +2,7 @@
 const { createClient } = require('@supabase/supabase-js');
 const { validateSupabaseToken } = require('../../../middleware/auth');
 const { applyCorsHeaders } = require('../../../utils/cors-helper');
+const pipelineStepRegistry = require('../../../services/pipeline-step-registry.service');
 
 // Initialize Supabase client
 const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY 
@@ -63,7 +64,9 @@ module.exports = async (req, res) => {
     const processingStatus = determineProcessingStatus(caseData, progressData, analysisResults);
     
     // Get feature completion status
-    const featureStatus = getFeatureCompletionStatus(analysisResults);
+    const featureStatus = getFeatureCompletionStatus(analysisResults, progressData);
+    const missingFeatures = getMissingFeatures(progressData);
+    const staleFeatures = Object.keys(progressData?.stale_features || {});
     
     // Calculate overall progress
     const overallProgress = calculateOverallProgress(progressData, featureStatus);
@@ -80,6 +83,9 @@ module.exports = async (req, res) => {
       totalSteps: progressData?.total_steps || 13,
       currentStepNumber: progressData?.current_step || 0,
       features: featureStatus,
+      missingFeatures,
+      staleFeatures,
+      lastRunId: progressData?.last_run_id || null,
       estimatedTimeRemaining: estimatedTimeRemaining,
       lastUpdated: caseData.last_ai_update,
       errorMessage: caseData.error_message,
@@ -98,10 +104,11 @@ module.exports = async (req, res) => {
     }
 
     // Add analysis summary if completed
-    if (processingStatus.status === 'completed') {
+    if (processingStatus.status === 'completed' || processingStatus.status === 'completed_with_warnings') {
       response.analysisSummary = {
         totalAnalyses: analysisResults?.length || 0,
         completedFeatures: Object.values(featureStatus).filter(f => f.completed).length,
+        failedFeatures: missingFeatures.length,
         totalFeatures: Object.keys(featureStatus).length
       };
     }
@@ -159,6 +166,25 @@ function determineProcessingStatus(caseData, progressData, analysisResults) {
     };
   }
 
+  // Check for completed status with optional features missing
+  if (caseData.processing_status === 'completed_with_warnings') {
+    const failedCount = Object.keys(progressData?.failed_features || {}).length;
+    return {
+      status: 'completed_with_warnings',
+      message: `Processing completed with ${failedCount} feature(s) unavailable`,
+      canRetry: true
+    };
+  }
+
+  // Check for cases paused by a cost budget
+  if (caseData.processing_status === 'budget_exceeded') {
+    return {
+      status: 'budget_exceeded',
+      message: caseData.processing_error || 'Processing paused: cost budget exceeded',
+      canRetry: false
+    };
+  }
+
   // Check for processing status
   if (caseData.processing_status === 'processing') {
     if (progressData) {
@@ -193,7 +219,7 @@ function determineProcessingStatus(caseData, progressData, analysisResults) {
   };
 }
 
-function getFeatureCompletionStatus(analysisResults) {
+function getFeatureCompletionStatus(analysisResults, progressData) {
   const features = {
     outcomeProbability: { completed: false, analysisType: 'outcome_probability' },
     settlementAnalysis: { completed: false, analysisType: 'settlement_analysis' },
@@ -208,6 +234,11 @@ function getFeatureCompletionStatus(analysisResults) {
     comprehensive: { completed: false, analysisType: 'comprehensive' }
   };
 
+  // Features added through the pipeline step registry
+  pipelineStepRegistry.getSteps().forEach(step => {
+    features[step.name] = { completed: false, analysisType: step.storage.analysisType, custom: true };
+  });
+
   if (analysisResults) {
     analysisResults.forEach(analysis => {
       Object.values(features).forEach(feature => {
@@ -220,9 +251,41 @@ function getFeatureCompletionStatus(analysisResults) {
     });
   }
 
+  // Features whose step failed in the latest run are reported as failed even if older results exist
+  Object.entries(progressData?.failed_features || {}).forEach(([featureName, failure]) => {
+    if (features[featureName]) {
+      features[featureName].completed = false;
+      features[featureName].failed = true;
+      features[featureName].error = failure.reason;
+      features[featureName].failedStep = failure.step;
+    }
+  });
+
+  // Results are only valid until an input they were computed from changes
+  Object.values(features).forEach(feature => {
+    feature.valid = feature.completed;
+  });
+
+  Object.entries(progressData?.stale_features || {}).forEach(([featureName, staleness]) => {
+    if (features[featureName]) {
+      features[featureName].valid = false;
+      features[featureName].stale = true;
+      features[featureName].changedFields = staleness.changedFields;
+    }
+  });
+
   return features;
 }
 
+function getMissingFeatures(progressData) {
+  return Object.entries(progressData?.failed_features || {}).map(([featureName, failure]) => ({
+    feature: featureName,
+    step: failure.step,
+    reason: failure.reason,
+    failedAt: failure.failedAt
+  }));
+}
+
 function calculateOverallProgress(progressData, featureStatus) {
   if (progressData) {
     return progressData.progress_percentage || 0;
@@ -236,7 +299,7 @@ function calculateOverallProgress(progressData, featureStatus) {
 }
 
 function calculateEstimatedTimeRemaining(progressData, caseData) {
-  if (!progressData || caseData.processing_status === 'completed') {
+  if (!progressData || ['completed', 'completed_with_warnings', 'budget_exceeded'].includes(caseData.processing_status)) {
     return null;
   }
 
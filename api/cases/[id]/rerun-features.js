@@ -0,0 +1,112 @@
+// api/cases/[id]/rerun-features.js
+const { createClient } = require('@supabase/supabase-js');
+const { validateSupabaseToken } = require('../../../middleware/auth');
+const { applyCorsHeaders } = require('../../../utils/cors-helper');
+const { handleError } = require('../../../utils/errorHandler');
+const EnhancedLinearPipelineService = require('../../../services/enhanced-linear-pipeline.service');
+const caseProcessingWorker = require('../../../services/case-processing.worker');
+
+// Initialize Supabase client
+const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY)
+  : null;
+
+const enhancedPipeline = new EnhancedLinearPipelineService();
+
+module.exports = async (req, res) => {
+  // Apply CORS headers
+  if (applyCorsHeaders(req, res)) {
+    return; // Request was handled (OPTIONS)
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Check service availability
+  if (!supabase) {
+    console.error('Required services not available');
+    return res.status(503).json({
+      error: 'Service temporarily unavailable',
+      message: 'Database service is not configured. Please try again later.'
+    });
+  }
+
+  try {
+    const user = await validateSupabaseToken(req);
+    const { id: caseId } = req.params || req.query;
+    const { features } = req.body || {};
+
+    if (!caseId) {
+      return res.status(400).json({ error: 'Case ID is required' });
+    }
+
+    const availableFeatures = Object.keys(enhancedPipeline.getFeatureSteps(enhancedPipeline.getPipelineSteps()));
+    const unknownFeatures = Array.isArray(features) ? features.filter(f => !availableFeatures.includes(f)) : [];
+
+    if (!Array.isArray(features) || features.length === 0 || unknownFeatures.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid features',
+        message: unknownFeatures.length > 0
+          ? `Unknown features: ${unknownFeatures.join(', ')}`
+          : 'Provide a non-empty "features" array',
+        availableFeatures
+      });
+    }
+
+    // Get case details and verify ownership
+    const { data: caseData, error: caseError } = await supabase
+      .from('case_briefs')
+      .select('id, user_id, processing_status')
+      .eq('id', caseId)
+      .eq('user_id', user.id)
+      .single();
+
+    if (caseError || !caseData) {
+      return res.status(404).json({ error: 'Case not found or access denied' });
+    }
+
+    if (['queued', 'processing'].includes(caseData.processing_status)) {
+      return res.status(409).json({
+        error: 'Case is still being processed',
+        message: 'Wait for the current run to finish before re-running features.',
+        processing_status: caseData.processing_status
+      });
+    }
+
+    console.log(`Feature re-run requested for case ${caseId} by user ${user.id}: ${features.join(', ')}`);
+
+    await supabase
+      .from('case_briefs')
+      .update({
+        processing_status: 'queued',
+        last_ai_update: new Date().toISOString(),
+        processing_error: null
+      })
+      .eq('id', caseId);
+
+    // The worker runs the re-run; progress is reported through the case's processing status
+    const job = await caseProcessingWorker.addCaseToQueue(caseData.id, caseData.user_id, {
+      source: 'feature_rerun',
+      trigger: 'api_endpoint',
+      features
+    });
+
+    return res.status(202).json({
+      success: true,
+      caseId,
+      jobId: job.id,
+      status: 'queued',
+      requestedFeatures: features,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Feature re-run error:', error);
+
+    handleError(error, res, {
+      operation: 'rerun_features',
+      caseId: req.params?.id ?? req.query?.id
+    });
+  }
+};
@@ -0,0 +1,100 @@
+// api/cases/[id]/runs/[runId].js
+const { createClient } = require('@supabase/supabase-js');
+const { validateSupabaseToken } = require('../../../../middleware/auth');
+const { applyCorsHeaders } = require('../../../../utils/cors-helper');
+const { handleError } = require('../../../../utils/errorHandler');
+const pipelineTraceService = require('../../../../services/pipeline-trace.service');
+
+// Initialize Supabase client
+const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY)
+  : null;
+
+module.exports = async (req, res) => {
+  // Apply CORS headers
+  if (applyCorsHeaders(req, res)) {
+    return; // Request was handled (OPTIONS)
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Check service availability
+  if (!supabase) {
+    console.error('Required services not available');
+    return res.status(503).json({
+      error: 'Service temporarily unavailable',
+      message: 'Database service is not configured. Please try again later.'
+    });
+  }
+
+  try {
+    const user = await validateSupabaseToken(req);
+    const { id: caseId, runId } = req.params || req.query;
+
+    if (!caseId || !runId) {
+      return res.status(400).json({ error: 'Case ID and run ID are required' });
+    }
+
+    // Verify case ownership
+    const { data: caseData, error: caseError } = await supabase
+      .from('case_briefs')
+      .select('id')
+      .eq('id', caseId)
+      .eq('user_id', user.id)
+      .single();
+
+    if (caseError || !caseData) {
+      return res.status(404).json({ error: 'Case not found or access denied' });
+    }
+
+    const run = await pipelineTraceService.getRun(caseId, runId);
+
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found for this case' });
+    }
+
+    return res.status(200).json({
+      success: true,
+      caseId,
+      run: {
+        id: run.id,
+        type: run.run_type,
+        status: run.status,
+        startedAt: run.started_at,
+        completedAt: run.completed_at,
+        durationMs: run.duration_ms,
+        error: run.error
+      },
+      steps: run.steps.map(step => ({
+        step: step.step_name,
+        stepNumber: step.step_number,
+        status: step.status,
+        startedAt: step.started_at,
+        completedAt: step.completed_at,
+        durationMs: step.duration_ms,
+        model: step.model,
+        promptHash: step.prompt_hash,
+        tokenUsage: {
+          promptTokens: step.prompt_tokens,
+          completionTokens: step.completion_tokens,
+          totalTokens: step.total_tokens
+        },
+        aiCalls: step.ai_calls || [],
+        input: step.input_snapshot,
+        output: step.output_snapshot,
+        error: step.error
+      })),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Pipeline run trace error:', error);
+
+    handleError(error, res, {
+      operation: 'get_pipeline_run',
+      caseId: req.params?.id ?? req.query?.id
+    });
+  }
+};
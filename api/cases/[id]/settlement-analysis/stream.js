@@ -0,0 +1,18 @@
+// api/cases/[id]/settlement-analysis/stream.js - Settlement vs trial analysis streamed as Server-Sent Events
+const { streamAnalysisEndpoint } = require('../../../../utils/analysis-stream-helper');
+
+module.exports = (req, res) => streamAnalysisEndpoint(req, res, {
+  promptName: 'SETTLEMENT_ANALYSIS',
+  operation: 'settlement_analysis',
+  analysisType: 'settlement_analysis',
+  inputAnalyses: ['intake', 'financial_prediction', 'cost_estimate', 'risk_assessment', 'judge_trends', 'similar_cases'],
+  buildInput: (caseData, analyses) => ({
+    caseData,
+    intakeAnalysis: analyses.intake,
+    financialPrediction: analyses.financial_prediction,
+    costEstimator: analyses.cost_estimate,
+    riskAssessment: analyses.risk_assessment,
+    judgeTrends: analyses.judge_trends,
+    similarCases: analyses.similar_cases
+  })
+});
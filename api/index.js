@@ -268,7 +268,8 @@ app.post('/api/cases/:caseId/documents', authenticateJWT, async (req, res) => {
     }
     
     // Validate file type
-    const allowedTypes = ['.pdf', '.doc', '.docx'];
+    // Images are photographed or scanned exhibits, read by OCR
+    const allowedTypes = ['.pdf', '.doc', '.docx', '.jpg', '.jpeg', '.png', '.tif', '.tiff'];
     const fileExt = path.extname(file.originalname).toLowerCase();
     
     if (!allowedTypes.includes(fileExt)) {
@@ -1172,6 +1173,97 @@ app.get('/api/cases/:id/processing-status', authenticateJWT, async (req, res) =>
   }
 });
 
+// Re-run selected analysis features (and their dependents) for a case
+app.post('/api/cases/:id/rerun-features', authenticateJWT, async (req, res) => {
+  try {
+    const rerunFeaturesHandler = require('./cases/[id]/rerun-features');
+    await rerunFeaturesHandler(req, res);
+  } catch (error) {
+    console.error('Rerun features endpoint error:', error);
+    res.status(500).json({
+      error: 'Failed to re-run features',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Structured trace of a single pipeline run for a case
+app.get('/api/cases/:id/runs/:runId', authenticateJWT, async (req, res) => {
+  try {
+    const pipelineRunHandler = require('./cases/[id]/runs/[runId]');
+    await pipelineRunHandler(req, res);
+  } catch (error) {
+    console.error('Pipeline run endpoint error:', error);
+    res.status(500).json({
+      error: 'Failed to get pipeline run',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Versioned analysis history for a case
+app.get('/api/cases/:id/analysis-versions', authenticateJWT, async (req, res) => {
+  try {
+    const analysisVersionsHandler = require('./cases/[id]/analysis-versions');
+    await analysisVersionsHandler(req, res);
+  } catch (error) {
+    console.error('Analysis versions endpoint error:', error);
+    res.status(500).json({
+      error: 'Failed to list analysis versions',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Field-by-field comparison of two analysis versions (?from=1&to=2)
+app.get('/api/cases/:id/analysis-versions/diff', authenticateJWT, async (req, res) => {
+  try {
+    const analysisVersionDiffHandler = require('./cases/[id]/analysis-versions/diff');
+    await analysisVersionDiffHandler(req, res);
+  } catch (error) {
+    console.error('Analysis version diff endpoint error:', error);
+    res.status(500).json({
+      error: 'Failed to diff analysis versions',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Streaming (Server-Sent Events) variants of the interactive analysis endpoints
+app.get('/api/cases/:id/settlement-analysis/stream', authenticateJWT, async (req, res) => {
+  try {
+    const settlementStreamHandler = require('./cases/[id]/settlement-analysis/stream');
+    await settlementStreamHandler(req, res);
+  } catch (error) {
+    console.error('Settlement analysis stream endpoint error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      error: 'Failed to stream settlement analysis',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.get('/api/cases/:id/financial-prediction/stream', authenticateJWT, async (req, res) => {
+  try {
+    const financialStreamHandler = require('./cases/[id]/financial-prediction/stream');
+    await financialStreamHandler(req, res);
+  } catch (error) {
+    console.error('Financial prediction stream endpoint error:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      error: 'Failed to stream financial prediction',
+      message: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 // Trigger analysis for existing cases endpoint
 app.post('/api/cases/:caseId/trigger-analysis', authenticateJWT, async (req, res) => {
   try {
@@ -1,12 +1,11 @@
-const { OpenAI } = require('openai');
 const { validateSupabaseToken } = require('../../middleware/auth');
 const { createClient } = require('@supabase/supabase-js');
 const rateLimiter = require('../../services/rateLimiter');
 const { handleError } = require('../../utils/errorHandler');
 const { applyCorsHeaders } = require('../../utils/cors-helper');
+const aiService = require('../../services/ai.service');
 
 // Initialize services
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
@@ -29,7 +28,7 @@ async function getUserActiveCases(userId) {
   }
 }
 
-async function enrichUpdatesWithRelevance(updates, userCases) {
+async function enrichUpdatesWithRelevance(updates, userCases, callOptions = {}) {
   if (!userCases || userCases.length === 0) {
     return updates.map(update => ({
       ...update,
@@ -40,24 +39,12 @@ async function enrichUpdatesWithRelevance(updates, userCases) {
   
   try {
     // Use AI to analyze relevance
-    const analysis = await openai.chat.completions.create({
-      model: "gpt-4-turbo-preview",
-      messages: [
-        {
-          role: "system",
-          content: `Analyze law updates for relevance to user's active cases.
-          Return JSON with relevance score (0-100) and affected case IDs for each update.`
-        },
-        {
-          role: "user",
-          content: JSON.stringify({ updates, userCases })
-        }
-      ],
-      response_format: { type: "json_object" },
-      temperature: 0.3
-    });
-    
-    const relevanceAnalysis = JSON.parse(analysis.choices[0].message.content);
+    const relevanceAnalysis = await aiService.runPromptAnalysis(
+      'LAW_UPDATE_RELEVANCE',
+      'law_update_relevance',
+      { updates, userCases },
+      callOptions
+    );
     
     return updates.map((update, index) => ({
       ...update,
@@ -136,26 +123,9 @@ function normalizeUpdates(allUpdates) {
   }));
 }
 
-async function analyzeLawUpdateImpact(update) {
+async function analyzeLawUpdateImpact(update, callOptions = {}) {
   try {
-    const analysis = await openai.chat.completions.create({
-      model: "gpt-4-turbo-preview",
-      messages: [
-        {
-          role: "system",
-          content: `Analyze law update impact. Determine impact level (low/medium/high),
-          provide summary, and identify affected case types.`
-        },
-        {
-          role: "user",
-          content: JSON.stringify(update)
-        }
-      ],
-      response_format: { type: "json_object" },
-      temperature: 0.3
-    });
-    
-    return JSON.parse(analysis.choices[0].message.content);
+    return await aiService.runPromptAnalysis('LAW_UPDATE_IMPACT', 'law_update_impact', update, callOptions);
   } catch (error) {
     console.error('Error analyzing law update impact:', error);
     return {
@@ -205,8 +175,8 @@ async function fetchLawUpdates() {
   }
 }
 
-// On-demand AI analysis for law updates
-async function analyzePendingUpdates() {
+// On-demand AI analysis for law updates; AI costs are logged against the user who asked for it
+async function analyzePendingUpdates(callOptions = {}) {
   try {
     // Get updates that need AI analysis
     const { data: pendingUpdates, error } = await supabase
@@ -221,7 +191,7 @@ async function analyzePendingUpdates() {
     
     for (const update of pendingUpdates) {
       try {
-        const impact = await analyzeLawUpdateImpact(update);
+        const impact = await analyzeLawUpdateImpact(update, callOptions);
         update.impact = impact.level;
         update.summary = impact.summary;
         update.affected_case_types = impact.affectedCaseTypes;
@@ -267,7 +237,7 @@ module.exports = async (req, res) => {
     
     // Trigger AI analysis if requested (cost optimization)
     if (analyze === 'true') {
-      await analyzePendingUpdates();
+      await analyzePendingUpdates({ userId: user.id });
     }
     
     // Build query
@@ -298,7 +268,8 @@ module.exports = async (req, res) => {
     // Analyze relevance to user's cases
     const enrichedUpdates = await enrichUpdatesWithRelevance(
       updates || [],
-      userCases
+      userCases,
+      { userId: user.id }
     );
     
     res.json({
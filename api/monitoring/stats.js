@@ -43,6 +43,11 @@ module.exports = async (req, res) => {
       }
     }
 
+    // Pre-call token estimates compared with the usage providers reported
+    if (aiService && typeof aiService.getTokenEstimateStats === 'function') {
+      stats.tokenEstimates = aiService.getTokenEstimateStats();
+    }
+
     res.status(200).json(stats);
   } catch (error) {
     console.error('Monitoring stats error:', error);
@@ -5,6 +5,7 @@ const EnhancedLinearPipelineService = require('../services/enhanced-linear-pipel
 const caseProcessingWorker = require('../services/case-processing.worker');
 const Sentry = require('@sentry/node');
 const { verifySupabaseWebhook, verifyExternalWebhook } = require('../middleware/webhook-auth');
+const { getChangeImpact } = require('../utils/changeImpactMap');
 const { createClient } = require('@supabase/supabase-js');
 
 const supabase = createClient(
@@ -27,16 +28,47 @@ router.post('/external/case-briefs', verifyExternalWebhook, async (req, res) =>
       caseStage: record.case_stage
     });
     
+    // Updates only re-run the features whose inputs changed
+    let selectiveFeatures = null;
+    let staleFeatures = [];
+    
+    if (type === 'UPDATE') {
+      const impact = getChangeImpact(record, old_record);
+      
+      if (!impact.fullRerun && impact.features.length === 0) {
+        console.log(`No analysis inputs changed for case ${record.id}, existing analyses remain valid`);
+        
+        return res.json({
+          success: true,
+          message: 'No analysis inputs changed; existing analyses remain valid',
+          caseId: record.id,
+          webhookType: type,
+          changedFields: [],
+          pipeline: 'enhanced'
+        });
+      }
+      
+      // Without a finished analysis there is nothing to reuse, so run the full pipeline
+      const hasAnalysis = ['completed', 'completed_with_warnings'].includes(old_record?.processing_status);
+      
+      if (!impact.fullRerun && hasAnalysis) {
+        selectiveFeatures = impact.features;
+        staleFeatures = await enhancedPipeline.markFeaturesStale(record.id, impact.features, impact.changedFields);
+        console.log(`Case ${record.id} changed ${impact.changedFields.join(', ')}; stale features: ${staleFeatures.join(', ')}`);
+      }
+    }
+    
     // Only process INSERT and UPDATE operations
     if (type === 'INSERT' || type === 'UPDATE') {
-      console.log(`Enhanced ALEGI Pipeline triggered for case ${record.id}`);
+      console.log(`Enhanced ALEGI Pipeline triggered for case ${record.id}${selectiveFeatures ? ` (features: ${selectiveFeatures.join(', ')})` : ''}`);
       
       // Add case to processing queue instead of immediate execution
       try {
         await caseProcessingWorker.addCaseToQueue(record.id, record.user_id, {
           source: 'external_webhook',
           trigger: type.toLowerCase(),
-          priority: type === 'INSERT' ? 2 : 1 // New cases get higher priority
+          priority: type === 'INSERT' ? 2 : 1, // New cases get higher priority
+          features: selectiveFeatures
         });
         
         console.log(`✅ Case ${record.id} added to processing queue`);
@@ -47,8 +79,13 @@ router.post('/external/case-briefs', verifyExternalWebhook, async (req, res) =>
         setImmediate(async () => {
           try {
             console.log(`Fallback: Starting Enhanced ALEGI Pipeline for case ${record.id}`);
-            const features = await enhancedPipeline.executeEnhancedPipeline(record.id);
-            console.log(`Enhanced ALEGI Pipeline completed for case ${record.id} with ${Object.keys(features).length} features`);
+            if (selectiveFeatures) {
+              const result = await enhancedPipeline.rerunFeatures(record.id, selectiveFeatures);
+              console.log(`Enhanced ALEGI Pipeline re-ran ${result.recomputed.length} features for case ${record.id}`);
+            } else {
+              const features = await enhancedPipeline.executeEnhancedPipeline(record.id);
+              console.log(`Enhanced ALEGI Pipeline completed for case ${record.id} with ${Object.keys(features).length} features`);
+            }
           } catch (error) {
             console.error(`Enhanced ALEGI Pipeline failed for case ${record.id}:`, error);
             
@@ -77,6 +114,7 @@ router.post('/external/case-briefs', verifyExternalWebhook, async (req, res) =>
       message: `Case ${type.toLowerCase()} processing initiated with Enhanced ALEGI Pipeline`,
       caseId: record.id,
       webhookType: type,
+      staleFeatures: selectiveFeatures ? staleFeatures : undefined,
       pipeline: 'enhanced'
     });
   } catch (error) {
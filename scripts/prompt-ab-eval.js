@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+// scripts/prompt-ab-eval.js - Compare two versions of an AI prompt over a saved set of cases, offline
+
+const fs = require('fs');
+const path = require('path');
+const { getPrompt } = require('../services/ai-prompts.service');
+const aiService = require('../services/ai.service');
+const pipelineTraceService = require('../services/pipeline-trace.service');
+const { diffObjects } = require('../utils/objectDiff');
+
+const USAGE = `
+🧪 Prompt A/B Evaluation
+
+Usage:
+  node scripts/prompt-ab-eval.js <PROMPT_NAME> --cases <file> --a <version> --b <version> [options]
+
+Versions are prompt version numbers from ai-prompts.service.js / ai-prompts.history.js,
+or the path of a module exporting a draft prompt entry (model, temperature, schema, prompt).
+
+Options:
+  --cases <file>       JSON array of { "id", "args": [prompt arguments], "responses": { "<label>": response } }
+  --responses <file>   Recorded model responses: JSON object of prompt hash -> response content.
+                       Hashes are the prompt_hash values in pipeline run traces.
+  --out <file>         Write the full report as JSON
+
+A response is looked up by the hash of the rendered prompt first, then in the case's
+"responses" under the version label (v1, v2, or the draft file name). No model is called.
+
+Example, the current prompt against a draft of its next version:
+  node scripts/prompt-ab-eval.js RISK_ASSESSMENT --cases eval/risk-cases.json --a 1 --b eval/risk-assessment-draft.js --responses eval/risk-recorded.json
+
+Once a version is replaced, its entry moves to ai-prompts.history.js and can be compared by number.
+`;
+
+function parseArgs(argv) {
+  const options = { name: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].substring(2)] = argv[i + 1];
+      i++;
+    } else if (!options.name) {
+      options.name = argv[i];
+    }
+  }
+  return options;
+}
+
+function readJSON(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+// A version number from the prompt history, or a draft prompt module
+function loadVersion(name, spec) {
+  if (/^\d+$/.test(spec)) {
+    const prompt = getPrompt(name, parseInt(spec));
+    return { label: `v${prompt.version}`, prompt };
+  }
+
+  return { label: path.basename(spec, '.js'), prompt: require(path.resolve(spec)) };
+}
+
+function runVersion(version, testCase, recordings) {
+  const messages = [{ role: 'user', content: version.prompt.prompt(...testCase.args) }];
+  const promptHash = pipelineTraceService.hashPrompt(messages);
+  const recorded = recordings[promptHash] ?? testCase.responses?.[version.label];
+
+  if (recorded === undefined) {
+    return { promptHash, status: 'missing', output: null, errors: [] };
+  }
+
+  const content = typeof recorded === 'string' ? recorded : JSON.stringify(recorded);
+  const { value, errors } = aiService.validateAIResponse(content, version.prompt.schema);
+
+  return errors
+    ? { promptHash, status: 'invalid', output: null, errors }
+    : { promptHash, status: 'valid', output: value, errors: [] };
+}
+
+function summarize(results, a, b) {
+  const fields = {};
+  const compared = results.filter(result => result.changes);
+
+  for (const result of compared) {
+    for (const change of result.changes) {
+      const field = fields[change.field] || (fields[change.field] = { changed: 0, deltas: [] });
+      field.changed += 1;
+      if (change.delta !== undefined) field.deltas.push(change.delta);
+    }
+  }
+
+  const countStatus = (side, status) => results.filter(result => result[side].status === status).length;
+
+  return {
+    cases: results.length,
+    compared: compared.length,
+    identical: compared.filter(result => result.changes.length === 0).length,
+    [a.label]: { valid: countStatus('a', 'valid'), invalid: countStatus('a', 'invalid'), missing: countStatus('a', 'missing') },
+    [b.label]: { valid: countStatus('b', 'valid'), invalid: countStatus('b', 'invalid'), missing: countStatus('b', 'missing') },
+    fields: Object.fromEntries(Object.entries(fields)
+      .sort(([, x], [, y]) => y.changed - x.changed)
+      .map(([field, { changed, deltas }]) => [field, {
+        changed,
+        ...(deltas.length > 0 && {
+          meanDelta: Math.round(deltas.reduce((sum, delta) => sum + delta, 0) / deltas.length * 100) / 100,
+          meanAbsDelta: Math.round(deltas.reduce((sum, delta) => sum + Math.abs(delta), 0) / deltas.length * 100) / 100
+        })
+      }]))
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (!options.name || !options.cases || !options.a || !options.b) {
+    console.log(USAGE);
+    process.exit(options.name ? 1 : 0);
+  }
+
+  const a = loadVersion(options.name, options.a);
+  const b = loadVersion(options.name, options.b);
+  const cases = readJSON(options.cases);
+  const recordings = options.responses ? readJSON(options.responses) : {};
+
+  console.log(`🧪 Comparing ${options.name} ${a.label} vs ${b.label} over ${cases.length} cases`);
+
+  const results = cases.map(testCase => {
+    const resultA = runVersion(a, testCase, recordings);
+    const resultB = runVersion(b, testCase, recordings);
+    const changes = resultA.status === 'valid' && resultB.status === 'valid'
+      ? diffObjects(resultA.output, resultB.output)
+      : null;
+
+    return { id: testCase.id, a: resultA, b: resultB, changes };
+  });
+
+  for (const result of results) {
+    if (!result.changes) {
+      console.log(`\n⚠️ ${result.id}: ${a.label} ${result.a.status}, ${b.label} ${result.b.status}`);
+      [...result.a.errors, ...result.b.errors].forEach(error => console.log(`   - ${error}`));
+      continue;
+    }
+
+    console.log(`\n${result.changes.length === 0 ? '✅' : '🔀'} ${result.id}: ${result.changes.length} field(s) differ`);
+    for (const change of result.changes) {
+      const delta = change.delta !== undefined ? ` (${change.delta > 0 ? '+' : ''}${change.delta})` : '';
+      console.log(`   ${change.change.padEnd(7)} ${change.field}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}${delta}`);
+    }
+  }
+
+  const summary = summarize(results, a, b);
+  console.log('\n📊 Summary');
+  console.log(JSON.stringify(summary, null, 2));
+
+  if (options.out) {
+    fs.writeFileSync(path.resolve(options.out), JSON.stringify({
+      prompt: options.name,
+      a: a.label,
+      b: b.label,
+      generatedAt: new Date().toISOString(),
+      summary,
+      results
+    }, null, 2));
+    console.log(`\n📝 Report written to ${options.out}`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Prompt evaluation failed:', error.message);
+    process.exit(1);
+  });
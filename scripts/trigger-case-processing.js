@@ -4,6 +4,7 @@
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
 const caseProcessingWorker = require('../services/case-processing.worker');
+const EnhancedLinearPipelineService = require('../services/enhanced-linear-pipeline.service');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -22,7 +23,7 @@ Usage:
 
 Commands:
   single <caseId>                    - Process a specific case
-  bulk [limit]                       - Process multiple stuck cases 
+  bulk [limit] [--dry-run]           - Process multiple stuck cases (--dry-run: estimate cost only)
   status <caseId>                    - Check case processing status
   queue                             - Show queue status
   list-stuck [hours]                - List stuck cases
@@ -30,6 +31,7 @@ Commands:
 Examples:
   node scripts/trigger-case-processing.js single abc-123-def
   node scripts/trigger-case-processing.js bulk 5
+  node scripts/trigger-case-processing.js bulk 20 --dry-run
   node scripts/trigger-case-processing.js status abc-123-def
   node scripts/trigger-case-processing.js list-stuck 48
     `);
@@ -37,6 +39,8 @@ Examples:
   }
 
   const command = args[0];
+  const dryRun = args.includes('--dry-run');
+  const positional = args.filter(arg => !arg.startsWith('--'));
 
   try {
     switch (command) {
@@ -44,7 +48,7 @@ Examples:
         await processSingleCase(args[1]);
         break;
       case 'bulk':
-        await processBulkCases(parseInt(args[1]) || 10);
+        await processBulkCases(parseInt(positional[1]) || 10, dryRun);
         break;
       case 'status':
         await checkCaseStatus(args[1]);
@@ -108,7 +112,7 @@ async function processSingleCase(caseId) {
   console.log(`⏳ Processing should start within a few seconds...`);
 }
 
-async function processBulkCases(limit) {
+async function processBulkCases(limit, dryRun = false) {
   console.log(`🔍 Finding up to ${limit} stuck cases...`);
 
   const { data: stuckCases, error } = await supabase
@@ -128,6 +132,11 @@ async function processBulkCases(limit) {
 
   console.log(`📋 Found ${stuckCases.length} stuck cases`);
 
+  if (dryRun) {
+    await estimateBulkCost(stuckCases);
+    return;
+  }
+
   for (const caseData of stuckCases) {
     try {
       console.log(`🔄 Processing: ${caseData.case_name} (${caseData.id})`);
@@ -159,6 +168,40 @@ async function processBulkCases(limit) {
   console.log(`🎯 Bulk processing initiated for ${stuckCases.length} cases`);
 }
 
+// Estimate what processing the selected cases would cost without queueing them
+async function estimateBulkCost(cases) {
+  const enhancedPipeline = new EnhancedLinearPipelineService();
+  const totals = { cases: 0, aiCalls: 0, totalTokens: 0, estimatedCost: 0 };
+
+  console.log('🧮 Dry run - no cases will be queued and no AI calls will be made');
+  console.log('');
+
+  for (const caseData of cases) {
+    try {
+      const estimate = await enhancedPipeline.executeEnhancedPipeline(caseData.id, { dryRun: true });
+
+      console.log(`  ${caseData.case_name} (${caseData.id})`);
+      estimate.steps.forEach(step => {
+        console.log(`    ${step.step.padEnd(22)} ${String(step.promptTokens + step.completionTokens).padStart(7)} tokens  $${step.estimatedCost.toFixed(2)}`);
+      });
+      console.log(`    Total: ${estimate.totals.aiCalls} AI calls, ~${estimate.totals.totalTokens} tokens, ~$${estimate.totals.estimatedCost.toFixed(2)}`);
+      if (estimate.documentsPendingExtraction > 0) {
+        console.log(`    ⚠️ ${estimate.documentsPendingExtraction} document(s) not yet extracted - their text is not included`);
+      }
+      console.log('');
+
+      totals.cases++;
+      totals.aiCalls += estimate.totals.aiCalls;
+      totals.totalTokens += estimate.totals.totalTokens;
+      totals.estimatedCost += estimate.totals.estimatedCost;
+    } catch (error) {
+      console.error(`  ❌ ${caseData.id}: ${error.message}`);
+    }
+  }
+
+  console.log(`🎯 Projected for ${totals.cases} cases: ${totals.aiCalls} AI calls, ~${totals.totalTokens} tokens, ~$${totals.estimatedCost.toFixed(2)}`);
+}
+
 async function checkCaseStatus(caseId) {
   if (!caseId) {
     console.error('❌ Case ID is required');
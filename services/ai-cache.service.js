@@ -0,0 +1,138 @@
+// services/ai-cache.service.js - Content-addressed cache of AI responses
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const aiConfig = require('./ai.config');
+const { stableStringify } = require('../utils/stableStringify');
+
+class AICacheService {
+  constructor() {
+    // Initialize Supabase client
+    this.supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY
+      ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY)
+      : null;
+
+    this.store = aiConfig.cache.store;
+    this.directory = aiConfig.cache.directory;
+
+    if (aiConfig.cache.enabled && this.store === 'supabase' && !this.supabase) {
+      console.warn('⚠️ AI response cache is set to Supabase but Supabase is not configured - caching disabled');
+    }
+  }
+
+  isEnabled(operation) {
+    if (!aiConfig.cache.enabled || this.getTtlSeconds(operation) <= 0) return false;
+    return this.store === 'filesystem' || !!this.supabase;
+  }
+
+  getTtlSeconds(operation) {
+    return aiConfig.cache.ttlSeconds[operation] ?? aiConfig.cache.ttlSeconds.default;
+  }
+
+  // Key for a request to one provider/model: the messages plus every parameter that shapes the answer
+  buildKey(route, messages, params) {
+    return crypto
+      .createHash('sha256')
+      .update(stableStringify({ provider: route.provider, model: route.model, messages, params }))
+      .digest('hex');
+  }
+
+  // Cache failures are logged and treated as a miss so the AI call still goes out
+  async get(key) {
+    try {
+      const entry = this.store === 'filesystem'
+        ? await this.readFile(key)
+        : await this.readRow(key);
+
+      if (!entry) return null;
+      if (new Date(entry.expiresAt) <= new Date()) {
+        await this.delete(key);
+        return null;
+      }
+
+      return entry.response;
+    } catch (error) {
+      console.warn(`⚠️ AI cache read failed for ${key}:`, error.message);
+      return null;
+    }
+  }
+
+  async set(key, operation, route, response) {
+    const entry = {
+      operation,
+      provider: route.provider,
+      model: route.model,
+      response,
+      expiresAt: new Date(Date.now() + this.getTtlSeconds(operation) * 1000).toISOString()
+    };
+
+    try {
+      if (this.store === 'filesystem') {
+        await fs.mkdir(this.directory, { recursive: true });
+        await fs.writeFile(this.getFilePath(key), JSON.stringify(entry));
+        return;
+      }
+
+      const { error } = await this.supabase
+        .from('ai_response_cache')
+        .upsert({
+          cache_key: key,
+          operation: entry.operation,
+          provider: entry.provider,
+          model: entry.model,
+          response: entry.response,
+          expires_at: entry.expiresAt,
+          created_at: new Date().toISOString()
+        }, { onConflict: 'cache_key' });
+
+      if (error) throw error;
+    } catch (error) {
+      console.warn(`⚠️ AI cache write failed for ${operation}:`, error.message);
+    }
+  }
+
+  async delete(key) {
+    try {
+      if (this.store === 'filesystem') {
+        await fs.rm(this.getFilePath(key), { force: true });
+        return;
+      }
+
+      const { error } = await this.supabase
+        .from('ai_response_cache')
+        .delete()
+        .eq('cache_key', key);
+
+      if (error) throw error;
+    } catch (error) {
+      console.warn(`⚠️ AI cache delete failed for ${key}:`, error.message);
+    }
+  }
+
+  getFilePath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  async readFile(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.getFilePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async readRow(key) {
+    const { data, error } = await this.supabase
+      .from('ai_response_cache')
+      .select('response, expires_at')
+      .eq('cache_key', key)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? { response: data.response, expiresAt: data.expires_at } : null;
+  }
+}
+
+module.exports = new AICacheService();
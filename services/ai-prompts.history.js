@@ -0,0 +1,9 @@
+// services/ai-prompts.history.js - Earlier versions of the prompts in ai-prompts.service.js
+//
+// Keyed by prompt name, then version number. Each entry has the same shape as an AI_PROMPTS
+// entry (model, temperature, version, schema, prompt), e.g.
+//   RISK_ASSESSMENT: { 1: { model: 'gpt-4-turbo-preview', temperature: 0.3, version: 1, schema, prompt } }
+
+const AI_PROMPT_HISTORY = {};
+
+module.exports = { AI_PROMPT_HISTORY };
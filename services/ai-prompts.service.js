@@ -1,11 +1,48 @@
 // services/ai-prompts.service.js
 // Comprehensive AI prompts for all ALEGI features
+//
+// Every prompt carries a version, stored in the prompt_version column next to its results.
+// Before changing a prompt, copy the current entry into ai-prompts.history.js and bump the
+// version here so old results and evaluations still point at the prompt that produced them.
+const Joi = require('joi');
+const { AI_PROMPT_HISTORY } = require('./ai-prompts.history');
+
+// Response schemas require the keys that downstream code and stored predictions rely on.
+// Keys the prompt asks for but nothing reads are type-checked when present; extra keys are allowed.
+const score = () => Joi.number().min(0).max(100);
+const amount = () => Joi.number().min(0);
+const stringList = () => Joi.array().items(Joi.string().allow(''));
+const range = (...keys) => Joi.object(Object.fromEntries(keys.map(key => [key, Joi.number().required()])));
 
 const AI_PROMPTS = {
   // Existing prompts
   INTAKE_ANALYSIS: {
     model: 'gpt-4-turbo-preview',
     temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      case_metadata: Joi.object({
+        case_type: stringList(),
+        case_stage: Joi.string().allow('', null),
+        applicable_law: stringList(),
+        issue: stringList()
+      }).required(),
+      parties: Joi.object({
+        plaintiffs: stringList(),
+        defendants: stringList(),
+        other_parties: stringList()
+      }).required(),
+      claims: Joi.object({
+        primary_claims: stringList()
+      }).required(),
+      case_strength_indicators: stringList(),
+      potential_challenges: stringList(),
+      document_citations: Joi.array().items(Joi.object({
+        finding: Joi.string().required(),
+        document: Joi.string().allow('', null),
+        pages: Joi.array().items(Joi.number().integer())
+      }))
+    }),
     prompt: (caseData, evidenceData, documentContent) => `
       Analyze this legal case comprehensively and provide structured insights.
       
@@ -49,7 +86,70 @@ const AI_PROMPTS = {
           "damages_claimed": "damages amount if specified"
         },
         "case_strength_indicators": ["factors indicating case strength"],
-        "potential_challenges": ["potential challenges or weaknesses"]
+        "potential_challenges": ["potential challenges or weaknesses"],
+        "document_citations": [
+          {
+            "finding": "key finding taken from the documents",
+            "document": "document file name",
+            "pages": [page numbers from the [document, p. N] markers]
+          }
+        ]
+      }
+    `
+  },
+
+  // Map step for documents too large for one intake prompt: one call per chunk of pages
+  DOCUMENT_CHUNK_SUMMARY: {
+    model: 'gpt-4-turbo-preview',
+    temperature: 0.2,
+    version: 1,
+    schema: Joi.object({
+      summary: Joi.string().required(),
+      key_facts: Joi.array().items(Joi.object({
+        fact: Joi.string().required(),
+        document: Joi.string().allow('', null),
+        pages: Joi.array().items(Joi.number().integer())
+      })).required(),
+      parties: stringList(),
+      claims: stringList(),
+      key_dates: Joi.array().items(Joi.object({
+        date: Joi.string().allow('', null),
+        event: Joi.string().required(),
+        pages: Joi.array().items(Joi.number().integer())
+      }))
+    }),
+    prompt: (caseData, chunk) => `
+      Summarize this excerpt from the documents of a legal case. It is one part of a longer
+      document set; other parts are summarized separately and combined later.
+      
+      Case Name: ${caseData.case_name || 'N/A'}
+      Case Type: ${caseData.case_type || 'N/A'}
+      
+      Each page starts with a marker such as [file name, p. 12]. Cite the page numbers from
+      those markers for every fact and date you report.
+      
+      Excerpt:
+      ${chunk.text}
+      
+      Provide the summary in JSON format:
+      {
+        "summary": "what this excerpt covers and why it matters to the case",
+        "key_facts": [
+          {
+            "fact": "legally relevant fact, admission or allegation",
+            "document": "document file name",
+            "pages": [page numbers]
+          }
+        ],
+        "parties": ["people and organizations involved"],
+        "claims": ["legal claims or defenses raised"],
+        "key_dates": [
+          {
+            "date": "date as written",
+            "event": "what happened",
+            "pages": [page numbers]
+          }
+        ]
       }
     `
   },
@@ -57,6 +157,14 @@ const AI_PROMPTS = {
   JURISDICTION_ANALYSIS: {
     model: 'gpt-4-turbo-preview',
     temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      jurisdiction: Joi.object({
+        primary_jurisdiction: Joi.string().required()
+      }).required(),
+      procedural_aspects: Joi.object(),
+      choice_of_law: Joi.object()
+    }),
     prompt: (caseData, intakeResults) => `
       Analyze the jurisdictional aspects of this case.
       
@@ -89,6 +197,17 @@ const AI_PROMPTS = {
   PRECEDENT_ANALYSIS: {
     model: 'gpt-4-turbo-preview',
     temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      keyDecisions: Joi.array().items(Joi.object({
+        case_name: Joi.string().required(),
+        relevance_score: score()
+      })).required(),
+      influenceScore: score().required(),
+      relevanceScore: score().required(),
+      summary: Joi.string().required(),
+      legal_principles: stringList()
+    }),
     prompt: (caseData, precedents, intakeAnalysis) => `
       Analyze relevant precedents for this legal case.
       
@@ -122,6 +241,14 @@ const AI_PROMPTS = {
   JUDICIAL_ANALYSIS: {
     model: 'gpt-4-turbo-preview',
     temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      summaryJudgmentRate: score().required(),
+      averageTimeline: Joi.alternatives(Joi.number(), Joi.string()).required(),
+      successRate: score().required(),
+      rulingPatterns: Joi.array().items(Joi.object()).required(),
+      recommendations: Joi.array().items(Joi.object()).required()
+    }),
     prompt: (caseData, judgeTrends, intakeAnalysis) => `
       Analyze judicial behavior and court trends for this case.
       
@@ -158,6 +285,19 @@ const AI_PROMPTS = {
   SIMILAR_CASE_ANALYSIS: {
     model: 'gpt-4-turbo-preview',
     temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      closestMatches: Joi.array().items(Joi.object({
+        similarity_score: score()
+      })).required(),
+      outcomePatterns: Joi.array().items(Joi.object({
+        success_rate: score()
+      })).required(),
+      similarityScores: Joi.array().items(Joi.object({
+        score: score()
+      })),
+      insights: stringList()
+    }),
     prompt: (caseData, similarCases, intakeAnalysis) => `
       Analyze similar cases to identify patterns and insights.
       
@@ -222,6 +362,17 @@ const AI_PROMPTS = {
   RISK_ASSESSMENT: {
     model: 'gpt-4-turbo-preview',
     temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      overallRiskScore: score().required(),
+      riskLevel: Joi.string().required(),
+      weaknesses: Joi.array().items(Joi.object()).required(),
+      strengths: Joi.array().items(Joi.object()).required(),
+      recommendations: Joi.array().items(Joi.object()),
+      riskFactors: Joi.array().items(Joi.object({
+        probability: score()
+      }))
+    }),
     prompt: (data) => `
       Perform comprehensive risk assessment for this legal case.
       
@@ -270,6 +421,13 @@ const AI_PROMPTS = {
   COST_ESTIMATION: {
     model: 'gpt-4-turbo-preview',
     temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      totalEstimatedCost: amount().required(),
+      breakdown: Joi.object().pattern(Joi.string(), amount()),
+      costRange: range('low', 'high', 'likely').required(),
+      confidence: Joi.string()
+    }),
     prompt: (data) => `
       Estimate litigation costs for this case.
       
@@ -311,6 +469,14 @@ const AI_PROMPTS = {
   FINANCIAL_PREDICTION: {
     model: 'gpt-4-turbo-preview',
     temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      settlementRange: range('low', 'likely', 'high').unknown(true),
+      verdictRange: range('low', 'likely', 'high').unknown(true),
+      estimatedOutcome: amount().required(),
+      outcomeRange: range('low', 'likely', 'high').required(),
+      confidence: Joi.string().required()
+    }),
     prompt: (data) => `
       Predict financial outcomes for this case.
       
@@ -362,6 +528,14 @@ const AI_PROMPTS = {
   SETTLEMENT_ANALYSIS: {
     model: 'gpt-4-turbo-preview',
     temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      recommendation: Joi.string().required(),
+      settlementProbability: score().required(),
+      trialProbability: score(),
+      settlementSuccessRate: score().required(),
+      settlement_range: range('minimum', 'target', 'maximum')
+    }),
     prompt: (data) => `
       Analyze settlement vs trial options for this case.
       
@@ -413,6 +587,16 @@ const AI_PROMPTS = {
   OUTCOME_PROBABILITY: {
     model: 'gpt-4-turbo-preview',
     temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      successProbability: score().required(),
+      failureProbability: score(),
+      settlementProbability: score(),
+      probabilityScore: score().required(),
+      confidence: Joi.string().required(),
+      factors: Joi.object().pattern(Joi.string(), Joi.object({ score: score() }).unknown(true)),
+      caseStrengthScore: score()
+    }),
     prompt: (data) => `
       Calculate outcome probability scores for this case.
       
@@ -459,6 +643,14 @@ const AI_PROMPTS = {
   TIMELINE_ESTIMATION: {
     model: 'gpt-4-turbo-preview',
     temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      estimatedDuration: Joi.number().min(0),
+      estimatedDays: Joi.number().min(0).required(),
+      timelineRange: range('min', 'max').required(),
+      keyMilestones: Joi.array().items(Joi.object()),
+      confidence: Joi.string()
+    }),
     prompt: (data) => `
       Estimate resolution timeline for this case.
       
@@ -504,6 +696,13 @@ const AI_PROMPTS = {
   COMPREHENSIVE_ANALYSIS: {
     model: 'gpt-4-turbo-preview',
     temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      summary: Joi.string().required(),
+      recommendations: Joi.array().items(Joi.object()).required(),
+      nextSteps: Joi.array().items(Joi.object()).required(),
+      key_insights: stringList()
+    }),
     prompt: (data) => `
       Provide comprehensive analysis integrating all ALEGI features.
       
@@ -534,7 +733,222 @@ const AI_PROMPTS = {
         "strategic_recommendations": ["strategic recommendations"]
       }
     `
+  },
+
+  // Endpoint prompts, run on request by the api/ handlers rather than by the pipeline
+
+  COST_ESTIMATE_ADJUSTMENT: {
+    model: 'gpt-4-turbo-preview',
+    temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      total: range('min', 'avg', 'max').required(),
+      breakdown: Joi.object().pattern(Joi.string(), amount()),
+      confidence: Joi.string(),
+      assumptions: stringList()
+    }),
+    prompt: (params) => `
+      Adjust litigation cost estimates based on case-specific factors.
+      Consider case complexity, jurisdiction, strategy, and historical data.
+      
+      Data: ${JSON.stringify(params)}
+      
+      Provide adjusted estimates in JSON format:
+      {
+        "total": { "min": number, "avg": number, "max": number },
+        "breakdown": {
+          "filing": number,
+          "discovery": number,
+          "motion_practice": number,
+          "trial_prep": number,
+          "trial": number
+        },
+        "confidence": "low/medium/high",
+        "assumptions": ["assumptions behind the estimate"]
+      }
+    `
+  },
+
+  JUDGE_RULING_PATTERNS: {
+    model: 'gpt-4-turbo-preview',
+    temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      patterns: Joi.array().required()
+    }),
+    prompt: ({ opinions, caseType }) => `
+      Analyze judicial ruling patterns. Identify trends in how this judge rules on ${caseType} cases.
+      
+      Opinions: ${JSON.stringify(opinions)}
+      
+      Provide patterns in JSON format:
+      {
+        "patterns": [
+          {
+            "pattern": "ruling tendency, procedural preference or notable trend",
+            "category": "ruling_tendency/procedural_preference/notable_trend",
+            "evidence": "opinions that show it"
+          }
+        ]
+      }
+    `
+  },
+
+  PRECEDENT_RELEVANCE: {
+    model: 'gpt-4-turbo-preview',
+    temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      cases: Joi.array().items(Joi.object({
+        relevanceScore: score().required(),
+        keyPoints: stringList(),
+        similarityFactors: stringList()
+      })).required()
+    }),
+    prompt: ({ targetCase, precedentCases }) => `
+      Score legal precedent relevance (0-100) based on fact similarity,
+      legal issues, jurisdiction, and outcome impact.
+      
+      Target Case: ${JSON.stringify(targetCase)}
+      Precedent Cases: ${JSON.stringify(precedentCases)}
+      
+      Provide one entry per precedent case, in the order given, in JSON format:
+      {
+        "cases": [
+          {
+            "relevanceScore": 0-100,
+            "keyPoints": ["key points of the precedent"],
+            "similarityFactors": ["what makes it similar"]
+          }
+        ]
+      }
+    `
+  },
+
+  CASE_SIMILARITY_SCORING: {
+    model: 'gpt-4-turbo-preview',
+    temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      cases: Joi.array().items(Joi.object({
+        similarity: score().required(),
+        matchingFactors: stringList()
+      })).required()
+    }),
+    prompt: ({ target, candidates }) => `
+      Score case similarity (0-100) based on:
+      1. Fact pattern similarity (40%)
+      2. Legal issues alignment (30%)
+      3. Jurisdiction and court (15%)
+      4. Parties and stakes (15%)
+      
+      Target Case: ${JSON.stringify(target)}
+      Candidate Cases: ${JSON.stringify(candidates)}
+      
+      Provide one entry per candidate case, in the order given, in JSON format:
+      {
+        "cases": [
+          {
+            "similarity": 0-100,
+            "matchingFactors": ["factors the cases share"]
+          }
+        ]
+      }
+    `
+  },
+
+  FINANCIAL_OUTCOME_RANGES: {
+    model: 'gpt-4-turbo-preview',
+    temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      settlement: range('low', 'likely', 'high').keys({ confidence: Joi.number().min(0).max(1) }).required(),
+      verdict: range('low', 'likely', 'high').keys({ confidence: Joi.number().min(0).max(1) }).required(),
+      factors: stringList(),
+      methodology: Joi.string().allow('')
+    }),
+    prompt: (data) => `
+      Analyze financial outcomes based on:
+      1. Historical similar case outcomes
+      2. Current market conditions
+      3. Jurisdiction-specific damage caps
+      4. Case strength indicators
+      
+      Factor in economic vs non-economic damages.
+      
+      Data: ${JSON.stringify(data)}
+      
+      Provide settlement and verdict predictions in JSON format:
+      {
+        "settlement": { "low": number, "likely": number, "high": number, "confidence": 0-1 },
+        "verdict": { "low": number, "likely": number, "high": number, "confidence": 0-1 },
+        "factors": ["factors driving the prediction"],
+        "methodology": "how the figures were reached"
+      }
+    `
+  },
+
+  LAW_UPDATE_RELEVANCE: {
+    model: 'gpt-4-turbo-preview',
+    temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      updates: Joi.array().items(Joi.object({
+        relevance: Joi.alternatives(score(), Joi.string()),
+        affectedCases: Joi.array()
+      })).required()
+    }),
+    prompt: ({ updates, userCases }) => `
+      Analyze law updates for relevance to the user's active cases.
+      
+      Law Updates: ${JSON.stringify(updates)}
+      Active Cases: ${JSON.stringify(userCases)}
+      
+      Provide one entry per law update, in the order given, in JSON format:
+      {
+        "updates": [
+          {
+            "relevance": 0-100,
+            "affectedCases": ["IDs of affected active cases"]
+          }
+        ]
+      }
+    `
+  },
+
+  LAW_UPDATE_IMPACT: {
+    model: 'gpt-4-turbo-preview',
+    temperature: 0.3,
+    version: 1,
+    schema: Joi.object({
+      level: Joi.string().valid('low', 'medium', 'high').required(),
+      summary: Joi.string().required(),
+      affectedCaseTypes: stringList()
+    }),
+    prompt: (update) => `
+      Analyze law update impact.
+      
+      Law Update: ${JSON.stringify(update)}
+      
+      Provide impact analysis in JSON format:
+      {
+        "level": "low/medium/high",
+        "summary": "summary of the update and its impact",
+        "affectedCaseTypes": ["case types affected"]
+      }
+    `
   }
 };
 
-module.exports = { AI_PROMPTS }; 
\ No newline at end of file
+// A prompt as it was at a given version: the current entry, or one kept in the history
+const getPrompt = (name, version = null) => {
+  const current = AI_PROMPTS[name];
+  if (!current) throw new Error(`Unknown AI prompt: ${name}`);
+  if (version === null || version === current.version) return current;
+
+  const archived = AI_PROMPT_HISTORY[name]?.[version];
+  if (!archived) throw new Error(`No version ${version} of AI prompt ${name} (current version is ${current.version})`);
+  return archived;
+};
+
+module.exports = { AI_PROMPTS, getPrompt }; 
\ No newline at end of file
@@ -1,4 +1,17 @@
 // services/ai.config.js
+const os = require('os');
+const path = require('path');
+
+// JSON settings from the environment; a malformed value is reported and ignored
+const parseJSONEnv = (name, defaultValue = {}) => {
+  try {
+    return process.env[name] ? JSON.parse(process.env[name]) : defaultValue;
+  } catch (error) {
+    console.error(`Invalid JSON in ${name}, ignoring it:`, error.message);
+    return defaultValue;
+  }
+};
+
 module.exports = {
   // Rate limiting configuration
   rateLimiting: {
@@ -21,10 +34,27 @@ module.exports = {
     }
   },
   
-  // Token estimation
+  // Token estimation when no tokenizer is available for a model
   tokenEstimation: {
     charactersPerToken: 4 // Rough approximation
   },
+
+  // BPE encodings for token counting, matched by the longest model name prefix.
+  // Claude and self-hosted models have no published encoding, so they are counted with
+  // cl100k_base and their estimates are approximate. Azure deployment names can be mapped
+  // with AI_TOKENIZER_MODELS, e.g. { "prod-intake": "o200k_base" }.
+  tokenizers: {
+    default: 'cl100k_base',
+    models: {
+      'gpt-4o': 'o200k_base',
+      'gpt-4.1': 'o200k_base',
+      'o1': 'o200k_base',
+      'o3': 'o200k_base',
+      'gpt-4': 'cl100k_base',
+      'gpt-3.5': 'cl100k_base',
+      ...parseJSONEnv('AI_TOKENIZER_MODELS')
+    }
+  },
   
   // Delays between calls
   delayBetweenCalls: 1000, // 1 second
@@ -55,6 +85,70 @@ module.exports = {
     analysis: 'gpt-4-turbo'
   },
 
+  // LLM provider routing: openai, azure, anthropic or local (an OpenAI-compatible server).
+  // Operations not listed use the default provider; OpenAI keeps the model named by the prompt.
+  providers: {
+    default: process.env.AI_DEFAULT_PROVIDER || 'openai',
+
+    // e.g. { intake: { provider: 'azure', model: 'gpt-4o-intake' }, risk_assessment: { provider: 'local' } }.
+    // A route may list its own fallbacks, e.g. { provider: 'openai', model: 'gpt-4-turbo',
+    // fallbacks: [{ provider: 'openai', model: 'gpt-4o-mini' }, { provider: 'local' }] }
+    operations: parseJSONEnv('AI_OPERATION_ROUTES'),
+
+    // Vendors an organization's contract rules out, keyed by organization id, e.g.
+    // { "<org id>": { blocked: ['anthropic'] } } or { "<org id>": { allowed: ['azure', 'local'] } }
+    restrictions: parseJSONEnv('AI_PROVIDER_RESTRICTIONS')
+  },
+
+  // Fallback chains: after a 429, a 5xx or a timeout the next model in the chain is tried.
+  // All hops share the operation's timeout.
+  fallback: {
+    // Fallbacks for operations whose route doesn't list any
+    defaultChain: parseJSONEnv('AI_DEFAULT_FALLBACKS', []),
+    // Don't start another hop with less time than this left
+    minHopTimeMs: parseInt(process.env.AI_FALLBACK_MIN_HOP_MS) || 5000
+  },
+
+  // Large documents are split into chunks by page and section, each chunk is summarized,
+  // and the intake prompt gets the summaries (with page citations) instead of the raw text
+  documentChunking: {
+    // Document text estimated above this is summarized chunk by chunk first
+    directPromptTokens: parseInt(process.env.AI_DOCUMENT_DIRECT_TOKENS) || 12000,
+    chunkTokens: parseInt(process.env.AI_DOCUMENT_CHUNK_TOKENS) || 6000,
+    // Summaries still too long are chunked and summarized again, at most this many times
+    maxReduceRounds: 3,
+    // Chunk summaries made for one case across all rounds; pages past the limit are left out
+    maxChunks: parseInt(process.env.AI_DOCUMENT_MAX_CHUNKS) || 40,
+    // Chunk summaries requested at the same time
+    summaryConcurrency: parseInt(process.env.AI_DOCUMENT_SUMMARY_CONCURRENCY) || 3
+  },
+
+  // Recorded AI responses for offline runs (llm-providers/replay.provider.js).
+  // record: save every provider response as a fixture; replay: answer every call from the
+  // fixtures, with schema-valid synthetic data for requests that were never recorded.
+  // Test runs (NODE_ENV=test) replay unless AI_REPLAY_MODE says otherwise.
+  replay: {
+    mode: process.env.AI_REPLAY_MODE || (process.env.NODE_ENV === 'test' ? 'replay' : null),
+    directory: process.env.AI_FIXTURES_DIR || path.join(__dirname, '..', 'test', 'fixtures', 'ai')
+  },
+
+  // Response cache keyed by a hash of provider, model, messages and parameters, so reprocessing
+  // unchanged inputs doesn't pay for the same answers again
+  cache: {
+    // Off while recording or replaying fixtures, so every call reaches the provider being exercised
+    enabled: process.env.AI_CACHE_ENABLED !== 'false' && !process.env.AI_REPLAY_MODE && process.env.NODE_ENV !== 'test',
+    // supabase (ai_response_cache table) or filesystem
+    store: process.env.AI_CACHE_STORE || 'supabase',
+    directory: process.env.AI_CACHE_DIR || path.join(os.tmpdir(), 'alegi-ai-cache'),
+
+    // Seconds a cached response stays valid, by operation; 0 turns caching off for an operation.
+    // AI_CACHE_TTLS overrides these, e.g. { "intake": 2592000, "judicial_analysis": 0 }
+    ttlSeconds: {
+      default: parseInt(process.env.AI_CACHE_TTL_SECONDS) || 7 * 24 * 60 * 60,
+      ...parseJSONEnv('AI_CACHE_TTLS')
+    }
+  },
+
   // Get rate limits for current environment
   getLimitsForEnvironment() {
     const environment = process.env.NODE_ENV || 'development';
@@ -1,25 +1,39 @@
 // services/ai.service.js
-const OpenAI = require('openai');
 const Sentry = require('@sentry/node');
 const courtListenerService = require('./courtlistener.service');
 const { AI_PROMPTS } = require('./ai-prompts.service');
 const aiConfig = require('./ai.config');
 const costMonitorService = require('./costMonitor.service');
+const pipelineTraceService = require('./pipeline-trace.service');
+const aiCacheService = require('./ai-cache.service');
+const tokenizerService = require('./tokenizer.service');
+const llmProviders = require('./llm-providers');
+const { pageMarker, chunkDocumentContent } = require('../utils/documentChunker');
+const { runDag } = require('../utils/dagScheduler');
+const { BudgetExceededError, AIProviderNotAllowedError, AIResponseValidationError, AICallAbortedError } = require('../utils/errorHandler');
+
+// Page citation for a whole chunk, e.g. [deposition.pdf, p. 4-9]
+function chunkMarker(chunk) {
+  const pages = chunk.startPage === chunk.endPage ? chunk.startPage : `${chunk.startPage}-${chunk.endPage}`;
+  return pageMarker(chunk.fileName, pages);
+}
+
+// Stands in for a chunk left out by the per-case chunk limit, so intake knows those pages are missing
+function skippedChunkNote(chunk, maxChunks) {
+  return `Summary of ${chunkMarker(chunk)}: [not summarized - over the limit of ${maxChunks} document chunks per case]`;
+}
 
 class AIService {
   constructor() {
-    // Check if OpenAI API key is available
-    if (!process.env.OPENAI_API_KEY) {
-      console.warn('OpenAI API key not found - creating mock AI service');
-      this.openai = null;
-      this.isMock = true;
-      return;
+    // In replay mode every call is answered by the replay provider from recorded fixtures or
+    // schema-valid synthetic data
+    this.providers = llmProviders;
+    this.isMock = llmProviders.isReplaying();
+    if (this.isMock) {
+      console.warn('AI replay mode - answering AI calls from replay fixtures');
+    } else if (!llmProviders.hasConfiguredProvider()) {
+      console.warn('No LLM provider configured - AI calls will fail (set AI_REPLAY_MODE=replay to answer from fixtures)');
     }
-
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    this.isMock = false;
     
     // OpenAI Rate Limiting Configuration
     // Based on OpenAI's rate limits: https://platform.openai.com/docs/guides/rate-limits
@@ -59,8 +73,8 @@ class AIService {
       }
     }
     
-    // Schedule next reset
-    setTimeout(() => this.resetUsageTracking(), 60000);
+    // Schedule next reset, without keeping scripts and test runs alive
+    setTimeout(() => this.resetUsageTracking(), 60000).unref();
   }
 
   // Check if we can make a request based on rate limits
@@ -98,10 +112,9 @@ class AIService {
     return true;
   }
 
-  // Estimate token count for a request (rough approximation)
-  estimateTokens(text) {
-    // Rough estimation based on configuration
-    return Math.ceil(text.length / aiConfig.tokenEstimation.charactersPerToken);
+  // Token count of text with the model's BPE encoding (see tokenizers in ai.config.js)
+  estimateTokens(text, model = null) {
+    return tokenizerService.countTokens(text, model);
   }
 
   // Calculate OpenAI API cost based on current pricing (as of 2024)
@@ -111,6 +124,10 @@ class AIService {
         input: 0.01 / 1000,  // $0.01 per 1K input tokens
         output: 0.03 / 1000  // $0.03 per 1K output tokens
       },
+      'gpt-4-turbo-preview': {
+        input: 0.01 / 1000,  // $0.01 per 1K input tokens
+        output: 0.03 / 1000  // $0.03 per 1K output tokens
+      },
       'gpt-4': {
         input: 0.03 / 1000,  // $0.03 per 1K input tokens
         output: 0.06 / 1000  // $0.06 per 1K output tokens
@@ -118,6 +135,14 @@ class AIService {
       'gpt-3.5-turbo': {
         input: 0.0015 / 1000,  // $0.0015 per 1K input tokens
         output: 0.002 / 1000   // $0.002 per 1K output tokens
+      },
+      'claude-3-5-sonnet-latest': {
+        input: 0.003 / 1000,  // $0.003 per 1K input tokens
+        output: 0.015 / 1000  // $0.015 per 1K output tokens
+      },
+      'claude-3-5-haiku-latest': {
+        input: 0.0008 / 1000,  // $0.0008 per 1K input tokens
+        output: 0.004 / 1000   // $0.004 per 1K output tokens
       }
     };
 
@@ -127,168 +152,446 @@ class AIService {
     const inputCost = (usage.prompt_tokens || 0) * modelPricing.input;
     const outputCost = (usage.completion_tokens || 0) * modelPricing.output;
     
-    return Math.round((inputCost + outputCost) * 100) / 100; // Round to 2 decimal places
+    // Unrounded: budgets add up many calls that each cost well under a cent
+    return inputCost + outputCost;
+  }
+
+  // Cost of a call on a resolved provider route. Self-hosted models have no per-token price.
+  calculateCallCost(route, usage) {
+    return ['local', 'replay'].includes(route.provider) ? 0 : this.calculateOpenAICost(route.model, usage);
   }
 
-  // Rate-limited OpenAI API call wrapper
+  // Rate-limited AI API call wrapper. Despite the name, the call goes to whichever
+  // provider ai.config.js routes the operation to.
+  //
+  // options.onDelta, when given, streams the completion and receives each piece of text as it arrives.
+  // options.schema is the prompt's response schema, used by the replay provider for synthetic answers.
+  // options.signal, an AbortSignal, cancels the call when the caller no longer wants the answer.
   async makeOpenAICall(model, messages, options = {}) {
-    // If using mock service, return mock response
-    if (this.isMock) {
-      console.log('Mock AI service - returning mock response');
-      return {
-        choices: [{
-          message: {
-            content: JSON.stringify({
-              case_summary: 'Mock AI analysis - OpenAI not configured',
-              key_facts: ['Mock fact 1', 'Mock fact 2'],
-              legal_issues: ['Mock legal issue'],
-              parties: { plaintiffs: ['Mock Plaintiff'], defendants: ['Mock Defendant'] },
-              claims: ['Mock claim'],
-              relief_sought: 'Mock relief',
-              case_strength_indicators: ['Mock indicator'],
-              potential_challenges: ['Mock challenge']
-            })
-          }
-        }],
-        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
-        model: 'mock-model'
-      };
+    // Providers and models to try for this operation, in order, limited to those the
+    // case's organization permits sending its material to
+    const operation = options.operation || 'default';
+    const chain = this.providers.resolveChain(operation, model, options.organizationId);
+    
+    // Validate required fields
+    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+      throw new Error('Messages array is required for AI API call');
     }
-
-    // Estimate tokens for rate limiting
-    const messageText = messages.map(m => m.content).join(' ');
-    const estimatedTokens = this.estimateTokens(messageText);
     
-    // Check rate limits before making call
-    await this.checkRateLimit(model, estimatedTokens);
+    // Remove tracking fields from options as they are not valid chat completion parameters
+    const requestOptions = { ...options };
+    ['operation', 'userId', 'caseId', 'organizationId', 'startTime', 'onDelta', 'schema', 'signal'].forEach(key => delete requestOptions[key]);
     
-    // Add delay between calls to be extra safe
-    const delayBetweenCalls = aiConfig.delayBetweenCalls;
-    await new Promise(resolve => setTimeout(resolve, delayBetweenCalls));
+    // An identical request to the operation's primary model is answered from the cache
+    const cacheKey = aiCacheService.isEnabled(operation)
+      ? aiCacheService.buildKey(chain[0], messages, requestOptions)
+      : null;
+    if (cacheKey) {
+      const cached = await aiCacheService.get(cacheKey);
+      if (cached) {
+        await this.recordCacheHit(chain[0], cached, { operation, messages, options });
+        options.onDelta?.(cached.choices[0].message.content);
+        return { ...cached, cached: true, cacheKey };
+      }
+    }
     
-    // Determine timeout based on operation type and content length
-    const operation = options.operation || 'default';
+    // Prompt tokens for rate limiting and the budget check, counted for the primary model
+    const estimatedTokens = tokenizerService.countMessageTokens(messages, chain[0].model);
+    
+    // Stop before spending anything once a case, user or organization budget is used up
+    await costMonitorService.assertWithinBudget(
+      { caseId: options.caseId, userId: options.userId, organizationId: options.organizationId },
+      this.calculateCallCost(chain[0], { prompt_tokens: estimatedTokens, completion_tokens: 0 })
+    );
+    
+    // The operation's timeout is shared by the whole chain, so fallbacks only get what is left
     const timeout = aiConfig.getTimeoutForOperation(operation, estimatedTokens);
+    const deadline = Date.now() + timeout;
+    const attempts = [];
     
-    console.log(`[AIService] Making OpenAI API call with ${timeout}ms timeout, estimated tokens: ${estimatedTokens}, operation: ${operation}`);
+    for (const [index, route] of chain.entries()) {
+      const remainingTime = deadline - Date.now();
+      const isLastHop = index === chain.length - 1;
+      
+      if (options.signal?.aborted) {
+        throw new AICallAbortedError(operation);
+      }
+      
+      if (index > 0 && remainingTime < aiConfig.fallback.minHopTimeMs) {
+        console.warn(`[AIService] Only ${remainingTime}ms left for ${operation}, not falling back to ${route.provider}/${route.model}`);
+        break;
+      }
+      
+      const callStartTime = Date.now();
+      try {
+        const response = await this.callProviderRoute(route, { messages, ...requestOptions }, {
+          operation,
+          estimatedTokens,
+          timeout: remainingTime,
+          isLastHop,
+          onDelta: options.onDelta,
+          schema: options.schema,
+          signal: options.signal
+        });
+        
+        attempts.push({ provider: route.provider, model: route.model, durationMs: Date.now() - callStartTime });
+        response.answeredBy = { provider: route.provider, model: route.model, fallback: index > 0 };
+        response.attempts = attempts;
+        
+        await this.recordCallUsage(route, chain[0], response, {
+          operation,
+          messages,
+          options,
+          estimatedTokens,
+          durationMs: Date.now() - callStartTime
+        });
+        
+        // The key names the primary model, so a fallback's answer isn't cached under it
+        if (cacheKey && index === 0) {
+          await aiCacheService.set(cacheKey, operation, chain[0], response);
+          response.cacheKey = cacheKey;
+        }
+        
+        return response;
+      } catch (error) {
+        attempts.push({ provider: route.provider, model: route.model, durationMs: Date.now() - callStartTime, error: error.message });
+        
+        if (!error.fallbackable || isLastHop) {
+          error.attempts = attempts;
+          throw error;
+        }
+        
+        const nextRoute = chain[index + 1];
+        console.warn(`[AIService] ${route.provider}/${route.model} failed for ${operation} (${error.message}), falling back to ${nextRoute.provider}/${nextRoute.model}`);
+      }
+    }
     
-    // Add timeout to prevent hanging requests
+    const error = new Error(`AI call for ${operation} ran out of time after ${attempts.length} attempt(s): ${attempts.map(attempt => attempt.error).join('; ')}`);
+    error.attempts = attempts;
+    throw error;
+  }
+
+  // Call the model for a prompt and check the parsed JSON against the prompt's schema.
+  // A response that doesn't parse or validate gets one retry with the problems fed back;
+  // if that one fails too an AIResponseValidationError is thrown instead of returning it.
+  // Streaming callers pass onDelta for the text as it arrives and onRetry to hear about a repair.
+  async makeValidatedCall(promptConfig, messages, options = {}, { onDelta, onRetry } = {}) {
+    const operation = options.operation || 'default';
+    const callOptions = { ...options, schema: promptConfig.schema, ...(onDelta && { onDelta }) };
+    let response = await this.makeOpenAICall(promptConfig.model, messages, callOptions);
+
+    let content = response.choices[0].message.content;
+    let validation = this.validateAIResponse(content, promptConfig.schema);
+
+    if (validation.errors) {
+      if (response.cacheKey) await aiCacheService.delete(response.cacheKey);
+      console.warn(`⚠️ AI response for ${operation} failed validation, retrying: ${validation.errors.join('; ')}`);
+      onRetry?.(validation.errors);
+
+      response = await this.makeOpenAICall(promptConfig.model, [
+        ...messages,
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: `Your response did not match the required format:\n${validation.errors.map(error => `- ${error}`).join('\n')}\n\nReply with the corrected JSON object only.`
+        }
+      ], callOptions);
+
+      content = response.choices[0].message.content;
+      validation = this.validateAIResponse(content, promptConfig.schema);
+
+      if (validation.errors) {
+        if (response.cacheKey) await aiCacheService.delete(response.cacheKey);
+        throw new AIResponseValidationError(operation, validation.errors);
+      }
+    }
+
+    return { result: validation.value, response };
+  }
+
+  // Parse model output and validate it, applying schema defaults. Returns { value } or { errors }.
+  validateAIResponse(content, schema) {
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      return { errors: [`Response is not valid JSON: ${error.message}`] };
+    }
+
+    if (!schema) return { value: parsed };
+
+    const { error, value } = schema.validate(parsed, { allowUnknown: true, abortEarly: false });
+    if (error) {
+      return { errors: error.details.map(detail => detail.message) };
+    }
+
+    return { value };
+  }
+
+  // Errors callers must see rather than a placeholder result: budget and provider policy
+  // stops, calls the caller aborted, and responses that were still malformed after the repair attempt
+  shouldPropagate(error) {
+    return error instanceof BudgetExceededError ||
+      error instanceof AIProviderNotAllowedError ||
+      error instanceof AIResponseValidationError ||
+      error instanceof AICallAbortedError;
+  }
+
+  // One rate-limited call to a single provider/model. Errors that another model might not
+  // hit (429s, 5xx and timeouts) are marked fallbackable.
+  async callProviderRoute(route, requestBody, { operation, estimatedTokens, timeout, isLastHop, onDelta, schema, signal }) {
+    const deadline = Date.now() + timeout;
+    
+    // Replayed responses don't reach a provider, so they skip its rate limits
+    if (route.provider !== 'replay') {
+      // Check rate limits before making call
+      await this.checkRateLimit(route.model, estimatedTokens);
+      
+      // Add delay between calls to be extra safe
+      const delayBetweenCalls = aiConfig.delayBetweenCalls;
+      await new Promise(resolve => setTimeout(resolve, delayBetweenCalls));
+    }
+    
+    console.log(`[AIService] Making ${route.provider} API call (${route.model}) with ${timeout}ms timeout, estimated tokens: ${estimatedTokens}, operation: ${operation}`);
+    
+    // Abort requests that run past the time left for this call, or that the caller cancels
+    const controller = new AbortController();
+    const streamState = { started: false };
     const timeoutId = setTimeout(() => {
-      console.log(`[AIService] OpenAI API call timeout after ${timeout}ms - aborting request`);
-    }, timeout);
+      console.log(`[AIService] ${route.provider} API call timeout after ${timeout}ms - aborting request`);
+      controller.abort();
+    }, Math.max(timeout, 0));
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel, { once: true });
     
     try {
-      // Remove operation from options as it's not a valid OpenAI API parameter
-      const { operation, ...openAIOptions } = options;
-      
-      // Ensure proper request format
-      const requestBody = {
-        model,
-        messages,
-        ...openAIOptions
-      };
-
-      // Validate required fields
-      if (!model) {
-        throw new Error('Model is required for OpenAI API call');
-      }
-      if (!messages || !Array.isArray(messages) || messages.length === 0) {
-        throw new Error('Messages array is required for OpenAI API call');
+      if (signal?.aborted) {
+        throw new AICallAbortedError(operation);
       }
-
-      console.log(`[AIService] OpenAI request:`, {
-        model,
-        messageCount: messages.length,
+      
+      console.log(`[AIService] ${route.provider} request:`, {
+        model: route.model,
+        messageCount: requestBody.messages.length,
         estimatedTokens,
         operation
       });
       
-      const response = await this.openai.chat.completions.create(requestBody);
+      const providerOptions = { signal: controller.signal, operation, schema };
+      const response = onDelta
+        ? await this.collectStream(route, requestBody, providerOptions, onDelta, streamState)
+        : await this.providers.createChatCompletion(route, requestBody, providerOptions);
       
       clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', cancel);
       
-      // Log actual usage for monitoring and cost tracking
-      if (response.usage) {
-        const usage = response.usage;
-        console.log(`[AIService] OpenAI API call completed:`, {
-          model,
-          promptTokens: usage.prompt_tokens,
-          completionTokens: usage.completion_tokens,
-          totalTokens: usage.total_tokens,
-          estimatedTokens: estimatedTokens
-        });
-
-        // Calculate cost based on OpenAI pricing
-        const cost = this.calculateOpenAICost(model, usage);
-        
-        // Log cost if tracking is enabled and we have a user context
-        if (cost > 0 && options.userId) {
-          try {
-            await costMonitorService.logOperationCost(
-              `ai_${operation || 'request'}`,
-              options.userId,
-              {
-                aiCalls: 1,
-                aiCost: cost,
-                totalCost: cost,
-                duration: Date.now() - (options.startTime || Date.now()),
-                operations: {
-                  model,
-                  tokens: usage.total_tokens,
-                  promptTokens: usage.prompt_tokens,
-                  completionTokens: usage.completion_tokens
-                }
-              }
-            );
-          } catch (costError) {
-            console.warn('Failed to log AI operation cost:', costError.message);
-          }
-        }
+      if (this.providers.isRecording()) {
+        await this.providers.recordFixture(route, requestBody, response, operation);
       }
       
       return response;
     } catch (error) {
       clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', cancel);
+      
+      // Nobody is waiting for the answer, so it is neither retried nor sent to another model
+      if (signal?.aborted) {
+        console.log(`[AIService] ${route.provider} API call for ${operation} aborted by the caller`);
+        throw error instanceof AICallAbortedError ? error : new AICallAbortedError(operation);
+      }
+      
+      // Text already sent to the caller can't be taken back, so a broken stream isn't retried elsewhere
+      if (streamState.started) {
+        console.error(`[AIService] ${route.provider} stream failed after output had started: ${error.message}`);
+        throw error;
+      }
       
-      // Handle specific OpenAI errors
+      // Handle specific provider errors
       if (error.status === 429) {
-        const retryAfter = error.headers?.['retry-after'] || 60;
+        const retryAfter = Number(error.headers?.['retry-after']) || 60;
+        
+        // Another model can be tried straight away; the last one waits so retryAICall can retry it,
+        // unless the wait would outlast the operation's time budget
+        if (!isLastHop || retryAfter * 1000 > deadline - Date.now()) {
+          throw this.fallbackableError(`${route.provider} rate limited, retry after ${retryAfter}s`, error);
+        }
+        
         console.log(`[AIService] Rate limited, retry after ${retryAfter}s`);
         await new Promise(resolve => setTimeout(resolve, retryAfter * 1000));
-        throw new Error(`Rate limited, retry after ${retryAfter}s`);
+        throw this.fallbackableError(`Rate limited, retry after ${retryAfter}s`, error);
       }
       
       if (error.status >= 500) {
-        console.error(`[AIService] OpenAI server error: ${error.message}`);
-        throw new Error(`OpenAI server error: ${error.message}`);
+        console.error(`[AIService] ${route.provider} server error: ${error.message}`);
+        throw this.fallbackableError(`${route.provider} server error: ${error.message}`);
       }
       
       // Handle timeout errors specifically
-      if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-        console.error(`[AIService] OpenAI API call timed out after ${timeout}ms`);
-        throw new Error(`OpenAI API call timed out after ${timeout}ms. Please try again or contact support if the issue persists.`);
+      if (controller.signal.aborted || error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
+        console.error(`[AIService] ${route.provider} API call timed out after ${timeout}ms`);
+        throw this.fallbackableError(`${route.provider} API call timed out after ${timeout}ms. Please try again or contact support if the issue persists.`);
       }
       
-      console.error(`[AIService] OpenAI API call failed:`, error);
+      console.error(`[AIService] ${route.provider} API call failed:`, error);
       throw error;
     }
   }
 
+  // Stream a completion, handing each text delta to onDelta, and return it assembled in the
+  // same shape as a non-streamed response
+  async collectStream(route, requestBody, providerOptions, onDelta, streamState) {
+    const stream = await this.providers.createChatCompletionStream(route, requestBody, providerOptions);
+    const response = { model: route.model, choices: [{ index: 0, message: { role: 'assistant', content: '' }, finish_reason: null }], usage: null };
+    
+    for await (const chunk of stream) {
+      const choice = chunk.choices?.[0];
+      if (choice?.delta?.content) {
+        streamState.started = true;
+        response.choices[0].message.content += choice.delta.content;
+        onDelta(choice.delta.content);
+      }
+      if (choice?.finish_reason) response.choices[0].finish_reason = choice.finish_reason;
+      if (chunk.usage) response.usage = chunk.usage;
+      if (chunk.model) response.model = chunk.model;
+    }
+    
+    return response;
+  }
+
+  // cause's status and code are kept so callers can still tell, say, a quota error apart
+  fallbackableError(message, cause = null) {
+    const error = new Error(message);
+    error.fallbackable = true;
+    if (cause) {
+      error.status = cause.status;
+      error.code = cause.code;
+    }
+    return error;
+  }
+
+  // Trace and cost-log a completed call under the model that actually answered it
+  async recordCallUsage(route, primaryRoute, response, { operation, messages, options, estimatedTokens, durationMs }) {
+    // The estimate was made for the primary model; a fallback may use a different encoding
+    const estimatedPromptTokens = route.model === primaryRoute.model
+      ? estimatedTokens
+      : tokenizerService.countMessageTokens(messages, route.model);
+    
+    pipelineTraceService.recordAICall({
+      provider: route.provider,
+      model: route.model,
+      operation,
+      messages,
+      response,
+      durationMs,
+      attempts: response.attempts,
+      estimatedPromptTokens
+    });
+    
+    // Log actual usage for monitoring and cost tracking
+    if (!response.usage) return;
+    
+    const usage = response.usage;
+    const estimateDifference = tokenizerService.recordPromptUsage(route.model, estimatedPromptTokens, usage.prompt_tokens || 0);
+    console.log(`[AIService] ${route.provider} API call completed:`, {
+      model: route.model,
+      promptTokens: usage.prompt_tokens,
+      completionTokens: usage.completion_tokens,
+      totalTokens: usage.total_tokens,
+      estimatedPromptTokens,
+      estimateDifference
+    });
+
+    // Calculate cost based on provider pricing
+    const cost = this.calculateCallCost(route, usage);
+    
+    // Log cost whenever the call belongs to a budget scope, so case and organization budgets see it too
+    if (cost > 0 && (options.caseId || options.userId || options.organizationId)) {
+      try {
+        await costMonitorService.logOperationCost(
+          `ai_${operation || 'request'}`,
+          options.userId || null,
+          {
+            aiCalls: 1,
+            aiCost: cost,
+            totalCost: cost,
+            duration: Date.now() - (options.startTime || Date.now()),
+            operations: {
+              provider: route.provider,
+              model: route.model,
+              ...(response.answeredBy.fallback && { fallbackFrom: `${primaryRoute.provider}/${primaryRoute.model}` }),
+              caseId: options.caseId,
+              organizationId: options.organizationId,
+              tokens: usage.total_tokens,
+              promptTokens: usage.prompt_tokens,
+              estimatedPromptTokens,
+              completionTokens: usage.completion_tokens
+            }
+          }
+        );
+      } catch (costError) {
+        console.warn('Failed to log AI operation cost:', costError.message);
+      }
+    }
+  }
+
+  // A cached answer costs nothing; what the call would have cost is logged as a saving
+  async recordCacheHit(route, response, { operation, messages, options }) {
+    pipelineTraceService.recordAICall({
+      provider: route.provider,
+      model: route.model,
+      operation,
+      messages,
+      response,
+      durationMs: 0,
+      cached: true
+    });
+    
+    const savedCost = response.usage ? this.calculateCallCost(response.answeredBy || route, response.usage) : 0;
+    console.log(`[AIService] Cache hit for ${operation} (${route.provider}/${route.model}), saved $${savedCost}`);
+    
+    if (savedCost > 0 && options.userId) {
+      try {
+        await costMonitorService.logOperationCost(
+          `ai_${operation || 'request'}`,
+          options.userId,
+          {
+            aiCalls: 0,
+            aiCost: 0,
+            totalCost: 0,
+            operations: {
+              provider: route.provider,
+              model: route.model,
+              cacheHit: true,
+              savedCostUsd: savedCost,
+              caseId: options.caseId,
+              organizationId: options.organizationId,
+              tokens: response.usage.total_tokens
+            }
+          }
+        );
+      } catch (costError) {
+        console.warn('Failed to log AI cache savings:', costError.message);
+      }
+    }
+  }
+
   // Step 1: Legal Case Intake Analysis
-  async executeIntakeAnalysis(caseData, evidenceData, documentContent, userId = null) {
+  async executeIntakeAnalysis(caseData, evidenceData, documentContent, userId = null, callOptions = {}) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.INTAKE_ANALYSIS;
+      const promptConfig = AI_PROMPTS.INTAKE_ANALYSIS;
+      const { temperature, prompt } = promptConfig;
+      const documentText = await this.prepareDocumentContent(caseData, documentContent, { userId, ...callOptions });
       
       console.log(`Making OpenAI API call for case intake analysis: ${caseData.id}`);
-      const response = await this.makeOpenAICall(model, [{
+      const { result, response } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
-        content: prompt(caseData, evidenceData, documentContent)
+        content: prompt(caseData, evidenceData, documentText)
       }], {
         temperature,
         response_format: { type: 'json_object' },
         operation: 'intake',
         userId,
-        startTime: Date.now()
+        startTime: Date.now(),
+        ...callOptions
       });
 
       console.log(`OpenAI API response received for case ${caseData.id}:`, {
@@ -296,11 +599,12 @@ class AIService {
         model: response.model
       });
       
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Case intake analysis completed:', { caseId: caseData.id });
       
       return result;
     } catch (error) {
+      if (this.shouldPropagate(error)) throw error;
+
       console.error('Case intake analysis error:', error.message);
       Sentry.captureException(error, {
         tags: { service: 'ai', operation: 'executeIntakeAnalysis' },
@@ -327,20 +631,137 @@ class AIService {
     }
   }
 
+  // Documents that fit are sent to intake as they are. Larger ones are chunked by page and
+  // section and each chunk is summarized; the page-cited summaries replace the raw text.
+  async prepareDocumentContent(caseData, documentContent, callOptions = {}) {
+    const { directPromptTokens, chunkTokens, maxReduceRounds, maxChunks, summaryConcurrency } = aiConfig.documentChunking;
+    const intakeModel = AI_PROMPTS.INTAKE_ANALYSIS.model;
+    const chunkModel = AI_PROMPTS.DOCUMENT_CHUNK_SUMMARY.model;
+    let content = documentContent || '';
+    let chunksLeft = maxChunks;
+    
+    for (let round = 1; this.estimateTokens(content, intakeModel) > directPromptTokens; round++) {
+      if (round > maxReduceRounds || chunksLeft <= 0) {
+        console.warn(`⚠️ Document summaries for case ${caseData.id} are still over ${directPromptTokens} tokens after ${round - 1} rounds, truncating`);
+        return tokenizerService.truncateToTokens(content, directPromptTokens, intakeModel);
+      }
+      
+      const chunks = chunkDocumentContent(content, {
+        maxTokens: chunkTokens,
+        countTokens: text => this.estimateTokens(text, chunkModel)
+      });
+      const summarized = chunks.slice(0, chunksLeft);
+      const skipped = chunks.slice(chunksLeft);
+      chunksLeft -= summarized.length;
+      
+      console.log(`📄 Summarizing ${summarized.length} document chunks for case ${caseData.id} (round ${round})`);
+      if (skipped.length > 0) {
+        console.warn(`⚠️ Leaving ${skipped.length} document chunks for case ${caseData.id} unsummarized, over the limit of ${maxChunks} per case`);
+      }
+      
+      // Chunks are independent, so they are summarized a few at a time and kept in page order
+      const summaries = [];
+      await runDag(
+        summarized.map((chunk, index) => ({ name: `chunk-${index}`, chunk, index })),
+        async ({ chunk, index }) => {
+          summaries[index] = await this.summarizeDocumentChunk(caseData, chunk, callOptions);
+        },
+        { concurrency: summaryConcurrency }
+      );
+      content = [...summaries, ...skipped.map(chunk => skippedChunkNote(chunk, maxChunks))].join('\n\n');
+    }
+    
+    return content;
+  }
+
+  // Dry-run counterpart of prepareDocumentContent: the chunk summary calls it would make, and
+  // stand-in text the size of what intake would receive. Each summary is assumed to be
+  // summaryTokens long, since its real length is only known once the model has written it.
+  estimateDocumentPreparation(caseData, documentContent, summaryTokens) {
+    const { directPromptTokens, chunkTokens, maxReduceRounds, maxChunks } = aiConfig.documentChunking;
+    const intakeModel = AI_PROMPTS.INTAKE_ANALYSIS.model;
+    const { model: chunkModel, prompt } = AI_PROMPTS.DOCUMENT_CHUNK_SUMMARY;
+    const summaryCalls = [];
+    let content = documentContent || '';
+    let chunksLeft = maxChunks;
+    
+    for (let round = 1; this.estimateTokens(content, intakeModel) > directPromptTokens; round++) {
+      if (round > maxReduceRounds || chunksLeft <= 0) {
+        return { summaryCalls, content: tokenizerService.truncateToTokens(content, directPromptTokens, intakeModel) };
+      }
+      
+      const chunks = chunkDocumentContent(content, {
+        maxTokens: chunkTokens,
+        countTokens: text => this.estimateTokens(text, chunkModel)
+      });
+      const summarized = chunks.slice(0, chunksLeft);
+      const skipped = chunks.slice(chunksLeft);
+      chunksLeft -= summarized.length;
+      
+      for (const chunk of summarized) {
+        summaryCalls.push({ round, promptTokens: this.estimateTokens(prompt(caseData, chunk), chunkModel) });
+      }
+      
+      // The next round chunks filler text of the summaries' expected length
+      content = [
+        ...summarized.map(chunk => `Summary of ${pageMarker(chunk.fileName, chunk.startPage)}: ${'fact '.repeat(summaryTokens)}`),
+        ...skipped.map(chunk => skippedChunkNote(chunk, maxChunks))
+      ].join('\n\n');
+    }
+    
+    return { summaryCalls, content };
+  }
+
+  // Summary of one chunk as text, each fact and date prefixed with the pages it came from.
+  // A chunk that can't be summarized leaves a note so intake knows those pages are missing.
+  async summarizeDocumentChunk(caseData, chunk, callOptions = {}) {
+    const heading = `Summary of ${chunkMarker(chunk)}`;
+    
+    try {
+      const promptConfig = AI_PROMPTS.DOCUMENT_CHUNK_SUMMARY;
+      const { temperature, prompt } = promptConfig;
+      
+      const { result } = await this.makeValidatedCall(promptConfig, [{
+        role: 'user',
+        content: prompt(caseData, chunk)
+      }], {
+        temperature,
+        response_format: { type: 'json_object' },
+        operation: 'document_chunk_summary',
+        startTime: Date.now(),
+        ...callOptions
+      });
+      
+      return [
+        `${heading}: ${result.summary}`,
+        ...result.key_facts.map(fact => `${pageMarker(fact.document || chunk.fileName, fact.pages)} ${fact.fact}`),
+        ...(result.key_dates || []).map(date => `${pageMarker(chunk.fileName, date.pages)} ${date.date || 'Undated'}: ${date.event}`),
+        ...(result.parties?.length ? [`Parties mentioned: ${result.parties.join(', ')}`] : []),
+        ...(result.claims?.length ? [`Claims raised: ${result.claims.join(', ')}`] : [])
+      ].join('\n');
+    } catch (error) {
+      if (error instanceof BudgetExceededError || error instanceof AIProviderNotAllowedError) throw error;
+      
+      console.warn(`⚠️ Could not summarize document chunk ${chunk.index} for case ${caseData.id}:`, error.message);
+      return `${heading}: [not summarized - ${error.message}]`;
+    }
+  }
+
   // Step 2: Jurisdiction Analysis
   async executeJurisdictionAnalysis(caseData, intakeResults) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.JURISDICTION_ANALYSIS;
+      const promptConfig = AI_PROMPTS.JURISDICTION_ANALYSIS;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(caseData, intakeResults)
       }], {
         temperature,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        operation: 'jurisdiction'
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Jurisdiction analysis completed:', result);
       
       return result;
@@ -357,17 +778,18 @@ class AIService {
   // Step 3: Case Enhancement with CourtListener data
   async executeCaseEnhancement(caseData, intakeResults, jurisdiction, documentContent) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.CASE_ENHANCEMENT;
+      const promptConfig = AI_PROMPTS.CASE_ENHANCEMENT;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(caseData, intakeResults, jurisdiction, documentContent)
       }], {
         temperature,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        operation: 'enhancement'
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Case enhancement completed:', { 
         caseId: caseData.id,
         enhancedType: result.enhanced_case_type 
@@ -387,17 +809,18 @@ class AIService {
   // Step 4: Case Complexity Scoring
   async executeComplexityScore(caseData, enhancement, precedentSummary) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.COMPLEXITY_SCORE;
+      const promptConfig = AI_PROMPTS.COMPLEXITY_SCORE;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(caseData, enhancement, precedentSummary)
       }], {
         temperature,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        operation: 'complexity'
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Complexity calculation completed:', result.case_complexity_score);
       
       return result.case_complexity_score;
@@ -414,17 +837,18 @@ class AIService {
   // Step 5: Court Opinion Analysis
   async executeCourtOpinionAnalysis(opinionText) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.COURT_OPINION_ANALYSIS;
+      const promptConfig = AI_PROMPTS.COURT_OPINION_ANALYSIS;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(opinionText)
       }], {
         temperature,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        operation: 'court_opinion_analysis'
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Court opinion analysis completed');
       
       return result;
@@ -440,17 +864,18 @@ class AIService {
   // Step 6: Legal Prediction
   async executePredictionAnalysis(data) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.PREDICTION_ANALYSIS;
+      const promptConfig = AI_PROMPTS.PREDICTION_ANALYSIS;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(data)
       }], {
         temperature,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        operation: 'prediction'
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Legal prediction generated:', { 
         outcomeScore: result.outcome_prediction_score 
       });
@@ -468,17 +893,18 @@ class AIService {
   // Document structure extraction
   async extractDocumentStructure(text, fileName) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.DOCUMENT_STRUCTURE_EXTRACTION;
+      const promptConfig = AI_PROMPTS.DOCUMENT_STRUCTURE_EXTRACTION;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(text, fileName)
       }], {
         temperature,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        operation: 'document_structure'
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Document structure extraction completed');
       
       return result;
@@ -507,17 +933,18 @@ class AIService {
   // Case information fusion
   async fuseCaseInformation(userProvided, documentExtracted) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.CASE_INFORMATION_FUSION;
+      const promptConfig = AI_PROMPTS.CASE_INFORMATION_FUSION;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(userProvided, documentExtracted)
       }], {
         temperature,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        operation: 'case_fusion'
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Case information fusion completed');
       
       return result;
@@ -547,11 +974,12 @@ class AIService {
   // Enhanced ALEGI Pipeline Methods
 
   // Precedent Analysis - Feature #3
-  async executePrecedentAnalysis(caseData, precedents, intakeAnalysis, userId = null) {
+  async executePrecedentAnalysis(caseData, precedents, intakeAnalysis, userId = null, callOptions = {}) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.PRECEDENT_ANALYSIS;
+      const promptConfig = AI_PROMPTS.PRECEDENT_ANALYSIS;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(caseData, precedents, intakeAnalysis)
       }], {
@@ -559,14 +987,16 @@ class AIService {
         response_format: { type: 'json_object' },
         operation: 'precedent_analysis',
         userId,
-        startTime: Date.now()
+        startTime: Date.now(),
+        ...callOptions
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Precedent analysis completed:', { caseId: caseData.id });
       
       return result;
     } catch (error) {
+      if (this.shouldPropagate(error)) throw error;
+
       console.error('Precedent analysis error:', error);
       Sentry.captureException(error, {
         tags: { service: 'ai', operation: 'executePrecedentAnalysis' },
@@ -584,23 +1014,27 @@ class AIService {
   }
 
   // Judicial Analysis - Feature #4
-  async executeJudicialAnalysis(caseData, judgeTrends, intakeAnalysis) {
+  async executeJudicialAnalysis(caseData, judgeTrends, intakeAnalysis, callOptions = {}) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.JUDICIAL_ANALYSIS;
+      const promptConfig = AI_PROMPTS.JUDICIAL_ANALYSIS;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(caseData, judgeTrends, intakeAnalysis)
       }], {
         temperature,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        operation: 'judicial_analysis',
+        ...callOptions
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Judicial analysis completed:', { caseId: caseData.id });
       
       return result;
     } catch (error) {
+      if (this.shouldPropagate(error)) throw error;
+
       console.error('Judicial analysis error:', error);
       Sentry.captureException(error, {
         tags: { service: 'ai', operation: 'executeJudicialAnalysis' },
@@ -619,23 +1053,27 @@ class AIService {
   }
 
   // Similar Case Analysis - Feature #10
-  async executeSimilarCaseAnalysis(caseData, similarCases, intakeAnalysis) {
+  async executeSimilarCaseAnalysis(caseData, similarCases, intakeAnalysis, callOptions = {}) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.SIMILAR_CASE_ANALYSIS;
+      const promptConfig = AI_PROMPTS.SIMILAR_CASE_ANALYSIS;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(caseData, similarCases, intakeAnalysis)
       }], {
         temperature,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        operation: 'similar_case_analysis',
+        ...callOptions
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Similar case analysis completed:', { caseId: caseData.id });
       
       return result;
     } catch (error) {
+      if (this.shouldPropagate(error)) throw error;
+
       console.error('Similar case analysis error:', error);
       Sentry.captureException(error, {
         tags: { service: 'ai', operation: 'executeSimilarCaseAnalysis' },
@@ -652,23 +1090,27 @@ class AIService {
   }
 
   // Risk Assessment - Feature #5
-  async executeRiskAssessment(data) {
+  async executeRiskAssessment(data, callOptions = {}) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.RISK_ASSESSMENT;
+      const promptConfig = AI_PROMPTS.RISK_ASSESSMENT;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(data)
       }], {
         temperature,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        operation: 'risk_assessment',
+        ...callOptions
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Risk assessment completed:', { caseId: data.caseData.id });
       
       return result;
     } catch (error) {
+      if (this.shouldPropagate(error)) throw error;
+
       console.error('Risk assessment error:', error);
       Sentry.captureException(error, {
         tags: { service: 'ai', operation: 'executeRiskAssessment' },
@@ -688,23 +1130,27 @@ class AIService {
   }
 
   // Cost Estimation - Feature #6
-  async executeCostEstimation(data) {
+  async executeCostEstimation(data, callOptions = {}) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.COST_ESTIMATION;
+      const promptConfig = AI_PROMPTS.COST_ESTIMATION;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(data)
       }], {
         temperature,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        operation: 'cost_estimation',
+        ...callOptions
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Cost estimation completed:', { caseId: data.caseData.id });
       
       return result;
     } catch (error) {
+      if (this.shouldPropagate(error)) throw error;
+
       console.error('Cost estimation error:', error);
       Sentry.captureException(error, {
         tags: { service: 'ai', operation: 'executeCostEstimation' },
@@ -726,23 +1172,27 @@ class AIService {
   }
 
   // Financial Prediction - Feature #7
-  async executeFinancialPrediction(data) {
+  async executeFinancialPrediction(data, callOptions = {}) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.FINANCIAL_PREDICTION;
+      const promptConfig = AI_PROMPTS.FINANCIAL_PREDICTION;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(data)
       }], {
         temperature,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        operation: 'financial_prediction',
+        ...callOptions
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Financial prediction completed:', { caseId: data.caseData.id });
       
       return result;
     } catch (error) {
+      if (this.shouldPropagate(error)) throw error;
+
       console.error('Financial prediction error:', error);
       Sentry.captureException(error, {
         tags: { service: 'ai', operation: 'executeFinancialPrediction' },
@@ -762,23 +1212,27 @@ class AIService {
   }
 
   // Settlement Analysis - Feature #2
-  async executeSettlementAnalysis(data) {
+  async executeSettlementAnalysis(data, callOptions = {}) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.SETTLEMENT_ANALYSIS;
+      const promptConfig = AI_PROMPTS.SETTLEMENT_ANALYSIS;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(data)
       }], {
         temperature,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        operation: 'settlement_analysis',
+        ...callOptions
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Settlement analysis completed:', { caseId: data.caseData.id });
       
       return result;
     } catch (error) {
+      if (this.shouldPropagate(error)) throw error;
+
       console.error('Settlement analysis error:', error);
       Sentry.captureException(error, {
         tags: { service: 'ai', operation: 'executeSettlementAnalysis' },
@@ -800,23 +1254,27 @@ class AIService {
   }
 
   // Outcome Probability - Feature #1
-  async executeOutcomeProbability(data) {
+  async executeOutcomeProbability(data, callOptions = {}) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.OUTCOME_PROBABILITY;
+      const promptConfig = AI_PROMPTS.OUTCOME_PROBABILITY;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(data)
       }], {
         temperature,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        operation: 'outcome_probability',
+        ...callOptions
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Outcome probability completed:', { caseId: data.caseData.id });
       
       return result;
     } catch (error) {
+      if (this.shouldPropagate(error)) throw error;
+
       console.error('Outcome probability error:', error);
       Sentry.captureException(error, {
         tags: { service: 'ai', operation: 'executeOutcomeProbability' },
@@ -838,23 +1296,27 @@ class AIService {
   }
 
   // Timeline Estimation - Feature #8
-  async executeTimelineEstimation(data) {
+  async executeTimelineEstimation(data, callOptions = {}) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.TIMELINE_ESTIMATION;
+      const promptConfig = AI_PROMPTS.TIMELINE_ESTIMATION;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(data)
       }], {
         temperature,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        operation: 'timeline_estimation',
+        ...callOptions
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Timeline estimation completed:', { caseId: data.caseData.id });
       
       return result;
     } catch (error) {
+      if (this.shouldPropagate(error)) throw error;
+
       console.error('Timeline estimation error:', error);
       Sentry.captureException(error, {
         tags: { service: 'ai', operation: 'executeTimelineEstimation' },
@@ -874,23 +1336,27 @@ class AIService {
   }
 
   // Comprehensive Analysis - Final Integration
-  async executeComprehensiveAnalysis(data) {
+  async executeComprehensiveAnalysis(data, callOptions = {}) {
     try {
-      const { model, temperature, prompt } = AI_PROMPTS.COMPREHENSIVE_ANALYSIS;
+      const promptConfig = AI_PROMPTS.COMPREHENSIVE_ANALYSIS;
+      const { temperature, prompt } = promptConfig;
       
-      const response = await this.makeOpenAICall(model, [{
+      const { result } = await this.makeValidatedCall(promptConfig, [{
         role: 'user',
         content: prompt(data)
       }], {
         temperature,
-        response_format: { type: 'json_object' }
+        response_format: { type: 'json_object' },
+        operation: 'comprehensive_analysis',
+        ...callOptions
       });
 
-      const result = JSON.parse(response.choices[0].message.content);
       console.log('Comprehensive analysis completed:', { caseId: data.caseId });
       
       return result;
     } catch (error) {
+      if (this.shouldPropagate(error)) throw error;
+
       console.error('Comprehensive analysis error:', error);
       Sentry.captureException(error, {
         tags: { service: 'ai', operation: 'executeComprehensiveAnalysis' },
@@ -906,6 +1372,61 @@ class AIService {
     }
   }
 
+  // One AI_PROMPTS analysis run on request by an API endpoint. Unlike the execute* methods,
+  // failures are thrown rather than replaced by a fallback result, so each endpoint can fall
+  // back in its own way. Streaming endpoints pass hooks.onDelta to get the text as it arrives.
+  async runPromptAnalysis(promptName, operation, data, callOptions = {}, hooks = {}) {
+    const promptConfig = AI_PROMPTS[promptName];
+    const { temperature, prompt } = promptConfig;
+
+    const { result } = await this.makeValidatedCall(promptConfig, [{
+      role: 'user',
+      content: prompt(data)
+    }], {
+      temperature,
+      response_format: { type: 'json_object' },
+      operation,
+      startTime: Date.now(),
+      ...callOptions
+    }, hooks);
+
+    return result;
+  }
+
+  // Registered pipeline step - prompt comes from the step definition.
+  // There is no generic fallback result, so failures are rethrown for the pipeline to record.
+  async executeRegisteredAnalysis(step, data, callOptions = {}) {
+    try {
+      const promptConfig = { ...step.prompt, schema: step.outputSchema };
+      const { temperature, prompt } = promptConfig;
+
+      const { result } = await this.makeValidatedCall(promptConfig, [{
+        role: 'user',
+        content: prompt(data)
+      }], {
+        temperature,
+        response_format: { type: 'json_object' },
+        operation: step.name,
+        startTime: Date.now(),
+        ...callOptions
+      });
+
+      console.log(`Registered analysis ${step.name} completed:`, { caseId: data.caseData?.id });
+
+      return result;
+    } catch (error) {
+      if (this.shouldPropagate(error)) throw error;
+
+      console.error(`Registered analysis ${step.name} error:`, error);
+      Sentry.captureException(error, {
+        tags: { service: 'ai', operation: 'executeRegisteredAnalysis', step: step.name },
+        extra: { caseId: data.caseData?.id }
+      });
+
+      throw error;
+    }
+  }
+
   // Helper method to extract parties from text
   extractParties(text, partyType) {
     // Simple extraction - in production, use more sophisticated NLP
@@ -1030,12 +1551,17 @@ class AIService {
     }
   }
 
+  // How far pre-call prompt token estimates were from providers' usage.prompt_tokens, by model
+  getTokenEstimateStats() {
+    return tokenizerService.getAccuracyStats();
+  }
+
   // Get current rate limit status for monitoring
   getRateLimitStatus() {
     if (this.isMock) {
       return {
         status: 'mock',
-        message: 'Mock AI service - no rate limiting',
+        message: 'AI replay mode - responses come from replay fixtures, no rate limiting',
         currentMinute: new Date().toISOString(),
         requestsThisMinute: 0,
         tokensThisMinute: 0,
@@ -0,0 +1,128 @@
+// services/analysis-version.service.js - Versioned history of each case's analysis results
+const { createClient } = require('@supabase/supabase-js');
+const { diffObjects } = require('../utils/objectDiff');
+
+// Prediction fields shown in version listings so changes are visible without a diff
+const SUMMARY_FIELDS = [
+  'outcome_prediction_score',
+  'confidence_prediction_percentage',
+  'settlement_success_rate',
+  'litigation_cost_estimate',
+  'estimated_financial_outcome',
+  'risk_score',
+  'average_time_resolution'
+];
+
+// case_analysis_versions has a unique (case_id, version) constraint. Concurrent runs of one
+// case can pick the same next version; the loser gets this Postgres error and tries the next one.
+const UNIQUE_VIOLATION = '23505';
+const MAX_VERSION_ATTEMPTS = 5;
+
+class AnalysisVersionService {
+  constructor() {
+    // Initialize Supabase client
+    this.supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY
+      ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY)
+      : null;
+  }
+
+  // Record the results of a pipeline run as the case's next version.
+  // case_analysis and case_predictions keep holding the latest results only.
+  async createVersion(caseId, runId, { predictions, analysis }) {
+    if (!this.supabase) return null;
+
+    const predictionFields = { ...predictions };
+    ['case_id', 'created_at', 'updated_at'].forEach(field => delete predictionFields[field]);
+
+    for (let attempt = 1; ; attempt++) {
+      const version = await this.getNextVersion(caseId);
+
+      const { data, error } = await this.supabase
+        .from('case_analysis_versions')
+        .insert({
+          case_id: caseId,
+          run_id: runId,
+          version,
+          predictions: predictionFields,
+          analysis,
+          created_at: new Date().toISOString()
+        })
+        .select('id, version, run_id, created_at')
+        .single();
+
+      if (error?.code === UNIQUE_VIOLATION && attempt < MAX_VERSION_ATTEMPTS) {
+        console.warn(`⚠️ Analysis version ${version} of case ${caseId} was taken by another run, retrying`);
+        continue;
+      }
+      if (error) throw error;
+
+      console.log(`🗂️ Stored analysis version ${version} for case ${caseId} (run ${runId})`);
+      return data;
+    }
+  }
+
+  async getNextVersion(caseId) {
+    const { data: latest, error } = await this.supabase
+      .from('case_analysis_versions')
+      .select('version')
+      .eq('case_id', caseId)
+      .order('version', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return (latest?.[0]?.version || 0) + 1;
+  }
+
+  async listVersions(caseId) {
+    if (!this.supabase) return [];
+
+    const { data, error } = await this.supabase
+      .from('case_analysis_versions')
+      .select('version, run_id, predictions, created_at')
+      .eq('case_id', caseId)
+      .order('version', { ascending: false });
+
+    if (error) throw error;
+
+    return (data || []).map(row => ({
+      version: row.version,
+      runId: row.run_id,
+      createdAt: row.created_at,
+      summary: Object.fromEntries(SUMMARY_FIELDS.map(field => [field, row.predictions?.[field] ?? null]))
+    }));
+  }
+
+  async getVersion(caseId, version) {
+    if (!this.supabase) return null;
+
+    const { data, error } = await this.supabase
+      .from('case_analysis_versions')
+      .select('*')
+      .eq('case_id', caseId)
+      .eq('version', version)
+      .single();
+
+    if (error || !data) return null;
+    return data;
+  }
+
+  // Field-by-field differences between two versions of a case's analysis.
+  // Returns null when either version does not exist.
+  async diffVersions(caseId, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      this.getVersion(caseId, fromVersion),
+      this.getVersion(caseId, toVersion)
+    ]);
+
+    if (!from || !to) return null;
+
+    return {
+      from: { version: from.version, runId: from.run_id, createdAt: from.created_at },
+      to: { version: to.version, runId: to.run_id, createdAt: to.created_at },
+      predictions: diffObjects(from.predictions, to.predictions),
+      features: diffObjects(from.analysis?.features, to.analysis?.features)
+    };
+  }
+}
+
+module.exports = new AnalysisVersionService();
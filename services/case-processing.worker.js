@@ -3,6 +3,7 @@ const queueService = require('./queueService');
 const EnhancedLinearPipelineService = require('./enhanced-linear-pipeline.service');
 const { createClient } = require('@supabase/supabase-js');
 const Sentry = require('@sentry/node');
+const { BudgetExceededError } = require('../utils/errorHandler');
 
 class CaseProcessingWorker {
   constructor() {
@@ -29,9 +30,10 @@ class CaseProcessingWorker {
   }
 
   async processCase(jobData) {
-    const { caseId, userId, source, trigger } = jobData;
+    const { caseId, userId, source, trigger, resume, features: featureNames } = jobData;
+    const selective = Array.isArray(featureNames) && featureNames.length > 0;
     
-    console.log(`🚀 Starting case processing for case ${caseId} from ${source}`);
+    console.log(`🚀 Starting case processing for case ${caseId} from ${source}${resume ? ' (resuming from checkpoints)' : ''}${selective ? ` (features: ${featureNames.join(', ')})` : ''}`);
     
     try {
       // Update case status to processing
@@ -45,8 +47,23 @@ class CaseProcessingWorker {
           .eq('id', caseId);
       }
 
+      // Only re-run the requested features when the job names them
+      if (selective) {
+        const result = await this.enhancedPipeline.rerunFeatures(caseId, featureNames);
+        
+        console.log(`✅ Feature re-run completed for case ${caseId}: ${result.recomputed.length} recomputed, ${result.reused.length} reused`);
+        
+        return {
+          success: true,
+          caseId,
+          features: result.recomputed,
+          reused: result.reused,
+          completedAt: new Date().toISOString()
+        };
+      }
+      
       // Execute the enhanced pipeline
-      const features = await this.enhancedPipeline.executeEnhancedPipeline(caseId);
+      const features = await this.enhancedPipeline.executeEnhancedPipeline(caseId, { resume: !!resume });
       
       console.log(`✅ Case processing completed for case ${caseId} with ${Object.keys(features).length} features`);
       
@@ -58,6 +75,18 @@ class CaseProcessingWorker {
       };
       
     } catch (error) {
+      // The pipeline has already paused the case; retrying would only hit the same budget
+      if (error instanceof BudgetExceededError) {
+        console.warn(`🛑 Case processing paused for case ${caseId}: ${error.message}`);
+        
+        return {
+          success: false,
+          caseId,
+          status: 'budget_exceeded',
+          budget: { scope: error.scope, scopeId: error.scopeId, limit: error.limit, spent: error.spent }
+        };
+      }
+      
       console.error(`❌ Case processing failed for case ${caseId}:`, error);
       
       // Update case status to failed
@@ -102,6 +131,8 @@ class CaseProcessingWorker {
       userId,
       source: options.source || 'api',
       trigger: options.trigger || 'manual',
+      resume: options.resume || false,
+      features: options.features || null,
       timestamp: new Date().toISOString()
     };
 
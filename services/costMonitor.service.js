@@ -1,6 +1,17 @@
 // services/costMonitor.service.js - Cost monitoring service
 const { createClient } = require('@supabase/supabase-js');
 const Sentry = require('@sentry/node');
+const { BudgetExceededError } = require('../utils/errorHandler');
+
+const BUDGET_SCOPES = {
+  case: 'caseId',
+  user: 'userId',
+  organization: 'organizationId'
+};
+const BUDGET_PERIODS = ['daily', 'monthly', 'total'];
+// How long a spend total loaded from cost_logs is trusted before it is reloaded.
+// Calls logged by this process are added to it in the meantime.
+const SPEND_REFRESH_MS = 60 * 1000;
 
 class CostMonitorService {
   constructor() {
@@ -14,6 +25,9 @@ class CostMonitorService {
       monthly: 2000, // $2000 per month
       total: 10000 // $10000 total
     };
+
+    // Running AI spend per budget scope and period, so budget checks don't re-read cost_logs on every call
+    this.spendTotals = new Map();
   }
 
   // Log operation cost to cost_logs table as specified in CLAUDE.md
@@ -49,6 +63,10 @@ class CostMonitorService {
         return;
       }
 
+      if (operationName.startsWith('ai_')) {
+        this.recordSpend({ userId, ...costs.operations }, costs.totalCost || 0);
+      }
+
       console.log(`💰 Cost logged: ${operationName} - $${costs.totalCost} (user: ${userId})`);
       return data;
     } catch (error) {
@@ -172,7 +190,7 @@ class CostMonitorService {
   // Get detailed cost breakdown from database
   async getCostBreakdown(userId, options = {}) {
     if (!this.supabase) {
-      return { operations: [], total: 0, breakdown: {} };
+      return { operations: [], total: 0, savings: 0, breakdown: {} };
     }
 
     try {
@@ -201,23 +219,180 @@ class CostMonitorService {
 
       const operations = data || [];
       const total = operations.reduce((sum, op) => sum + (op.total_cost_usd || 0), 0);
+      // AI calls answered from the response cache log what they would have cost
+      const savings = operations.reduce((sum, op) => sum + (op.operations?.savedCostUsd || 0), 0);
       
       // Group by operation name
       const breakdown = operations.reduce((acc, op) => {
         const name = op.operation_name;
         if (!acc[name]) {
-          acc[name] = { count: 0, cost: 0, aiCalls: 0 };
+          acc[name] = { count: 0, cost: 0, aiCalls: 0, cacheHits: 0, saved: 0 };
         }
         acc[name].count += 1;
         acc[name].cost += op.total_cost_usd || 0;
         acc[name].aiCalls += op.ai_calls || 0;
+        if (op.operations?.cacheHit) {
+          acc[name].cacheHits += 1;
+          acc[name].saved += op.operations.savedCostUsd || 0;
+        }
         return acc;
       }, {});
 
-      return { operations, total, breakdown };
+      return { operations, total, savings, breakdown };
     } catch (error) {
       console.error('Error getting cost breakdown:', error);
-      return { operations: [], total: 0, breakdown: {} };
+      return { operations: [], total: 0, savings: 0, breakdown: {} };
+    }
+  }
+
+  // Budgets configured for the given case, user and organization
+  async getBudgets(scopeIds = {}) {
+    if (!this.supabase) return [];
+
+    const budgets = [];
+    for (const [scope, key] of Object.entries(BUDGET_SCOPES)) {
+      if (!scopeIds[key]) continue;
+
+      const { data, error } = await this.supabase
+        .from('cost_budgets')
+        .select('*')
+        .eq('scope', scope)
+        .eq('scope_id', scopeIds[key]);
+
+      if (error) throw error;
+      budgets.push(...(data || []));
+    }
+
+    return budgets;
+  }
+
+  // Key for a running spend total; daily and monthly keys change when a new period starts
+  spendKey(scope, scopeId, period) {
+    const now = new Date().toISOString();
+    const periodStart = { daily: now.split('T')[0], monthly: now.substring(0, 7) }[period] || '';
+    return `${scope}:${scopeId}:${period}:${periodStart}`;
+  }
+
+  // Add a logged call's cost to the running totals already loaded for its scopes
+  recordSpend(scopeIds = {}, cost = 0) {
+    for (const [scope, key] of Object.entries(BUDGET_SCOPES)) {
+      if (!scopeIds[key]) continue;
+
+      for (const period of BUDGET_PERIODS) {
+        const entry = this.spendTotals.get(this.spendKey(scope, scopeIds[key], period));
+        if (entry) entry.total += cost;
+      }
+    }
+  }
+
+  // AI spend for one budget scope, from the running total while it is fresh
+  async getSpend(scope, scopeId, period = 'total') {
+    if (!this.supabase) return 0;
+
+    const key = this.spendKey(scope, scopeId, period);
+    const entry = this.spendTotals.get(key);
+    if (entry && Date.now() - entry.loadedAt < SPEND_REFRESH_MS) {
+      return entry.total;
+    }
+
+    const total = await this.loadSpend(scope, scopeId, period);
+    this.spendTotals.set(key, { total, loadedAt: Date.now() });
+    return total;
+  }
+
+  // AI spend for one budget scope read from cost_logs. Only per-call ai_* logs are
+  // counted so that pipeline summary logs don't count the same calls twice.
+  async loadSpend(scope, scopeId, period) {
+    let query = this.supabase
+      .from('cost_logs')
+      .select('total_cost_usd')
+      .like('operation_name', 'ai_%');
+
+    if (scope === 'user') {
+      query = query.eq('user_id', scopeId);
+    } else {
+      query = query.eq(`operations->>${BUDGET_SCOPES[scope]}`, scopeId);
+    }
+
+    const now = new Date();
+    if (period === 'daily') {
+      query = query.gte('created_at', `${now.toISOString().split('T')[0]}T00:00:00.000Z`);
+    } else if (period === 'monthly') {
+      query = query.gte('created_at', `${now.toISOString().substring(0, 7)}-01T00:00:00.000Z`);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return (data || []).reduce((sum, log) => sum + (log.total_cost_usd || 0), 0);
+  }
+
+  // Throws BudgetExceededError when any matching budget is used up or the next call would take it over its limit.
+  // Budget lookups that fail let the call through rather than blocking processing.
+  async assertWithinBudget(scopeIds = {}, projectedCost = 0) {
+    let budgets;
+    try {
+      budgets = await this.getBudgets(scopeIds);
+    } catch (error) {
+      console.warn('⚠️ Could not load cost budgets, skipping budget check:', error.message);
+      return;
+    }
+
+    for (const budget of budgets) {
+      let spent;
+      try {
+        spent = await this.getSpend(budget.scope, budget.scope_id, budget.period);
+      } catch (error) {
+        console.warn(`⚠️ Could not load spend for ${budget.scope} ${budget.scope_id}, skipping budget check:`, error.message);
+        continue;
+      }
+
+      if (spent >= budget.limit_usd || spent + projectedCost > budget.limit_usd) {
+        console.warn(`🛑 ${budget.period} budget for ${budget.scope} ${budget.scope_id} reached: $${spent.toFixed(4)} of $${budget.limit_usd}`);
+        throw new BudgetExceededError(budget.scope, budget.scope_id, budget.limit_usd, spent);
+      }
+    }
+  }
+
+  // Create or replace the budget for a case, user or organization
+  async setBudget(scope, scopeId, limitUsd, period = 'total') {
+    if (!BUDGET_SCOPES[scope]) {
+      throw new Error(`Invalid budget scope: ${scope}. Expected one of ${Object.keys(BUDGET_SCOPES).join(', ')}`);
+    }
+    if (!BUDGET_PERIODS.includes(period)) {
+      throw new Error(`Invalid budget period: ${period}. Expected one of ${BUDGET_PERIODS.join(', ')}`);
+    }
+    if (!this.supabase) {
+      throw new Error('Database not available');
+    }
+
+    const { data, error } = await this.supabase
+      .from('cost_budgets')
+      .upsert({
+        scope,
+        scope_id: scopeId,
+        period,
+        limit_usd: limitUsd,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'scope,scope_id,period' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    console.log(`💰 ${period} budget for ${scope} ${scopeId} set to $${limitUsd}`);
+    return data;
+  }
+
+  // Whether a case's own, its user's and its organization's budgets all have room left;
+  // a budget whose spend has reached its limit exactly has none
+  async isWithinBudget(scopeIds) {
+    try {
+      await this.assertWithinBudget(scopeIds);
+      return true;
+    } catch (error) {
+      if (error instanceof BudgetExceededError) return false;
+      throw error;
     }
   }
 
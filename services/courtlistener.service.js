@@ -2,6 +2,12 @@ const axios = require('axios');
 const Sentry = require('@sentry/node');
 const { mapToCourtListenerCourt } = require('../utils/courtMaps');
 
+// Most citations the citation lookup API resolves in one request
+const MAX_LOOKUP_CITATIONS = 250;
+
+// Citations compared without spacing or periods, since reporters are written both ways
+const citationKey = citation => citation.replace(/[\s.]/g, '').toLowerCase();
+
 class CourtListenerService {
   constructor() {
     this.baseURL = 'https://www.courtlistener.com/api/rest/v4/';
@@ -17,7 +23,8 @@ class CourtListenerService {
     return process.env.COURTLISTENER_API_KEY;
   }
 
-  async makeAPICall(endpoint, params = {}, retryCount = 0) {
+  // GET sends params in the query string; POST sends them as a form body
+  async makeAPICall(endpoint, params = {}, retryCount = 0, method = 'GET') {
     const maxRetries = 3;
     const baseDelay = 2000; // 2 seconds base delay
     
@@ -32,9 +39,10 @@ class CourtListenerService {
     this.rateLimiter.lastCall = Date.now();
 
     const url = new URL(endpoint, this.baseURL);
+    const query = method === 'GET' ? url.searchParams : new URLSearchParams();
     Object.entries(params).forEach(([key, value]) => {
       if (value !== undefined && value !== null) {
-        url.searchParams.append(key, value);
+        query.append(key, value);
       }
     });
 
@@ -54,7 +62,9 @@ class CourtListenerService {
 
     try {
       const response = await fetch(url.toString(), {
+        method,
         headers,
+        ...(method !== 'GET' && { body: query }),
         signal: controller.signal
       });
 
@@ -74,7 +84,7 @@ class CourtListenerService {
         const delay = baseDelay * Math.pow(2, retryCount); // Exponential backoff
         console.warn(`CourtListener API call failed (attempt ${retryCount + 1}/${maxRetries + 1}), retrying in ${delay}ms...`);
         await new Promise(resolve => setTimeout(resolve, delay));
-        return this.makeAPICall(endpoint, params, retryCount + 1);
+        return this.makeAPICall(endpoint, params, retryCount + 1, method);
       }
       
       if (error.name === 'AbortError') {
@@ -450,6 +460,60 @@ class CourtListenerService {
     return searchTerms.join(' ');
   }
 
+  // Resolve case citations (from utils/citationExtractor) to CourtListener opinion clusters.
+  // Case citations come back with a resolution; statutes and rules are returned unchanged.
+  async resolveCitations(citations) {
+    const caseCitations = citations.filter(citation => citation.type === 'case');
+    if (caseCitations.length === 0) return citations;
+
+    if (!this.apiKey) {
+      console.warn('CourtListener API key not found - leaving citations unresolved');
+      return citations;
+    }
+
+    try {
+      // The lookup API finds citations in text itself; one request covers up to 250 of them
+      const results = await this.makeAPICall('citation-lookup/', {
+        text: caseCitations.slice(0, MAX_LOOKUP_CITATIONS).map(citation => citation.citation).join('; ')
+      }, 0, 'POST');
+
+      const lookups = new Map();
+      for (const result of results || []) {
+        for (const normalized of result.normalized_citations || [result.citation]) {
+          lookups.set(citationKey(normalized), result);
+        }
+      }
+
+      return citations.map(citation => {
+        if (citation.type !== 'case') return citation;
+        const lookup = lookups.get(citationKey(citation.citation));
+        return { ...citation, resolution: lookup ? this.processCitationLookup(lookup) : null };
+      });
+    } catch (error) {
+      console.error('CourtListener citation lookup error:', error);
+      Sentry.captureException(error, {
+        tags: { service: 'courtlistener', operation: 'resolveCitations' },
+        extra: { citations: caseCitations.length }
+      });
+      return citations;
+    }
+  }
+
+  processCitationLookup(lookup) {
+    const statuses = { 200: 'resolved', 300: 'ambiguous', 404: 'not_found', 400: 'invalid', 429: 'throttled' };
+    return {
+      status: statuses[lookup.status] || 'error',
+      error: lookup.error_message || null,
+      clusters: (lookup.clusters || []).map(cluster => ({
+        id: cluster.id,
+        case_name: cluster.case_name,
+        date_filed: cluster.date_filed,
+        url: cluster.absolute_url ? new URL(cluster.absolute_url, 'https://www.courtlistener.com').toString() : null,
+        precedential_status: cluster.precedential_status || null
+      }))
+    };
+  }
+
   getMockOpinions(caseId) {
     return [
       {
@@ -2,6 +2,26 @@
 // Comprehensive ALEGI processing pipeline implementing all 11 features
 const { createClient } = require('@supabase/supabase-js');
 const Sentry = require('@sentry/node');
+const { getExecutionOrder, getDependents, runDag } = require('../utils/dagScheduler');
+const pipelineConfig = require('./pipeline.config');
+const { AI_PROMPTS } = require('./ai-prompts.service');
+const { BudgetExceededError } = require('../utils/errorHandler');
+const { isWordDocument } = require('../utils/fileType');
+const { parseLegalDocument, mergeParsedDocuments, COURT_FILINGS } = require('../utils/legalDocumentParser');
+const { extractCitations } = require('../utils/citationExtractor');
+
+// case_predictions columns filled from schema-required prompt fields, and the feature each comes from
+const PREDICTION_COLUMN_FEATURES = {
+  outcome_prediction_score: 'outcomeProbability',
+  estimated_financial_outcome: 'financialPrediction',
+  financial_outcome_range: 'financialPrediction',
+  litigation_cost_estimate: 'costEstimator',
+  litigation_cost_range: 'costEstimator',
+  settlement_success_rate: 'settlementAnalysis',
+  risk_score: 'riskAssessment',
+  average_time_resolution: 'timelineEstimate',
+  resolution_time_range: 'timelineEstimate'
+};
 
 class EnhancedLinearPipelineService {
   constructor() {
@@ -13,43 +33,477 @@ class EnhancedLinearPipelineService {
     // Initialize services - these are singleton instances
     this.aiService = require('./ai.service');
     this.pdfService = require('./pdf.service');
+    this.wordService = require('./word.service');
     this.courtListenerService = require('./courtlistener.service');
     this.errorTrackingService = require('./error-tracking.service');
+    this.checkpointService = require('./pipeline-checkpoint.service');
+    this.traceService = require('./pipeline-trace.service');
+    this.versionService = require('./analysis-version.service');
+    this.stepRegistry = require('./pipeline-step-registry.service');
   }
 
-  async executeEnhancedPipeline(caseId) {
-    console.log(`🚀 Starting Enhanced ALEGI Pipeline for case ${caseId}`);
+  // Pipeline step definitions. Each step declares the steps whose output it reads
+  // (dependsOn) and the context entries it writes (produces), so independent steps
+  // can run in parallel and checkpoints store exactly what a step produced.
+  // Only required steps fail the case; a failed optional step leaves its features
+  // missing and the case finishes as completed_with_warnings.
+  // Steps added through the step registry run alongside these and feed final integration.
+  getPipelineSteps() {
+    const steps = [
+      {
+        name: 'extractDocuments',
+        required: true,
+        fn: this.extractDocumentContent.bind(this),
+        dependsOn: [],
+        produces: ['data.extractedContent', 'data.documentAnalysis', 'data.parsedDocuments']
+      },
+      {
+        name: 'caseIntakeAnalysis',
+        required: true,
+        fn: this.performCaseIntakeAnalysis.bind(this),
+        dependsOn: ['extractDocuments'],
+        produces: ['data.caseData', 'data.evidence', 'data.intakeAnalysis']
+      },
+      {
+        name: 'precedentAnalysis',
+        required: false,
+        fn: this.performPrecedentAnalysis.bind(this),
+        dependsOn: ['caseIntakeAnalysis'],
+        produces: ['features.precedentAnalysis']
+      },
+      {
+        name: 'judgeCourtTrends',
+        required: false,
+        fn: this.analyzeJudgeCourtTrends.bind(this),
+        dependsOn: ['caseIntakeAnalysis'],
+        produces: ['features.judgeTrends']
+      },
+      {
+        name: 'similarCaseFinder',
+        required: false,
+        fn: this.findSimilarCases.bind(this),
+        dependsOn: ['caseIntakeAnalysis'],
+        produces: ['features.similarCases', 'features.analyzedCases']
+      },
+      {
+        name: 'riskAssessment',
+        required: false,
+        fn: this.performRiskAssessment.bind(this),
+        dependsOn: ['precedentAnalysis', 'judgeCourtTrends', 'similarCaseFinder'],
+        produces: ['features.riskAssessment']
+      },
+      {
+        name: 'costEstimator',
+        required: false,
+        fn: this.estimateLitigationCosts.bind(this),
+        dependsOn: ['riskAssessment', 'similarCaseFinder', 'judgeCourtTrends'],
+        produces: ['features.costEstimator']
+      },
+      {
+        name: 'financialPrediction',
+        required: false,
+        fn: this.predictFinancialOutcomes.bind(this),
+        dependsOn: ['riskAssessment', 'similarCaseFinder', 'judgeCourtTrends'],
+        produces: ['features.financialPrediction']
+      },
+      {
+        name: 'settlementAnalysis',
+        required: false,
+        fn: this.analyzeSettlementVsTrial.bind(this),
+        dependsOn: ['financialPrediction', 'costEstimator', 'riskAssessment', 'judgeCourtTrends', 'similarCaseFinder'],
+        produces: ['features.settlementAnalysis']
+      },
+      {
+        name: 'outcomeProbability',
+        required: false,
+        fn: this.calculateOutcomeProbability.bind(this),
+        dependsOn: ['precedentAnalysis', 'judgeCourtTrends', 'riskAssessment', 'similarCaseFinder', 'settlementAnalysis'],
+        produces: ['features.outcomeProbability']
+      },
+      {
+        name: 'timelineEstimate',
+        required: false,
+        fn: this.estimateResolutionTimeline.bind(this),
+        dependsOn: ['judgeCourtTrends', 'similarCaseFinder', 'riskAssessment', 'settlementAnalysis'],
+        produces: ['features.timelineEstimate']
+      },
+      {
+        name: 'lawUpdates',
+        required: false,
+        fn: this.checkRealTimeLawUpdates.bind(this),
+        dependsOn: ['caseIntakeAnalysis'],
+        produces: ['features.lawUpdates']
+      },
+      {
+        name: 'finalIntegration',
+        required: true,
+        fn: this.integrateAllAnalysis.bind(this),
+        dependsOn: [
+          'precedentAnalysis', 'judgeCourtTrends', 'similarCaseFinder', 'riskAssessment',
+          'costEstimator', 'financialPrediction', 'settlementAnalysis', 'outcomeProbability',
+          'timelineEstimate', 'lawUpdates'
+        ],
+        produces: []
+      }
+    ];
+
+    const registeredSteps = this.stepRegistry.getSteps();
+    if (registeredSteps.length === 0) return steps;
+
+    const finalIntegration = steps.find(step => step.name === 'finalIntegration');
+    const reservedNames = new Set(steps.map(step => step.name));
+    steps.forEach(step => step.produces.forEach(entry => reservedNames.add(entry.split('.')[1])));
+
+    for (const definition of registeredSteps) {
+      if (reservedNames.has(definition.name)) {
+        throw new Error(`Registered pipeline step ${definition.name} conflicts with a built-in step or feature`);
+      }
+
+      steps.splice(steps.indexOf(finalIntegration), 0, {
+        name: definition.name,
+        required: definition.required,
+        fn: context => this.runRegisteredStep(definition, context),
+        dependsOn: definition.dependsOn,
+        produces: [`features.${definition.name}`],
+        registered: true
+      });
+      finalIntegration.dependsOn.push(definition.name);
+    }
+
+    return steps;
+  }
+
+  // options.resume - reload completed steps from checkpoints and restart at the first unfinished one
+  // options.dryRun - only build the prompts and return projected token usage and cost
+  async executeEnhancedPipeline(caseId, options = {}) {
+    const { resume = false, dryRun = false } = options;
+    
+    if (dryRun) {
+      return this.estimatePipelineCost(caseId);
+    }
+    
+    console.log(`🚀 Starting Enhanced ALEGI Pipeline for case ${caseId}${resume ? ' (resume mode)' : ''}`);
     
-    // Get case data first to extract userId for cost tracking
+    // Get case data first to extract the user and organization for cost tracking and budgets
     const { data: caseData } = await this.supabase
       .from('case_briefs')
-      .select('user_id')
+      .select('*')
       .eq('id', caseId)
       .single();
     
-    const userId = caseData?.user_id;
-    const pipelineStartTime = Date.now();
-    
-    const pipelineSteps = [
-      { name: 'extractDocuments', fn: this.extractDocumentContent.bind(this) },
-      { name: 'caseIntakeAnalysis', fn: this.performCaseIntakeAnalysis.bind(this) },
-      { name: 'precedentAnalysis', fn: this.performPrecedentAnalysis.bind(this) },
-      { name: 'judgeCourtTrends', fn: this.analyzeJudgeCourtTrends.bind(this) },
-      { name: 'similarCaseFinder', fn: this.findSimilarCases.bind(this) },
-      { name: 'riskAssessment', fn: this.performRiskAssessment.bind(this) },
-      { name: 'costEstimator', fn: this.estimateLitigationCosts.bind(this) },
-      { name: 'financialPrediction', fn: this.predictFinancialOutcomes.bind(this) },
-      { name: 'settlementAnalysis', fn: this.analyzeSettlementVsTrial.bind(this) },
-      { name: 'outcomeProbability', fn: this.calculateOutcomeProbability.bind(this) },
-      { name: 'timelineEstimate', fn: this.estimateResolutionTimeline.bind(this) },
-      { name: 'lawUpdates', fn: this.checkRealTimeLawUpdates.bind(this) },
-      { name: 'finalIntegration', fn: this.integrateAllAnalysis.bind(this) }
-    ];
+    const pipelineSteps = this.getPipelineSteps();
+    const stepNumbers = new Map(pipelineSteps.map((step, index) => [step.name, index + 1]));
+    const executionOrder = getExecutionOrder(pipelineSteps);
+
+    const context = this.createPipelineContext(caseId, caseData?.user_id, caseData?.organization_id);
+
+    console.log(`📋 Enhanced Pipeline configured with ${pipelineSteps.length} steps (concurrency ${pipelineConfig.concurrency})`);
+    
+    // Fresh runs discard old checkpoints; resumed runs reuse them
+    let checkpoints = {};
+    if (resume) {
+      checkpoints = await this.checkpointService.loadCheckpoints(caseId);
+      console.log(`💾 Found ${Object.keys(checkpoints).length} checkpoints for case ${caseId}`);
+    } else {
+      await this.checkpointService.clearCheckpoints(caseId);
+    }
+    
+    // A step is only restored when all of its dependencies were restored too,
+    // so nothing runs on top of outputs from a different run
+    const restored = [];
+    if (resume) {
+      const stepsByName = new Map(pipelineSteps.map(step => [step.name, step]));
+      for (const name of executionOrder) {
+        const step = stepsByName.get(name);
+        if (checkpoints[name] && step.dependsOn.every(dependency => restored.includes(dependency))) {
+          this.checkpointService.restoreCheckpoint(context, checkpoints[name]);
+          restored.push(name);
+          console.log(`⏭️ Step ${stepNumbers.get(name)}/${pipelineSteps.length}: Restored ${name} from checkpoint for case ${caseId}`);
+        }
+      }
+    }
+    
+    // Update case status to processing and clear failures from any previous run
+    await this.updateCaseStatus(caseId, 'processing');
+    await this.recordFeatureFailures(caseId, context.failedFeatures);
+    await this.startPipelineRun(context, resume ? 'resume' : 'full');
+    
+    await this.runPipelineSteps(context, pipelineSteps, restored);
+
+    const recomputed = Object.keys(this.getFeatureSteps(pipelineSteps)).filter(feature => !context.failedFeatures[feature]);
+    const completionStatus = await this.completePipelineRun(context, 'enhanced_pipeline_complete', pipelineSteps.length, recomputed);
+
+    console.log(`🎉 Enhanced ALEGI Pipeline execution ${completionStatus} for case ${caseId}`);
+    return context.features;
+  }
+
+  // Recompute the named features plus every step that depends on them. Everything else
+  // is taken from the cached case_analysis results of the last completed run.
+  async rerunFeatures(caseId, featureNames = []) {
+    const pipelineSteps = this.getPipelineSteps();
+    const featureSteps = this.getFeatureSteps(pipelineSteps);
+
+    const unknownFeatures = featureNames.filter(name => !featureSteps[name]);
+    if (featureNames.length === 0 || unknownFeatures.length > 0) {
+      throw new Error(`Invalid features requested: ${unknownFeatures.join(', ') || 'none'}`);
+    }
+
+    console.log(`🔁 Re-running features ${featureNames.join(', ')} for case ${caseId}`);
+
+    // Case data is always read fresh so new judge or evidence details are picked up
+    const { data: caseData, error: caseError } = await this.supabase
+      .from('case_briefs')
+      .select('*')
+      .eq('id', caseId)
+      .single();
+
+    if (caseError || !caseData) {
+      throw new Error(`Case not found: ${caseId}`);
+    }
+
+    const { data: analysisRows } = await this.supabase
+      .from('case_analysis')
+      .select('analysis_type, result, created_at')
+      .eq('case_id', caseId)
+      .in('analysis_type', ['intake', 'comprehensive'])
+      .order('created_at', { ascending: false });
+
+    const cached = {};
+    for (const row of analysisRows || []) {
+      if (!cached[row.analysis_type]) cached[row.analysis_type] = row.result;
+    }
+
+    if (!cached.intake || !cached.comprehensive?.features) {
+      throw new Error(`Case ${caseId} has no completed analysis to reuse; run the full pipeline first`);
+    }
+
+    const context = this.createPipelineContext(caseId, caseData.user_id, caseData.organization_id);
+    const checkpoints = await this.checkpointService.loadCheckpoints(caseId);
+
+    for (const feature of Object.keys(context.features)) {
+      context.features[feature] = cached.comprehensive.features[feature] ?? null;
+    }
+
+    // Features with no cached result (e.g. they failed last time) are recomputed as well,
+    // and so is any reused step whose context data (extracted content, evidence) has no checkpoint
+    const staleSteps = Object.entries(featureSteps)
+      .filter(([feature]) => featureNames.includes(feature) || !context.features[feature])
+      .map(([, stepName]) => stepName);
+    const featureRerunSteps = getDependents(pipelineSteps, [...new Set(staleSteps)]);
+    const missingCheckpoints = pipelineSteps
+      .filter(step => !featureRerunSteps.includes(step.name) && !checkpoints[step.name])
+      .filter(step => step.produces.some(path => path.startsWith('data.')))
+      .map(step => step.name);
+    const rerunSteps = getDependents(pipelineSteps, [...new Set([...staleSteps, ...missingCheckpoints])]);
+
+    // Reused steps are restored in dependency order the same way a resumed run is
+    const reusedSteps = getExecutionOrder(pipelineSteps).filter(name => !rerunSteps.includes(name));
+    for (const name of reusedSteps) {
+      if (checkpoints[name]) {
+        this.checkpointService.restoreCheckpoint(context, { data: checkpoints[name].data });
+      }
+    }
+
+    context.data.caseData = caseData;
+    context.data.intakeAnalysis = cached.intake;
+
+    console.log(`📋 Re-running steps: ${rerunSteps.join(', ')}`);
+
+    await this.updateCaseStatus(caseId, 'processing');
+    await this.recordFeatureFailures(caseId, context.failedFeatures);
+    await this.startPipelineRun(context, 'rerun');
+
+    await this.runPipelineSteps(context, pipelineSteps, reusedSteps);
 
-    const context = { 
-      caseId, 
+    const recomputed = Object.keys(featureSteps).filter(feature =>
+      rerunSteps.includes(featureSteps[feature]) && !context.failedFeatures[feature]
+    );
+
+    const completionStatus = await this.completePipelineRun(context, 'enhanced_pipeline_rerun', rerunSteps.length, recomputed);
+
+    console.log(`🎉 Feature re-run ${completionStatus} for case ${caseId}: recomputed ${recomputed.join(', ')}`);
+
+    return {
+      caseId,
+      runId: context.runId,
+      status: completionStatus,
+      requested: featureNames,
+      recomputed,
+      reused: Object.keys(featureSteps).filter(feature => !rerunSteps.includes(featureSteps[feature])),
+      failed: context.failedFeatures,
+      features: context.features
+    };
+  }
+
+  // Map each feature key to the step that produces it
+  getFeatureSteps(pipelineSteps) {
+    const featureSteps = {};
+
+    for (const step of pipelineSteps) {
+      for (const path of step.produces) {
+        const [section, key] = path.split('.');
+        if (section === 'features') featureSteps[key] = step.name;
+      }
+    }
+
+    return featureSteps;
+  }
+
+  // Version of the prompt behind a stored analysis, kept in its own column so the result stays
+  // as the model returned it. Fallback results carry an error and weren't produced by the prompt.
+  promptVersion(promptConfig, result) {
+    return result && !result.error ? promptConfig.version : null;
+  }
+
+  // Prompt sent by each AI step, as the AI_PROMPTS entry and the arguments it is called with.
+  // Earlier step outputs are left out here and accounted for separately by the dry run.
+  getStepPrompts() {
+    const prompts = {
+      caseIntakeAnalysis: { ...AI_PROMPTS.INTAKE_ANALYSIS, key: 'INTAKE_ANALYSIS', args: d => [d.caseData, d.evidence, d.extractedContent] },
+      precedentAnalysis: { ...AI_PROMPTS.PRECEDENT_ANALYSIS, key: 'PRECEDENT_ANALYSIS', args: d => [d.caseData, [], null], searchResults: true },
+      judgeCourtTrends: { ...AI_PROMPTS.JUDICIAL_ANALYSIS, key: 'JUDICIAL_ANALYSIS', args: d => [d.caseData, null, null], searchResults: true },
+      similarCaseFinder: { ...AI_PROMPTS.SIMILAR_CASE_ANALYSIS, key: 'SIMILAR_CASE_ANALYSIS', args: d => [d.caseData, [], null], searchResults: true },
+      riskAssessment: { ...AI_PROMPTS.RISK_ASSESSMENT, key: 'RISK_ASSESSMENT', args: d => [{ caseData: d.caseData }] },
+      costEstimator: { ...AI_PROMPTS.COST_ESTIMATION, key: 'COST_ESTIMATION', args: d => [{ caseData: d.caseData }] },
+      financialPrediction: { ...AI_PROMPTS.FINANCIAL_PREDICTION, key: 'FINANCIAL_PREDICTION', args: d => [{ caseData: d.caseData }] },
+      settlementAnalysis: { ...AI_PROMPTS.SETTLEMENT_ANALYSIS, key: 'SETTLEMENT_ANALYSIS', args: d => [{ caseData: d.caseData }] },
+      outcomeProbability: { ...AI_PROMPTS.OUTCOME_PROBABILITY, key: 'OUTCOME_PROBABILITY', args: d => [{ caseData: d.caseData }] },
+      timelineEstimate: { ...AI_PROMPTS.TIMELINE_ESTIMATION, key: 'TIMELINE_ESTIMATION', args: d => [{ caseData: d.caseData }] },
+      finalIntegration: { ...AI_PROMPTS.COMPREHENSIVE_ANALYSIS, key: 'COMPREHENSIVE_ANALYSIS', args: d => [{ caseId: d.caseData.id, caseData: d.caseData }] }
+    };
+
+    for (const step of this.stepRegistry.getSteps()) {
+      prompts[step.name] = { ...step.prompt, key: step.name, args: d => [{ caseData: d.caseData }] };
+    }
+
+    return prompts;
+  }
+
+  // Build every step's prompt without calling OpenAI and price the projected token usage.
+  // Prompts embed the intake analysis and the outputs of the steps they depend on, so the
+  // expected completion size of those steps is added to each prompt estimate.
+  async estimatePipelineCost(caseId) {
+    console.log(`🧮 Estimating Enhanced ALEGI Pipeline cost for case ${caseId} (dry run)`);
+
+    const { data: caseData, error } = await this.supabase
+      .from('case_briefs')
+      .select('*')
+      .eq('id', caseId)
+      .single();
+
+    if (error || !caseData) {
+      throw new Error(`Case not found: ${caseId}`);
+    }
+
+    const [{ data: evidence }, { data: documents }] = await Promise.all([
+      this.supabase.from('case_evidence').select('*').eq('case_id', caseId),
+      this.supabase.from('case_documents').select('file_name, file_path, ai_extracted_text').eq('case_id', caseId)
+    ]);
+
+    // Only text that has already been extracted can be measured
+    const extractedContent = (documents || [])
+      .filter(document => document.ai_extracted_text)
+      .map(document => `\n\n--- ${document.file_name} ---\n${document.ai_extracted_text}`)
+      .join('');
+    const documentsPendingExtraction = (documents || [])
+      .filter(document => document.file_path && !document.ai_extracted_text).length;
+
+    const { dryRun } = pipelineConfig;
+    const stepPrompts = this.getStepPrompts();
+    const pipelineSteps = this.getPipelineSteps();
+    const outputTokens = {};
+    const steps = [];
+
+    // Large documents reach intake as chunk summaries, made in one or more map/reduce rounds
+    const summaryTokens = dryRun.outputTokens.DOCUMENT_CHUNK_SUMMARY || dryRun.defaultOutputTokens;
+    const documentPlan = this.aiService.estimateDocumentPreparation(caseData, extractedContent, summaryTokens);
+    const summaryModel = AI_PROMPTS.DOCUMENT_CHUNK_SUMMARY.model;
+    const summaryRounds = [...new Set(documentPlan.summaryCalls.map(call => call.round))];
+
+    for (const round of summaryRounds) {
+      const calls = documentPlan.summaryCalls.filter(call => call.round === round);
+      const promptTokens = calls.reduce((sum, call) => sum + call.promptTokens, 0);
+      const completionTokens = calls.length * summaryTokens;
+
+      steps.push({
+        step: 'caseIntakeAnalysis',
+        prompt: 'DOCUMENT_CHUNK_SUMMARY',
+        model: summaryModel,
+        round,
+        aiCalls: calls.length,
+        promptTokens,
+        completionTokens,
+        estimatedCost: Math.round(this.aiService.calculateOpenAICost(summaryModel, {
+          prompt_tokens: promptTokens,
+          completion_tokens: completionTokens
+        }) * 10000) / 10000
+      });
+    }
+
+    const promptData = { caseData, evidence: evidence || [], extractedContent: documentPlan.content };
+
+    for (const name of getExecutionOrder(pipelineSteps)) {
+      const stepPrompt = stepPrompts[name];
+      if (!stepPrompt) continue;
+
+      const step = pipelineSteps.find(candidate => candidate.name === name);
+      const embeddedSteps = name === 'caseIntakeAnalysis'
+        ? []
+        : [...new Set(['caseIntakeAnalysis', ...step.dependsOn])];
+
+      const basePromptTokens = this.aiService.estimateTokens(stepPrompt.prompt(...stepPrompt.args(promptData)), stepPrompt.model);
+      const upstreamTokens = embeddedSteps.reduce((sum, dependency) => sum + (outputTokens[dependency] || 0), 0);
+      const searchTokens = stepPrompt.searchResults ? dryRun.searchResultTokens : 0;
+
+      const promptTokens = basePromptTokens + upstreamTokens + searchTokens;
+      const completionTokens = dryRun.outputTokens[stepPrompt.key] || dryRun.defaultOutputTokens;
+      outputTokens[name] = completionTokens;
+
+      const estimatedCost = this.aiService.calculateOpenAICost(stepPrompt.model, {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens
+      });
+
+      steps.push({
+        step: name,
+        prompt: stepPrompt.key,
+        model: stepPrompt.model,
+        aiCalls: 1,
+        promptTokens,
+        completionTokens,
+        estimatedCost: Math.round(estimatedCost * 10000) / 10000
+      });
+    }
+
+    const totals = steps.reduce((sum, step) => ({
+      aiCalls: sum.aiCalls + step.aiCalls,
+      promptTokens: sum.promptTokens + step.promptTokens,
+      completionTokens: sum.completionTokens + step.completionTokens,
+      estimatedCost: sum.estimatedCost + step.estimatedCost
+    }), { aiCalls: 0, promptTokens: 0, completionTokens: 0, estimatedCost: 0 });
+
+    totals.totalTokens = totals.promptTokens + totals.completionTokens;
+    totals.estimatedCost = Math.round(totals.estimatedCost * 100) / 100;
+
+    console.log(`🧮 Dry run for case ${caseId}: ${totals.aiCalls} AI calls, ~${totals.totalTokens} tokens, ~$${totals.estimatedCost}`);
+
+    return {
+      caseId,
+      dryRun: true,
+      documentsPendingExtraction,
+      steps,
+      totals
+    };
+  }
+
+  createPipelineContext(caseId, userId, organizationId = null) {
+    return {
+      caseId,
       userId,
-      startTime: pipelineStartTime,
+      runId: this.traceService.newRunId(),
+      startTime: Date.now(),
+      // Passed to every AI call for cost logging and budget checks
+      callOptions: { caseId, userId, organizationId },
       data: {},
       features: {
         outcomeProbability: null,
@@ -62,34 +516,53 @@ class EnhancedLinearPipelineService {
         timelineEstimate: null,
         similarCases: null,
         analyzedCases: null,
-        lawUpdates: null
+        lawUpdates: null,
+        ...Object.fromEntries(this.stepRegistry.getSteps().map(step => [step.name, null]))
       },
       costs: {
         totalAICalls: 0,
         totalCost: 0
-      }
+      },
+      failedFeatures: {}
     };
-    
-    console.log(`📋 Enhanced Pipeline configured with ${pipelineSteps.length} steps`);
-    
-    // Update case status to processing
-    await this.updateCaseStatus(caseId, 'processing');
-    
-    for (let i = 0; i < pipelineSteps.length; i++) {
-      const step = pipelineSteps[i];
-      const stepNumber = i + 1;
+  }
+
+  // Run every step not listed in completed, failing the case if a required step fails
+  async runPipelineSteps(context, pipelineSteps, completed = []) {
+    const { caseId } = context;
+    const stepNumbers = new Map(pipelineSteps.map((step, index) => [step.name, index + 1]));
+    const stepsByName = new Map(pipelineSteps.map(step => [step.name, step]));
+    let completedSteps = completed.length;
+
+    const runStep = async (step) => {
+      const stepNumber = stepNumbers.get(step.name);
       
       try {
         console.log(`\n🔄 Step ${stepNumber}/${pipelineSteps.length}: Executing ${step.name} for case ${caseId}`);
         
         const stepStartTime = Date.now();
-        await step.fn(context);
+        await this.traceService.traceStep(
+          context,
+          step,
+          stepNumber,
+          this.getStepInput(context, step, stepsByName),
+          () => step.fn(context)
+        );
         const stepDuration = Date.now() - stepStartTime;
         
         console.log(`✅ Step ${stepNumber}/${pipelineSteps.length}: Completed ${step.name} for case ${caseId} (${stepDuration}ms)`);
         
+        // Save step output so a failed run can resume from here
+        await this.checkpointService.saveCheckpoint(
+          caseId,
+          step.name,
+          stepNumber,
+          this.checkpointService.extractOutput(context, step.produces)
+        );
+        
         // Update processing progress
-        await this.updateProcessingProgress(caseId, stepNumber, pipelineSteps.length, step.name);
+        completedSteps++;
+        await this.updateProcessingProgress(caseId, completedSteps, pipelineSteps.length, step.name);
         
       } catch (error) {
         console.error(`❌ Step ${stepNumber}/${pipelineSteps.length}: Failed ${step.name} for case ${caseId}:`, error);
@@ -104,23 +577,90 @@ class EnhancedLinearPipelineService {
         // Also log to enhanced_processing_errors table
         await this.logEnhancedProcessingError(caseId, step.name, error);
         
-        // Update case status to failed
-        await this.updateCaseStatus(caseId, 'failed', error.message);
+        // A required step can't be skipped, so an exhausted budget pauses the whole case
+        if (error instanceof BudgetExceededError && step.required) {
+          throw error;
+        }
+        
+        if (!step.required) {
+          // Record the missing features and let dependent steps continue without them
+          this.markFeaturesFailed(context, step, error);
+          await this.recordFeatureFailures(caseId, context.failedFeatures);
+          
+          completedSteps++;
+          await this.updateProcessingProgress(caseId, completedSteps, pipelineSteps.length, step.name, 'failed');
+          
+          console.warn(`⚠️ Optional step ${step.name} failed for case ${caseId}, continuing without it`);
+          return;
+        }
         
         throw new Error(`Enhanced pipeline failed at step ${stepNumber} (${step.name}): ${error.message}`);
       }
-    }
-    
-    console.log(`\n🎯 All Enhanced Pipeline steps completed successfully for case ${caseId}`);
+    };
     
-    // Log total pipeline cost
+    try {
+      await runDag(pipelineSteps, runStep, {
+        concurrency: pipelineConfig.concurrency,
+        completed
+      });
+    } catch (error) {
+      // Update case status once in-flight steps have settled. Cases over budget are
+      // paused rather than failed so they can resume when the budget is raised.
+      const status = error instanceof BudgetExceededError ? 'budget_exceeded' : 'failed';
+      await this.updateCaseStatus(caseId, status, error.message);
+      await this.traceService.finishRun(context, status, error.message);
+      throw error;
+    }
+  }
+
+  // Log the run's cost and mark the case completed, noting any features that could not be produced.
+  // Only the features recomputed successfully stop being stale.
+  async completePipelineRun(context, operationName, stepsCompleted, recomputedFeatures) {
+    const { caseId } = context;
+    const completionStatus = this.getCompletionStatus(context);
+    const missingFeatures = Object.keys(context.failedFeatures);
+
+    if (missingFeatures.length > 0) {
+      console.warn(`\n⚠️ Enhanced Pipeline finished for case ${caseId} without: ${missingFeatures.join(', ')}`);
+    } else {
+      console.log(`\n🎯 All Enhanced Pipeline steps completed successfully for case ${caseId}`);
+    }
+
+    await this.logPipelineCost(context, operationName, stepsCompleted);
+    await this.clearStaleFeatures(caseId, recomputedFeatures);
+
+    const completionMessage = missingFeatures.length > 0 ? `Missing features: ${missingFeatures.join(', ')}` : null;
+    await this.updateCaseStatus(caseId, completionStatus, completionMessage);
+    await this.traceService.finishRun(context, completionStatus, completionMessage);
+
+    return completionStatus;
+  }
+
+  // Open a trace for this run and point the case's progress at it
+  async startPipelineRun(context, runType) {
+    console.log(`🧾 Tracing ${runType} run ${context.runId} for case ${context.caseId}`);
+
+    await this.traceService.startRun(context, runType);
+    await this.upsertProcessingProgress(context.caseId, { last_run_id: context.runId });
+  }
+
+  // Outputs of a step's dependencies, i.e. what the step was given to work with
+  getStepInput(context, step, stepsByName) {
+    return Object.assign(
+      { caseId: context.caseId },
+      ...step.dependsOn.map(name => this.traceService.getStepOutput(context, stepsByName.get(name)))
+    );
+  }
+
+  // Log the total AI cost of a pipeline run
+  async logPipelineCost(context, operationName, stepsCompleted) {
     if (context.userId) {
       try {
         const costMonitorService = require('./costMonitor.service');
         const totalDuration = Date.now() - context.startTime;
         
         await costMonitorService.logOperationCost(
-          'enhanced_pipeline_complete',
+          operationName,
           context.userId,
           {
             aiCalls: context.costs.totalAICalls,
@@ -129,8 +669,9 @@ class EnhancedLinearPipelineService {
             duration: totalDuration,
             operations: {
               caseId: context.caseId,
-              stepsCompleted: pipelineSteps.length,
-              features: Object.keys(context.features).length
+              stepsCompleted,
+              features: Object.keys(context.features).length,
+              missingFeatures: Object.keys(context.failedFeatures)
             }
           }
         );
@@ -140,12 +681,6 @@ class EnhancedLinearPipelineService {
         console.warn('Failed to log total pipeline cost:', costError.message);
       }
     }
-    
-    // Mark as completed
-    await this.updateCaseStatus(caseId, 'completed');
-    
-    console.log(`🎉 Enhanced ALEGI Pipeline execution completed successfully for case ${caseId}`);
-    return context.features;
   }
 
   // Step 1: Extract and process all case documents
@@ -182,6 +717,7 @@ class EnhancedLinearPipelineService {
     
       let extractedContent = '';
       const documentAnalysis = [];
+      const parsedDocuments = [];
     
     for (const document of documents || []) {
       if (document.file_path && !document.ai_extracted_text) {
@@ -210,8 +746,12 @@ class EnhancedLinearPipelineService {
           const filePathToUse = validation.relativePath || document.file_path;
           console.log(`Using file path for extraction: ${filePathToUse}`);
           
-          // Extract text from PDF (with timeout and optional failure)
-          const extractedText = await this.pdfService.extractText(filePathToUse, 15000);
+          // Extract text by document type (with timeout and optional failure)
+          const extractor = isWordDocument(document.file_name || filePathToUse) ? this.wordService : this.pdfService;
+          const extractedText = await extractor.extractText(filePathToUse, 15000);
+          const structuredData = extractedText.success ? parseLegalDocument(extractedText.text, document.file_name) : null;
+          // Citations are resolved against CourtListener by the precedent step, not here
+          const citations = extractedText.success ? extractCitations(extractedText.text) : [];
           
           // Store extraction results in case_document_extractions table (CLAUDE.md requirement)
           const extractionEntry = {
@@ -222,9 +762,12 @@ class EnhancedLinearPipelineService {
             extracted_text: extractedText.text || '',
             processing_status: extractedText.success ? 'completed' : 'skipped',
             extraction_confidence: extractedText.confidence || 0,
+            ocr_page_confidence: extractedText.ocrPages || null,
             pages_processed: extractedText.pages || 0,
-            extraction_method: 'pdf.co',
-            error_message: extractedText.success ? null : (extractedText.reason || 'PDF extraction failed'),
+            extraction_method: extractedText.engine || extractor.getExtractionMethod(),
+            error_message: extractedText.success ? null : (extractedText.reason || 'Text extraction failed'),
+            structured_data: structuredData,
+            citations,
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
           };
@@ -239,11 +782,12 @@ class EnhancedLinearPipelineService {
           };
           
           if (extractedText.success) {
+            parsedDocuments.push(structuredData);
             updateData.ai_extracted_text = extractedText.text;
             extractedContent += `\n\n--- ${document.file_name} ---\n${extractedText.text}`;
             console.log(`✅ Successfully processed document: ${document.file_name}`);
           } else {
-            updateData.error_message = extractedText.reason || 'PDF extraction failed';
+            updateData.error_message = extractedText.reason || 'Text extraction failed';
             console.log(`⚠️ Skipped document processing: ${document.file_name} - ${extractedText.reason}`);
           }
           
@@ -260,7 +804,9 @@ class EnhancedLinearPipelineService {
             confidence: extractedText.confidence || 0,
             success: extractedText.success,
             skipped: extractedText.skipped || false,
-            reason: extractedText.reason || null
+            reason: extractedText.reason || null,
+            structure: structuredData,
+            citations
           });
           
         } catch (error) {
@@ -282,7 +828,7 @@ class EnhancedLinearPipelineService {
               processing_status: 'failed',
               extraction_confidence: 0,
               pages_processed: 0,
-              extraction_method: 'pdf.co',
+              extraction_method: (isWordDocument(document.file_name) ? this.wordService : this.pdfService).getExtractionMethod(),
               error_message: error.message,
               created_at: new Date().toISOString(),
               updated_at: new Date().toISOString()
@@ -321,6 +867,7 @@ class EnhancedLinearPipelineService {
       } else if (document.ai_extracted_text) {
         console.log(`Document ${document.file_name} already has extracted text, skipping extraction`);
         extractedContent += `\n\n--- ${document.file_name} ---\n${document.ai_extracted_text}`;
+        parsedDocuments.push(parseLegalDocument(document.ai_extracted_text, document.file_name));
       } else {
         console.log(`Document ${document.file_name} has no file path, skipping`);
       }
@@ -328,6 +875,8 @@ class EnhancedLinearPipelineService {
       
       context.data.extractedContent = extractedContent;
       context.data.documentAnalysis = documentAnalysis;
+      // Caption, parties, claims and damages read from the case's court filings
+      context.data.parsedDocuments = mergeParsedDocuments(parsedDocuments);
       
       // Log summary of document processing
       const successful = documentAnalysis.filter(d => d.success).length;
@@ -400,12 +949,14 @@ class EnhancedLinearPipelineService {
       }
     
     // Perform AI-powered intake analysis
-    const intakeAnalysis = await this.aiService.executeIntakeAnalysis(
+    const aiIntakeAnalysis = await this.aiService.executeIntakeAnalysis(
       caseData,
       evidence || [],
       context.data.extractedContent,
-      context.userId
+      context.userId,
+      context.callOptions
     );
+    const intakeAnalysis = this.applyParsedDocuments(aiIntakeAnalysis, context.data.parsedDocuments);
     
     // Store intake analysis results
     await this.supabase
@@ -414,6 +965,7 @@ class EnhancedLinearPipelineService {
         case_id: caseId,
         analysis_type: 'intake',
         result: intakeAnalysis,
+        prompt_version: this.promptVersion(AI_PROMPTS.INTAKE_ANALYSIS, aiIntakeAnalysis),
         created_at: new Date().toISOString()
       });
     
@@ -424,6 +976,10 @@ class EnhancedLinearPipelineService {
       console.log(`✅ Case intake analysis completed for case ${caseId}`);
       
     } catch (error) {
+      // Budget and provider-policy stops pause the case; a mock intake would be checkpointed
+      // and reused when the case resumes
+      if (this.aiService.shouldPropagate(error)) throw error;
+
       console.warn(`⚠️ Case intake analysis failed for case ${caseId}: ${error.message}`);
       console.log(`📝 Using minimal mock data for continued processing`);
       
@@ -436,15 +992,51 @@ class EnhancedLinearPipelineService {
         jurisdiction: 'unknown'
       };
       context.data.evidence = [];
-      context.data.intakeAnalysis = {
+      context.data.intakeAnalysis = this.applyParsedDocuments({
         case_metadata: { case_type: ['general'], issue: ['mock'] },
         analysis_summary: 'Mock analysis for testing purposes'
-      };
+      }, context.data.parsedDocuments);
     }
     
     return context;
   }
 
+  // What the document parser found in court filings takes precedence over the model's reading
+  // of the same fields; parsed_fields names the file each replaced field came from
+  applyParsedDocuments(intakeAnalysis, parsed = {}) {
+    if (!COURT_FILINGS.includes(parsed.document_type)) return intakeAnalysis;
+
+    const { parties = {}, field_sources: sources = {} } = parsed;
+    const fused = {
+      case_metadata: {
+        ...intakeAnalysis.case_metadata,
+        ...(parsed.court && { court: parsed.court }),
+        ...(parsed.jurisdiction && { jurisdiction: parsed.jurisdiction }),
+        ...(parsed.case_number && { case_number: parsed.case_number })
+      },
+      parties: {
+        ...intakeAnalysis.parties,
+        ...(parties.plaintiffs?.length > 0 && { plaintiffs: parties.plaintiffs }),
+        ...(parties.defendants?.length > 0 && { defendants: parties.defendants })
+      },
+      claims: {
+        ...intakeAnalysis.claims,
+        ...(parsed.legal_claims?.length > 0 && { primary_claims: parsed.legal_claims }),
+        ...(parsed.damages_sought && { damages_claimed: parsed.damages_sought })
+      }
+    };
+
+    const parsedFields = ['court', 'jurisdiction', 'case_number', 'parties', 'legal_claims', 'damages_sought']
+      .filter(field => sources[field]);
+    if (parsedFields.length === 0) return intakeAnalysis;
+
+    return {
+      ...intakeAnalysis,
+      ...fused,
+      parsed_fields: Object.fromEntries(parsedFields.map(field => [field, sources[field]]))
+    };
+  }
+
   // Step 3: Precedent Analysis - Feature #3
   async performPrecedentAnalysis(context) {
     const { caseId } = context;
@@ -453,24 +1045,27 @@ class EnhancedLinearPipelineService {
     
     const { caseData, intakeAnalysis } = context.data;
     
-    // Search for relevant precedents using CourtListener
+    // Start from the authorities the parties cite, then add similar cases from CourtListener
+    const citedAuthorities = await this.loadCitedAuthorities(caseId);
     const precedentResults = await this.courtListenerService.findSimilarCases({
       ...caseData,
       legal_issues: intakeAnalysis.case_metadata?.issue || [],
       case_type: intakeAnalysis.case_metadata?.case_type || []
     });
+    const precedents = [...citedAuthorities, ...(precedentResults.results || [])];
     
     // AI analysis of precedents
     const precedentAnalysis = await this.aiService.executePrecedentAnalysis(
       caseData,
-      precedentResults.results || [],
+      precedents,
       intakeAnalysis,
-      context.userId
+      context.userId,
+      context.callOptions
     );
     
     // Store individual precedent cases in precedent_cases table (CLAUDE.md requirement)
-    if (precedentResults.results && precedentResults.results.length > 0) {
-      const precedentCaseEntries = precedentResults.results.map((precedent, index) => ({
+    if (precedents.length > 0) {
+      const precedentCaseEntries = precedents.map((precedent, index) => ({
         case_id: caseId,
         case_name: precedent.caseName || precedent.case_name || `Precedent Case ${index + 1}`,
         citation: precedent.citation || precedent.court_citation || '',
@@ -503,16 +1098,19 @@ class EnhancedLinearPipelineService {
         case_id: caseId,
         analysis_type: 'precedent',
         result: {
-          precedents: precedentResults.results || [],
+          precedents,
+          cited_authorities: citedAuthorities.length,
           analysis: precedentAnalysis,
           total_found: precedentResults.count || 0,
           stored_in_precedent_cases: true
         },
+        prompt_version: this.promptVersion(AI_PROMPTS.PRECEDENT_ANALYSIS, precedentAnalysis),
         created_at: new Date().toISOString()
       });
     
     context.features.precedentAnalysis = {
-      precedents: precedentResults.results || [],
+      precedents,
+      citedAuthorities,
       analysis: precedentAnalysis,
       totalFound: precedentResults.count || 0,
       keyDecisions: precedentAnalysis.keyDecisions || [],
@@ -522,6 +1120,59 @@ class EnhancedLinearPipelineService {
     console.log(`✅ Precedent analysis completed for case ${caseId}`);
   }
 
+  // Case citations found when the case's documents were extracted, one entry per cited case.
+  // Only the authorities kept after ranking are resolved, in a single CourtListener lookup.
+  async loadCitedAuthorities(caseId) {
+    const { data: extractions, error } = await this.supabase
+      .from('case_document_extractions')
+      .select('file_name, citations')
+      .eq('case_id', caseId);
+
+    if (error) {
+      console.warn(`⚠️ Cannot load cited authorities for case ${caseId}: ${error.message}`);
+      return [];
+    }
+
+    const cited = new Map();
+    for (const extraction of extractions || []) {
+      for (const citation of extraction.citations || []) {
+        if (citation.type !== 'case') continue;
+
+        const entry = cited.get(citation.citation) || { citation, cited_in: [], times_cited: 0 };
+        entry.cited_in.push(extraction.file_name);
+        entry.times_cited += citation.occurrences || 1;
+        cited.set(citation.citation, entry);
+      }
+    }
+
+    // Most-cited first, capped so a heavily briefed case doesn't crowd out the prompt
+    const { maxCitedAuthorities } = pipelineConfig.precedents;
+    const ranked = [...cited.values()].sort((a, b) => b.times_cited - a.times_cited);
+    if (ranked.length > maxCitedAuthorities) {
+      console.log(`📚 Case ${caseId} cites ${ranked.length} authorities, analyzing the ${maxCitedAuthorities} cited most often`);
+    }
+
+    const kept = ranked.slice(0, maxCitedAuthorities);
+    const resolved = await this.courtListenerService.resolveCitations(kept.map(entry => entry.citation));
+
+    return kept.map(({ cited_in, times_cited }, index) => {
+      const citation = resolved[index];
+      const cluster = citation.resolution?.status === 'resolved' ? citation.resolution.clusters[0] : null;
+      return {
+        case_name: cluster?.case_name || citation.case_name || citation.citation,
+        citation: citation.citation,
+        court: citation.court || '',
+        date_filed: cluster?.date_filed || null,
+        url: cluster?.url || null,
+        courtlistener_id: cluster?.id || null,
+        resolution_status: citation.resolution?.status || 'unresolved',
+        cited_in,
+        times_cited,
+        relevance_factors: ['Cited in case documents']
+      };
+    });
+  }
+
   // Step 4: Judge & Court Trends - Feature #4
   async analyzeJudgeCourtTrends(context) {
     const { caseId } = context;
@@ -545,7 +1196,8 @@ class EnhancedLinearPipelineService {
     const judicialAnalysis = await this.aiService.executeJudicialAnalysis(
       caseData,
       judgeTrends,
-      intakeAnalysis
+      intakeAnalysis,
+      context.callOptions
     );
     
     // Store judge trends analysis
@@ -560,6 +1212,7 @@ class EnhancedLinearPipelineService {
           trends: judgeTrends,
           analysis: judicialAnalysis
         },
+        prompt_version: this.promptVersion(AI_PROMPTS.JUDICIAL_ANALYSIS, judicialAnalysis),
         created_at: new Date().toISOString()
       });
     
@@ -594,7 +1247,8 @@ class EnhancedLinearPipelineService {
     const similarCaseAnalysis = await this.aiService.executeSimilarCaseAnalysis(
       caseData,
       [...courtListenerCases.results || [], ...internalCases],
-      intakeAnalysis
+      intakeAnalysis,
+      context.callOptions
     );
     
     // Store similar cases analysis
@@ -608,6 +1262,7 @@ class EnhancedLinearPipelineService {
           internalCases,
           analysis: similarCaseAnalysis
         },
+        prompt_version: this.promptVersion(AI_PROMPTS.SIMILAR_CASE_ANALYSIS, similarCaseAnalysis),
         created_at: new Date().toISOString()
       });
     
@@ -648,7 +1303,7 @@ class EnhancedLinearPipelineService {
       precedentAnalysis: context.features.precedentAnalysis,
       judgeTrends: context.features.judgeTrends,
       similarCases: context.features.similarCases
-    });
+    }, context.callOptions);
     
     // Store risk assessment
     await this.supabase
@@ -657,6 +1312,7 @@ class EnhancedLinearPipelineService {
         case_id: caseId,
         analysis_type: 'risk_assessment',
         result: riskAnalysis,
+        prompt_version: this.promptVersion(AI_PROMPTS.RISK_ASSESSMENT, riskAnalysis),
         created_at: new Date().toISOString()
       });
     
@@ -687,7 +1343,7 @@ class EnhancedLinearPipelineService {
       riskAssessment: context.features.riskAssessment,
       similarCases: context.features.similarCases,
       judgeTrends: context.features.judgeTrends
-    });
+    }, context.callOptions);
     
     // Store cost estimate
     await this.supabase
@@ -696,6 +1352,7 @@ class EnhancedLinearPipelineService {
         case_id: caseId,
         analysis_type: 'cost_estimate',
         result: costEstimate,
+        prompt_version: this.promptVersion(AI_PROMPTS.COST_ESTIMATION, costEstimate),
         created_at: new Date().toISOString()
       });
     
@@ -728,7 +1385,7 @@ class EnhancedLinearPipelineService {
       similarCases: context.features.similarCases,
       judgeTrends: context.features.judgeTrends,
       riskAssessment: context.features.riskAssessment
-    });
+    }, context.callOptions);
     
     // Store financial prediction
     await this.supabase
@@ -737,12 +1394,15 @@ class EnhancedLinearPipelineService {
         case_id: caseId,
         analysis_type: 'financial_prediction',
         result: financialPrediction,
+        prompt_version: this.promptVersion(AI_PROMPTS.FINANCIAL_PREDICTION, financialPrediction),
         created_at: new Date().toISOString()
       });
     
     context.features.financialPrediction = {
       settlementRange: financialPrediction.settlementRange || { low: 0, likely: 0, high: 0 },
       verdictRange: financialPrediction.verdictRange || { low: 0, likely: 0, high: 0 },
+      estimatedOutcome: financialPrediction.estimatedOutcome ?? null,
+      outcomeRange: financialPrediction.outcomeRange || null,
       confidence: financialPrediction.confidence || 'medium',
       factors: financialPrediction.factors || [],
       methodology: financialPrediction.methodology || '',
@@ -769,7 +1429,7 @@ class EnhancedLinearPipelineService {
       riskAssessment: context.features.riskAssessment,
       judgeTrends: context.features.judgeTrends,
       similarCases: context.features.similarCases
-    });
+    }, context.callOptions);
     
     // Store settlement analysis
     await this.supabase
@@ -778,6 +1438,7 @@ class EnhancedLinearPipelineService {
         case_id: caseId,
         analysis_type: 'settlement_analysis',
         result: settlementAnalysis,
+        prompt_version: this.promptVersion(AI_PROMPTS.SETTLEMENT_ANALYSIS, settlementAnalysis),
         created_at: new Date().toISOString()
       });
     
@@ -785,6 +1446,7 @@ class EnhancedLinearPipelineService {
       settlementRecommendation: settlementAnalysis.recommendation || 'neutral',
       settlementProbability: settlementAnalysis.settlementProbability || 0,
       trialProbability: settlementAnalysis.trialProbability || 0,
+      settlementSuccessRate: settlementAnalysis.settlementSuccessRate ?? null,
       settlementAdvantages: settlementAnalysis.settlementAdvantages || [],
       trialAdvantages: settlementAnalysis.trialAdvantages || [],
       costComparison: settlementAnalysis.costComparison || {},
@@ -812,7 +1474,7 @@ class EnhancedLinearPipelineService {
       riskAssessment: context.features.riskAssessment,
       similarCases: context.features.similarCases,
       settlementAnalysis: context.features.settlementAnalysis
-    });
+    }, context.callOptions);
     
     // Store outcome probability
     await this.supabase
@@ -821,6 +1483,7 @@ class EnhancedLinearPipelineService {
         case_id: caseId,
         analysis_type: 'outcome_probability',
         result: outcomeProbability,
+        prompt_version: this.promptVersion(AI_PROMPTS.OUTCOME_PROBABILITY, outcomeProbability),
         created_at: new Date().toISOString()
       });
     
@@ -828,6 +1491,7 @@ class EnhancedLinearPipelineService {
       successProbability: outcomeProbability.successProbability || 0,
       failureProbability: outcomeProbability.failureProbability || 0,
       settlementProbability: outcomeProbability.settlementProbability || 0,
+      probabilityScore: outcomeProbability.probabilityScore ?? null,
       confidence: outcomeProbability.confidence || 'medium',
       factors: outcomeProbability.factors || {},
       methodology: outcomeProbability.methodology || '',
@@ -854,7 +1518,7 @@ class EnhancedLinearPipelineService {
       similarCases: context.features.similarCases,
       riskAssessment: context.features.riskAssessment,
       settlementAnalysis: context.features.settlementAnalysis
-    });
+    }, context.callOptions);
     
     // Store timeline estimate
     await this.supabase
@@ -863,12 +1527,15 @@ class EnhancedLinearPipelineService {
         case_id: caseId,
         analysis_type: 'timeline_estimate',
         result: timelineEstimate,
+        prompt_version: this.promptVersion(AI_PROMPTS.TIMELINE_ESTIMATION, timelineEstimate),
         created_at: new Date().toISOString()
       });
     
     context.features.timelineEstimate = {
       estimatedDuration: timelineEstimate.estimatedDuration || 0,
       durationRange: timelineEstimate.durationRange || { min: 0, max: 0 },
+      estimatedDays: timelineEstimate.estimatedDays ?? null,
+      timelineRange: timelineEstimate.timelineRange || null,
       keyMilestones: timelineEstimate.keyMilestones || [],
       potentialDelays: timelineEstimate.potentialDelays || [],
       confidence: timelineEstimate.confidence || 'medium',
@@ -914,6 +1581,44 @@ class EnhancedLinearPipelineService {
     console.log(`✅ Real-time law updates check completed for case ${caseId}`);
   }
 
+  // Registered step: run the step's prompt over case data and the features of its dependencies
+  async runRegisteredStep(definition, context) {
+    const { caseId } = context;
+    
+    console.log(`🧩 Running registered step ${definition.name} for case ${caseId}`);
+    
+    const pipelineSteps = this.getPipelineSteps();
+    const input = {
+      caseData: context.data.caseData,
+      intakeAnalysis: context.data.intakeAnalysis
+    };
+    
+    for (const dependency of definition.dependsOn) {
+      const step = pipelineSteps.find(candidate => candidate.name === dependency);
+      for (const entry of step.produces) {
+        const [section, key] = entry.split('.');
+        if (section === 'features') input[key] = context.features[key];
+      }
+    }
+    
+    // Validated against the step's outputSchema, with schema defaults applied
+    const result = await this.aiService.executeRegisteredAnalysis(definition, input, context.callOptions);
+    
+    await this.supabase
+      .from('case_analysis')
+      .upsert({
+        case_id: caseId,
+        analysis_type: definition.storage.analysisType,
+        result,
+        prompt_version: this.promptVersion(definition.prompt, result),
+        created_at: new Date().toISOString()
+      });
+    
+    context.features[definition.name] = result;
+    
+    console.log(`✅ Registered step ${definition.name} completed for case ${caseId}`);
+  }
+
   // Step 13: Final Integration - Combine all features
   async integrateAllAnalysis(context) {
     const { caseId } = context;
@@ -926,7 +1631,14 @@ class EnhancedLinearPipelineService {
       features: context.features,
       caseData: context.data.caseData,
       intakeAnalysis: context.data.intakeAnalysis
-    });
+    }, context.callOptions);
+    
+    const analysis = {
+      features: context.features,
+      summary: comprehensiveAnalysis.summary,
+      recommendations: comprehensiveAnalysis.recommendations,
+      nextSteps: comprehensiveAnalysis.nextSteps
+    };
     
     // Store comprehensive analysis
     await this.supabase
@@ -934,23 +1646,26 @@ class EnhancedLinearPipelineService {
       .upsert({
         case_id: caseId,
         analysis_type: 'comprehensive',
-        result: {
-          features: context.features,
-          summary: comprehensiveAnalysis.summary,
-          recommendations: comprehensiveAnalysis.recommendations,
-          nextSteps: comprehensiveAnalysis.nextSteps
-        },
+        result: analysis,
+        prompt_version: this.promptVersion(AI_PROMPTS.COMPREHENSIVE_ANALYSIS, comprehensiveAnalysis),
         created_at: new Date().toISOString()
       });
     
     // Store predictions in the dedicated case_predictions table
-    await this.storeFinalPredictions(caseId, context.features);
+    const predictions = await this.storeFinalPredictions(caseId, context.features, context.failedFeatures);
+    
+    // Keep this run's results as a version so later runs don't erase the history
+    try {
+      await this.versionService.createVersion(caseId, context.runId, { predictions, analysis });
+    } catch (error) {
+      console.warn(`⚠️ Failed to store analysis version for case ${caseId}: ${error.message}`);
+    }
     
     // Update case with processing completion
     await this.supabase
       .from('case_briefs')
       .update({
-        processing_status: 'completed',
+        processing_status: this.getCompletionStatus(context),
         ai_processed: true,
         last_ai_update: new Date().toISOString()
       })
@@ -959,34 +1674,161 @@ class EnhancedLinearPipelineService {
     console.log(`✅ All analysis integrated for case ${caseId}`);
   }
   
-  // Store final predictions in case_predictions table
-  async storeFinalPredictions(caseId, features) {
+  // Store final predictions in case_predictions table.
+  // failedFeatures maps each missing feature to the step that failed and why.
+  async storeFinalPredictions(caseId, features, failedFeatures = {}) {
     const predictionData = {
       case_id: caseId,
-      outcome_prediction_score: features.outcomeProbability?.probabilityScore || null,
+      outcome_prediction_score: features.outcomeProbability?.probabilityScore ?? null,
       confidence_prediction_percentage: features.outcomeProbability?.confidence || null,
-      estimated_financial_outcome: features.financialPrediction?.estimatedOutcome || null,
+      estimated_financial_outcome: features.financialPrediction?.estimatedOutcome ?? null,
       financial_outcome_range: features.financialPrediction?.outcomeRange || {},
-      litigation_cost_estimate: features.costEstimator?.totalEstimatedCost || null,
+      litigation_cost_estimate: features.costEstimator?.totalEstimatedCost ?? null,
       litigation_cost_range: features.costEstimator?.costRange || {},
-      settlement_success_rate: features.settlementAnalysis?.settlementSuccessRate || null,
-      risk_score: features.riskAssessment?.overallRiskScore || null,
+      settlement_success_rate: features.settlementAnalysis?.settlementSuccessRate ?? null,
+      risk_score: features.riskAssessment?.overallRiskScore ?? null,
       precedent_cases: features.precedentAnalysis?.precedents || [],
       similar_cases: features.similarCases?.courtListenerCases || [],
       analyzed_cases: features.analyzedCases?.patterns || [],
       real_time_law_changes: features.lawUpdates?.recentChanges || [],
-      average_time_resolution: features.timelineEstimate?.estimatedDays || null,
+      average_time_resolution: features.timelineEstimate?.estimatedDays ?? null,
       resolution_time_range: features.timelineEstimate?.timelineRange || {},
+      custom_features: Object.fromEntries(
+        this.stepRegistry.getSteps()
+          .filter(step => step.storage.includeInPredictions)
+          .map(step => [step.name, features[step.name] ?? null])
+      ),
+      missing_features: Object.entries(failedFeatures).map(([feature, failure]) => ({
+        feature,
+        step: failure.step,
+        reason: failure.reason
+      })),
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
     
+    // The prompts require these values, so a feature that ran but left its column empty
+    // means the feature object and this mapping have drifted apart
+    const emptyColumns = Object.entries(PREDICTION_COLUMN_FEATURES)
+      .filter(([column, feature]) => features[feature] && !failedFeatures[feature] && this.isEmptyPrediction(predictionData[column]))
+      .map(([column]) => column);
+    if (emptyColumns.length > 0) {
+      console.warn(`⚠️ Predictions for case ${caseId} stored without ${emptyColumns.join(', ')}`);
+    }
+    
     await this.supabase
       .from('case_predictions')
       .upsert(predictionData);
+    
+    return predictionData;
   }
 
   // Helper methods
+  isEmptyPrediction(value) {
+    return value === null || value === undefined || (typeof value === 'object' && Object.keys(value).length === 0);
+  }
+
+  getCompletionStatus(context) {
+    return Object.keys(context.failedFeatures).length > 0 ? 'completed_with_warnings' : 'completed';
+  }
+
+  markFeaturesFailed(context, step, error) {
+    const failedAt = new Date().toISOString();
+    
+    for (const path of step.produces) {
+      const [section, key] = path.split('.');
+      if (section !== 'features') continue;
+      
+      context.features[key] = null;
+      context.failedFeatures[key] = {
+        step: step.name,
+        reason: error.message,
+        failedAt
+      };
+    }
+  }
+
+  // Per-feature failures are kept on case_processing_progress so the status endpoint can report them
+  async recordFeatureFailures(caseId, failedFeatures) {
+    await this.upsertProcessingProgress(caseId, { failed_features: failedFeatures });
+  }
+
+  // Features whose inputs changed since they were computed; cleared once a run recomputes them
+  async recordStaleFeatures(caseId, staleFeatures) {
+    await this.upsertProcessingProgress(caseId, { stale_features: staleFeatures });
+  }
+
+  async loadStaleFeatures(caseId) {
+    if (!this.supabase) return {};
+
+    const { data, error } = await this.supabase
+      .from('case_processing_progress')
+      .select('stale_features')
+      .eq('case_id', caseId)
+      .maybeSingle();
+
+    if (error) {
+      console.warn(`⚠️ Failed to load stale features for case ${caseId}: ${error.message}`);
+      return {};
+    }
+    return data?.stale_features || {};
+  }
+
+  async clearStaleFeatures(caseId, featureNames) {
+    const staleFeatures = await this.loadStaleFeatures(caseId);
+    const remaining = Object.fromEntries(
+      Object.entries(staleFeatures).filter(([feature]) => !featureNames.includes(feature))
+    );
+
+    if (Object.keys(remaining).length < Object.keys(staleFeatures).length) {
+      await this.recordStaleFeatures(caseId, remaining);
+    }
+  }
+
+  // Mark the given features and everything computed from them as stale, on top of any
+  // features still stale from earlier changes
+  async markFeaturesStale(caseId, featureNames, changedFields = []) {
+    const markedAt = new Date().toISOString();
+    const staleFeatures = await this.loadStaleFeatures(caseId);
+
+    for (const feature of this.getAffectedFeatures(featureNames)) {
+      staleFeatures[feature] = { changedFields, markedAt };
+    }
+
+    await this.recordStaleFeatures(caseId, staleFeatures);
+    return Object.keys(staleFeatures);
+  }
+
+  // Features that have to be recomputed when the given features change
+  getAffectedFeatures(featureNames) {
+    const pipelineSteps = this.getPipelineSteps();
+    const featureSteps = this.getFeatureSteps(pipelineSteps);
+    const affectedSteps = getDependents(
+      pipelineSteps,
+      [...new Set(featureNames.map(feature => featureSteps[feature]).filter(Boolean))]
+    );
+
+    return Object.keys(featureSteps).filter(feature => affectedSteps.includes(featureSteps[feature]));
+  }
+
+  async upsertProcessingProgress(caseId, fields) {
+    if (!this.supabase) return;
+    
+    try {
+      const { error } = await this.supabase
+        .from('case_processing_progress')
+        .upsert({
+          case_id: caseId,
+          ...fields,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'case_id' });
+      
+      if (error) throw error;
+    } catch (error) {
+      console.warn(`⚠️ Failed to update processing progress for case ${caseId}: ${error.message}`);
+    }
+  }
+
   async updateCaseStatus(caseId, status, errorMessage = null) {
     if (!this.supabase) return;
     
@@ -1030,7 +1872,7 @@ class EnhancedLinearPipelineService {
     }
   }
 
-  async updateProcessingProgress(caseId, currentStep, totalSteps, stepName) {
+  async updateProcessingProgress(caseId, currentStep, totalSteps, stepName, stageStatus = 'completed') {
     if (!this.supabase) return;
     
     // Update progress in case_briefs table
@@ -1049,11 +1891,18 @@ class EnhancedLinearPipelineService {
         id: `${caseId}-${stepName}`,
         case_id: caseId,
         stage_name: stepName,
-        stage_status: 'completed',
+        stage_status: stageStatus,
         completed_at: new Date().toISOString(),
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       });
+    
+    await this.upsertProcessingProgress(caseId, {
+      current_step: currentStep,
+      current_step_name: stepName,
+      total_steps: totalSteps,
+      progress_percentage: Math.round((currentStep / totalSteps) * 100)
+    });
   }
 
   async searchInternalSimilarCases(caseData, intakeAnalysis) {
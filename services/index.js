@@ -5,11 +5,15 @@ module.exports = {
   // Core services
   aiService: require('./ai.service'),
   pdfService: require('./pdf.service'),
+  wordService: require('./word.service'),
+  ocrService: require('./ocr.service'),
   courtListenerService: require('./courtlistener.service'),
   emailService: require('./email.service'),
   notificationService: require('./notification.service'),
   realtimeService: require('./realtime.service'),
   costMonitor: require('./costMonitor.service'),
+  aiCacheService: require('./ai-cache.service'),
+  tokenizerService: require('./tokenizer.service'),
   errorTrackingService: require('./error-tracking.service'),
   rateLimiter: require('./rateLimiter'),
   queueService: require('./queueService'),
@@ -17,6 +21,10 @@ module.exports = {
   // Processing services
   processingService: require('./processing.service'),
   enhancedLinearPipelineService: require('./enhanced-linear-pipeline.service'),
+  pipelineCheckpointService: require('./pipeline-checkpoint.service'),
+  pipelineStepRegistry: require('./pipeline-step-registry.service'),
+  pipelineTraceService: require('./pipeline-trace.service'),
+  analysisVersionService: require('./analysis-version.service'),
   
   // External services
   externalService: require('./external.service'),
@@ -32,16 +40,24 @@ module.exports = {
   // Individual service exports for direct access
   AIService: require('./ai.service'),
   PDFService: require('./pdf.service'),
+  WordService: require('./word.service'),
+  OCRService: require('./ocr.service'),
   CourtListenerService: require('./courtlistener.service'),
   EmailService: require('./email.service'),
   NotificationService: require('./notification.service'),
   RealtimeService: require('./realtime.service'),
   CostMonitor: require('./costMonitor.service'),
+  AICacheService: require('./ai-cache.service'),
+  TokenizerService: require('./tokenizer.service'),
   ErrorTrackingService: require('./error-tracking.service'),
   RateLimiter: require('./rateLimiter'),
   QueueService: require('./queueService'),
   ProcessingService: require('./processing.service'),
   EnhancedLinearPipelineService: require('./enhanced-linear-pipeline.service'),
+  PipelineCheckpointService: require('./pipeline-checkpoint.service'),
+  PipelineStepRegistry: require('./pipeline-step-registry.service'),
+  PipelineTraceService: require('./pipeline-trace.service'),
+  AnalysisVersionService: require('./analysis-version.service'),
   ExternalService: require('./external.service'),
   InternalAPIService: require('./internal-api.service'),
   InternalAuthService: require('./internal-auth.service'),
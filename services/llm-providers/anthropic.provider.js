@@ -0,0 +1,132 @@
+// services/llm-providers/anthropic.provider.js - Anthropic Messages API, translated to and from the OpenAI shape
+const axios = require('axios');
+const LLMProvider = require('./base.provider');
+
+const FINISH_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length'
+};
+
+class AnthropicProvider extends LLMProvider {
+  constructor() {
+    super('anthropic');
+    this.apiKey = process.env.ANTHROPIC_API_KEY;
+    this.baseURL = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  getDefaultModel() {
+    return process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
+  }
+
+  async createChatCompletion(request, requestOptions = {}) {
+    const { data } = await this.post(this.buildBody(request), requestOptions);
+    const content = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      id: data.id,
+      object: 'chat.completion',
+      model: data.model,
+      choices: [{
+        index: 0,
+        message: { role: 'assistant', content },
+        finish_reason: FINISH_REASONS[data.stop_reason] || data.stop_reason
+      }],
+      usage: this.toUsage(data.usage)
+    };
+  }
+
+  async createChatCompletionStream(request, requestOptions = {}) {
+    const response = await this.post({ ...this.buildBody(request), stream: true }, { ...requestOptions, responseType: 'stream' });
+    return this.translateStream(response.data);
+  }
+
+  // Server-sent events from the Messages API as OpenAI-style chunks
+  async *translateStream(stream) {
+    let model = null;
+    let usage = {};
+    let buffer = '';
+
+    for await (const bytes of stream) {
+      buffer += bytes.toString('utf8');
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+
+      for (const event of events) {
+        const dataLine = event.split('\n').find(line => line.startsWith('data:'));
+        if (!dataLine) continue;
+
+        const data = JSON.parse(dataLine.substring(5));
+        if (data.type === 'message_start') {
+          model = data.message.model;
+          usage = { ...usage, ...data.message.usage };
+        } else if (data.type === 'content_block_delta' && data.delta.type === 'text_delta') {
+          yield { model, choices: [{ index: 0, delta: { content: data.delta.text }, finish_reason: null }] };
+        } else if (data.type === 'message_delta') {
+          usage = { ...usage, ...data.usage };
+          yield { model, choices: [{ index: 0, delta: {}, finish_reason: FINISH_REASONS[data.delta.stop_reason] || data.delta.stop_reason }] };
+        } else if (data.type === 'error') {
+          throw new Error(data.error?.message || 'Anthropic stream error');
+        }
+      }
+    }
+
+    yield { model, choices: [], usage: this.toUsage(usage) };
+  }
+
+  buildBody({ model, messages, temperature, max_tokens, response_format }) {
+    // System prompts are a top-level field rather than a message role
+    const system = messages.filter(message => message.role === 'system').map(message => message.content);
+    if (response_format?.type === 'json_object') {
+      system.push('Respond with a single valid JSON object and nothing else.');
+    }
+
+    return {
+      model,
+      max_tokens: max_tokens || 4096,
+      ...(temperature !== undefined && { temperature }),
+      ...(system.length > 0 && { system: system.join('\n\n') }),
+      messages: messages
+        .filter(message => message.role !== 'system')
+        .map(message => ({ role: message.role, content: message.content }))
+    };
+  }
+
+  async post(body, { signal, responseType } = {}) {
+    try {
+      return await axios.post(`${this.baseURL}/v1/messages`, body, {
+        headers: {
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01',
+          'content-type': 'application/json'
+        },
+        signal,
+        ...(responseType && { responseType })
+      });
+    } catch (error) {
+      // Surface status and headers the way the OpenAI SDK does so callers handle both alike
+      const providerError = new Error(error.response?.data?.error?.message || error.message);
+      providerError.status = error.response?.status;
+      providerError.headers = error.response?.headers;
+      providerError.code = error.code;
+      throw providerError;
+    }
+  }
+
+  toUsage(usage = {}) {
+    return {
+      prompt_tokens: usage.input_tokens || 0,
+      completion_tokens: usage.output_tokens || 0,
+      total_tokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,39 @@
+// services/llm-providers/azure-openai.provider.js - Azure OpenAI deployments
+const { AzureOpenAI } = require('openai');
+const LLMProvider = require('./base.provider');
+
+class AzureOpenAIProvider extends LLMProvider {
+  constructor() {
+    super('azure');
+
+    this.client = process.env.AZURE_OPENAI_ENDPOINT && process.env.AZURE_OPENAI_API_KEY
+      ? new AzureOpenAI({
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-10-21'
+      })
+      : null;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  // On Azure the model is the name of a deployment in the resource
+  getDefaultModel() {
+    return process.env.AZURE_OPENAI_DEPLOYMENT || null;
+  }
+
+  async createChatCompletion(request, requestOptions = {}) {
+    return this.client.chat.completions.create(request, { signal: requestOptions.signal });
+  }
+
+  async createChatCompletionStream(request, requestOptions = {}) {
+    return this.client.chat.completions.create(
+      { ...request, stream: true, stream_options: { include_usage: true } },
+      { signal: requestOptions.signal }
+    );
+  }
+}
+
+module.exports = AzureOpenAIProvider;
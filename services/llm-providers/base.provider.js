@@ -0,0 +1,33 @@
+// services/llm-providers/base.provider.js - Interface every LLM provider adapter implements
+//
+// Adapters take an OpenAI-style chat completion request ({ model, messages, temperature,
+// response_format, ... }) and return an OpenAI-style response ({ model, choices, usage }),
+// so callers parse results the same way whichever vendor answered.
+class LLMProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Whether credentials/endpoints for this provider are present
+  isConfigured() {
+    return false;
+  }
+
+  // Model to use when an operation doesn't name one for this provider
+  getDefaultModel() {
+    return null;
+  }
+
+  // requestOptions.signal aborts the request when the caller's time runs out
+  async createChatCompletion(_request, _requestOptions = {}) {
+    throw new Error(`LLM provider ${this.name} does not implement createChatCompletion`);
+  }
+
+  // Async iterable of OpenAI-style stream chunks ({ model, choices: [{ delta, finish_reason }], usage }).
+  // The last chunk carries usage.
+  async createChatCompletionStream(_request, _requestOptions = {}) {
+    throw new Error(`LLM provider ${this.name} does not support streaming`);
+  }
+}
+
+module.exports = LLMProvider;
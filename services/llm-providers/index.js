@@ -0,0 +1,122 @@
+// services/llm-providers/index.js - Picks the LLM provider and model for each AI operation
+const aiConfig = require('../ai.config');
+const { AIProviderNotAllowedError } = require('../../utils/errorHandler');
+const OpenAIProvider = require('./openai.provider');
+const AzureOpenAIProvider = require('./azure-openai.provider');
+const AnthropicProvider = require('./anthropic.provider');
+const LocalProvider = require('./local.provider');
+const ReplayProvider = require('./replay.provider');
+
+class LLMProviderRegistry {
+  constructor() {
+    this.providers = {
+      openai: new OpenAIProvider(),
+      azure: new AzureOpenAIProvider(),
+      anthropic: new AnthropicProvider(),
+      local: new LocalProvider(),
+      replay: new ReplayProvider()
+    };
+  }
+
+  getProvider(name) {
+    const provider = this.providers[name];
+    if (!provider) {
+      throw new Error(`Unknown LLM provider: ${name}. Expected one of ${Object.keys(this.providers).join(', ')}`);
+    }
+    return provider;
+  }
+
+  // Whether a real LLM provider is configured; replay doesn't count
+  hasConfiguredProvider() {
+    return Object.values(this.providers).some(provider => provider.name !== 'replay' && provider.isConfigured());
+  }
+
+  // Only on request: a deployment missing its API key should fail, not answer with fixtures
+  isReplaying() {
+    return aiConfig.replay.mode === 'replay';
+  }
+
+  isRecording() {
+    return aiConfig.replay.mode === 'record';
+  }
+
+  // Provider and model for an operation. Prompts name OpenAI models, so the prompt's model is
+  // only used when the operation goes to OpenAI without a model of its own.
+  resolveRoute(operation, requestedModel) {
+    const route = aiConfig.providers.operations[operation] || {};
+    const providerName = route.provider || aiConfig.providers.default;
+    const provider = this.getProvider(providerName);
+    const model = this.getRouteModel(provider, route.model, requestedModel);
+
+    if (!provider.isConfigured()) {
+      throw new Error(`LLM provider ${providerName} is not configured (operation: ${operation})`);
+    }
+    if (!model) {
+      throw new Error(`No model configured for LLM provider ${providerName} (operation: ${operation})`);
+    }
+
+    return { provider: providerName, model };
+  }
+
+  getRouteModel(provider, routeModel, requestedModel) {
+    return routeModel || (provider.name === 'openai' ? requestedModel : provider.getDefaultModel());
+  }
+
+  // The operation's route followed by its fallbacks, skipping fallbacks that aren't configured
+  // and any provider the organization may not use
+  resolveChain(operation, requestedModel, organizationId) {
+    // Replays answer every operation, under the model it would normally ask for
+    if (this.isReplaying()) {
+      return [{ provider: 'replay', model: requestedModel || this.providers.replay.getDefaultModel() }];
+    }
+
+    const primary = this.resolveRoute(operation, requestedModel);
+    const fallbacks = aiConfig.providers.operations[operation]?.fallbacks || aiConfig.fallback.defaultChain;
+
+    const chain = [primary];
+    for (const hop of fallbacks) {
+      const provider = this.getProvider(hop.provider || aiConfig.providers.default);
+      const model = this.getRouteModel(provider, hop.model, requestedModel);
+
+      if (!provider.isConfigured() || !model) {
+        console.warn(`⚠️ Skipping fallback ${provider.name}/${model || '?'} for ${operation}: provider or model not configured`);
+        continue;
+      }
+      if (!chain.some(route => route.provider === provider.name && route.model === model)) {
+        chain.push({ provider: provider.name, model });
+      }
+    }
+
+    const allowed = chain.filter(route => this.isAllowed(route.provider, organizationId));
+    if (allowed.length === 0) {
+      throw new AIProviderNotAllowedError(primary.provider, organizationId);
+    }
+
+    return allowed;
+  }
+
+  // Organizations can be limited to an allow-list of providers or barred from specific ones
+  isAllowed(providerName, organizationId) {
+    const restriction = organizationId && aiConfig.providers.restrictions[organizationId];
+    if (!restriction) return true;
+
+    if (restriction.allowed && !restriction.allowed.includes(providerName)) return false;
+    return !(restriction.blocked || []).includes(providerName);
+  }
+
+  async createChatCompletion(route, request, requestOptions = {}) {
+    return this.getProvider(route.provider).createChatCompletion({ ...request, model: route.model }, requestOptions);
+  }
+
+  async createChatCompletionStream(route, request, requestOptions = {}) {
+    return this.getProvider(route.provider).createChatCompletionStream({ ...request, model: route.model }, requestOptions);
+  }
+
+  // Keep a completed response as a replay fixture
+  async recordFixture(route, request, response, operation) {
+    if (route.provider === 'replay') return;
+    await this.providers.replay.record({ ...request, model: route.model }, response, { operation, provider: route.provider });
+  }
+}
+
+module.exports = new LLMProviderRegistry();
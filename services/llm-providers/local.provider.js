@@ -0,0 +1,17 @@
+// services/llm-providers/local.provider.js - Self-hosted OpenAI-compatible servers (vLLM, llama.cpp, ...)
+const OpenAIProvider = require('./openai.provider');
+
+class LocalProvider extends OpenAIProvider {
+  constructor() {
+    // Local servers usually ignore the API key, but the SDK requires one
+    super('local', process.env.LOCAL_LLM_BASE_URL
+      ? { baseURL: process.env.LOCAL_LLM_BASE_URL, apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed' }
+      : {});
+  }
+
+  getDefaultModel() {
+    return process.env.LOCAL_LLM_MODEL || null;
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,31 @@
+// services/llm-providers/openai.provider.js - OpenAI chat completions
+const OpenAI = require('openai');
+const LLMProvider = require('./base.provider');
+
+class OpenAIProvider extends LLMProvider {
+  constructor(name = 'openai', clientOptions = { apiKey: process.env.OPENAI_API_KEY }) {
+    super(name);
+    this.client = clientOptions.apiKey ? new OpenAI(clientOptions) : null;
+  }
+
+  isConfigured() {
+    return !!this.client;
+  }
+
+  getDefaultModel() {
+    return process.env.OPENAI_MODEL || 'gpt-4-turbo-preview';
+  }
+
+  async createChatCompletion(request, requestOptions = {}) {
+    return this.client.chat.completions.create(request, { signal: requestOptions.signal });
+  }
+
+  async createChatCompletionStream(request, requestOptions = {}) {
+    return this.client.chat.completions.create(
+      { ...request, stream: true, stream_options: { include_usage: true } },
+      { signal: requestOptions.signal }
+    );
+  }
+}
+
+module.exports = OpenAIProvider;
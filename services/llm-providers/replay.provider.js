@@ -0,0 +1,151 @@
+// services/llm-providers/replay.provider.js - Recorded and synthetic responses for offline runs
+//
+// Fixtures are JSON files in aiConfig.replay.directory:
+//   <request hash>.json         a recorded request and the response it got
+//   operations/<operation>.json the answer (parsed JSON content) for any unrecorded request of
+//                               that operation, when the generated synthetic data won't do
+// The hash covers the messages and generation parameters but not the provider or model, so
+// fixtures recorded against one provider replay whichever route an operation takes.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const LLMProvider = require('./base.provider');
+const aiConfig = require('../ai.config');
+const { stableStringify } = require('../../utils/stableStringify');
+
+// Request fields that don't change what the model is asked
+const UNHASHED_FIELDS = ['model', 'stream', 'stream_options'];
+
+const findRule = (description, name) => description.rules?.find(rule => rule.name === name)?.args;
+
+// A value that satisfies a Joi schema description. Every declared key is filled in, numbers sit
+// in the middle of their allowed range and strings name the field they belong to.
+function synthesize(description, field = 'value') {
+  if (!description) return null;
+
+  const { flags = {} } = description;
+  if (flags.default !== undefined && typeof flags.default !== 'function') return flags.default;
+  if (flags.only && description.allow?.length > 0) return description.allow[0];
+
+  switch (description.type) {
+  case 'object':
+    return Object.fromEntries(Object.entries(description.keys || {})
+      .map(([key, child]) => [key, synthesize(child, key)]));
+
+  case 'array': {
+    const item = description.items?.[0];
+    const length = findRule(description, 'length')?.limit ?? Math.max(findRule(description, 'min')?.limit ?? 1, 1);
+    return item ? Array.from({ length }, () => synthesize(item, field)) : [];
+  }
+
+  case 'number': {
+    const min = findRule(description, 'min')?.limit;
+    const max = findRule(description, 'max')?.limit;
+    const value = min !== undefined && max !== undefined ? (min + max) / 2 : (min ?? max ?? 0);
+    return findRule(description, 'integer') ? Math.ceil(value) : value;
+  }
+
+  case 'string':
+    return `Synthetic ${field}`.padEnd(findRule(description, 'min')?.limit || 0, '.');
+
+  case 'boolean':
+    return false;
+
+  case 'date':
+    return new Date(0).toISOString();
+
+  case 'alternatives':
+    return synthesize(description.matches?.[0]?.schema, field);
+
+  default:
+    return null;
+  }
+}
+
+class ReplayProvider extends LLMProvider {
+  constructor() {
+    super('replay');
+    this.directory = aiConfig.replay.directory;
+  }
+
+  // Fixtures and synthetic data need no credentials
+  isConfigured() {
+    return true;
+  }
+
+  getDefaultModel() {
+    return 'replay';
+  }
+
+  hashRequest(request) {
+    const hashed = { ...request };
+    UNHASHED_FIELDS.forEach(field => delete hashed[field]);
+
+    return crypto.createHash('sha256').update(stableStringify(hashed)).digest('hex');
+  }
+
+  // requestOptions.operation and requestOptions.schema (the prompt's Joi response schema)
+  // shape the synthetic answer when the request was never recorded
+  async createChatCompletion(request, requestOptions = {}) {
+    const hash = this.hashRequest(request);
+    const fixture = await this.readFixture(`${hash}.json`);
+
+    if (fixture) {
+      console.log(`📼 Replaying recorded ${fixture.operation || 'AI'} response ${hash.substring(0, 12)}`);
+      return { ...fixture.response, model: request.model };
+    }
+
+    const { operation = 'default', schema } = requestOptions;
+    const content = await this.readFixture(path.join('operations', `${operation}.json`))
+      ?? (schema ? synthesize(schema.describe()) : {});
+
+    console.log(`🧪 No recording for ${operation} request ${hash.substring(0, 12)} - answering with synthetic data`);
+    return {
+      model: request.model,
+      choices: [{ index: 0, message: { role: 'assistant', content: JSON.stringify(content) }, finish_reason: 'stop' }],
+      usage: null
+    };
+  }
+
+  // The whole answer arrives as one delta
+  async createChatCompletionStream(request, requestOptions = {}) {
+    const response = await this.createChatCompletion(request, requestOptions);
+
+    return (async function* () {
+      yield { model: response.model, choices: [{ index: 0, delta: { content: response.choices[0].message.content }, finish_reason: null }] };
+      yield { model: response.model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], usage: response.usage };
+    })();
+  }
+
+  // Save a provider's response to a request as a fixture. Failures are logged and don't affect the call.
+  async record(request, response, { operation, provider }) {
+    const hash = this.hashRequest(request);
+    const fixture = {
+      operation,
+      provider,
+      model: request.model,
+      recordedAt: new Date().toISOString(),
+      request,
+      response: { model: response.model, choices: response.choices, usage: response.usage }
+    };
+
+    try {
+      await fs.mkdir(this.directory, { recursive: true });
+      await fs.writeFile(path.join(this.directory, `${hash}.json`), JSON.stringify(fixture, null, 2));
+      console.log(`📼 Recorded ${operation} response ${hash.substring(0, 12)}`);
+    } catch (error) {
+      console.warn(`⚠️ Could not record AI fixture for ${operation}:`, error.message);
+    }
+  }
+
+  async readFixture(file) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = ReplayProvider;
@@ -0,0 +1,24 @@
+// services/ocr-engines/base.engine.js - Interface every OCR engine adapter implements
+//
+// Engines receive a preprocessed page image (grayscale, deskewed and thresholded PNG) and
+// return its text with a 0-1 confidence, so callers treat every engine's output the same way.
+class OCREngine {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Whether the engine can run with the current configuration
+  isAvailable() {
+    return false;
+  }
+
+  // Resolves to { text, confidence }
+  async recognize(_image) {
+    throw new Error(`OCR engine ${this.name} does not implement recognize`);
+  }
+
+  // Release workers or connections held between calls
+  async terminate() {}
+}
+
+module.exports = OCREngine;
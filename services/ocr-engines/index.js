@@ -0,0 +1,19 @@
+// services/ocr-engines/index.js - OCR engines by name, chosen with OCR_ENGINE
+const TesseractEngine = require('./tesseract.engine');
+
+const ENGINES = {
+  tesseract: TesseractEngine
+};
+
+// "none" turns OCR off; image-only pages are then reported rather than read
+function createOCREngine(name, options = {}) {
+  if (name === 'none') return null;
+
+  const Engine = ENGINES[name];
+  if (!Engine) {
+    throw new Error(`Unknown OCR engine: ${name}. Expected one of ${[...Object.keys(ENGINES), 'none'].join(', ')}`);
+  }
+  return new Engine(options);
+}
+
+module.exports = { createOCREngine, OCR_ENGINES: Object.keys(ENGINES) };
@@ -0,0 +1,99 @@
+// services/ocr-engines/tesseract.engine.js - Local OCR with tesseract.js, no document leaves the server
+const os = require('os');
+const path = require('path');
+const { createWorker, OEM } = require('tesseract.js');
+const OCREngine = require('./base.engine');
+
+// The worker holds the language model in memory, so it is shut down after this long without work
+const IDLE_TIMEOUT_MS = 60000;
+// After a failed start (usually language data that couldn't be loaded) the engine reports itself
+// unavailable for this long, then the next page tries again
+const START_RETRY_MS = 5 * 60000;
+
+class TesseractEngine extends OCREngine {
+  // options.languages: tesseract language codes joined with "+", e.g. "eng+spa"
+  // options.langPath: directory or URL holding <lang>.traineddata; tesseract.js downloads from its CDN when unset
+  constructor({ languages = 'eng', langPath = null } = {}) {
+    super('tesseract');
+    this.languages = languages;
+    this.langPath = langPath;
+    this.workerPromise = null;
+    this.startError = null;
+    this.startFailedAt = null;
+    this.idleTimer = null;
+  }
+
+  isAvailable() {
+    return !this.startError || Date.now() - this.startFailedAt >= START_RETRY_MS;
+  }
+
+  getWorker() {
+    if (!this.workerPromise) {
+      console.log(`🔤 Starting tesseract worker (${this.languages})`);
+
+      this.workerPromise = this.startWorker()
+        .then(worker => {
+          this.startError = null;
+          return worker;
+        })
+        .catch(error => {
+          console.error(`❌ ${error.message}`);
+          this.startError = error;
+          this.startFailedAt = Date.now();
+          this.workerPromise = null;
+          throw error;
+        });
+    }
+    return this.workerPromise;
+  }
+
+  // The worker starts without languages and loads them in a second step. tesseract.js never
+  // settles createWorker when language data fails to load, which would leave a worker thread
+  // running that nothing can shut down (and keep the process from exiting).
+  async startWorker() {
+    const worker = await createWorker([], OEM.LSTM_ONLY, {
+      ...(this.langPath && { langPath: this.langPath }),
+      // Downloaded language data is cached here rather than in the working directory
+      cachePath: path.join(os.tmpdir(), 'tesseract-cache'),
+      // Without a handler tesseract.js rethrows failed jobs from the worker thread and ends the
+      // process. The failed call is rejected as well, so nothing needs doing here.
+      errorHandler: () => {}
+    }).catch(error => {
+      throw new Error(`Could not start tesseract: ${error.message || error}`);
+    });
+
+    try {
+      await worker.reinitialize(this.languages);
+      return worker;
+    } catch (error) {
+      await worker.terminate().catch(() => {});
+      throw new Error(`Could not load tesseract language data (${this.languages}): ${error.message || error}`);
+    }
+  }
+
+  async recognize(image) {
+    clearTimeout(this.idleTimer);
+
+    try {
+      const worker = await this.getWorker();
+      const { data } = await worker.recognize(image);
+      return { text: data.text || '', confidence: (data.confidence || 0) / 100 };
+    } finally {
+      this.idleTimer = setTimeout(() => this.terminate().catch(console.error), IDLE_TIMEOUT_MS);
+      this.idleTimer.unref();
+    }
+  }
+
+  async terminate() {
+    clearTimeout(this.idleTimer);
+    const workerPromise = this.workerPromise;
+    this.workerPromise = null;
+
+    if (workerPromise) {
+      const worker = await workerPromise.catch(() => null);
+      await worker?.terminate();
+    }
+  }
+}
+
+module.exports = TesseractEngine;
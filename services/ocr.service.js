@@ -0,0 +1,354 @@
+// services/ocr.service.js - OCR for scanned PDF pages and photographed exhibits
+const sharp = require('sharp');
+// pdf-parse's copy of pdf.js, used here only to take the scanned image off image-only pages
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+const { createOCREngine } = require('./ocr-engines');
+
+PDFJS.disableWorker = true;
+
+const PAGE_BREAK = '\f';
+
+// A page with less text than this (a page number, a Bates stamp) is treated as image-only
+const MIN_TEXT_CHARACTERS = 20;
+
+// pdf.js ImageKind values for decoded image data
+const IMAGE_KIND = {
+  GRAYSCALE_1BPP: 1,
+  RGB_24BPP: 2,
+  RGBA_32BPP: 3
+};
+const IMAGE_OPERATORS = [PDFJS.OPS.paintImageXObject, PDFJS.OPS.paintJpegXObject, PDFJS.OPS.paintInlineImageXObject];
+
+// Low-resolution scans are enlarged to about 300 dpi for a letter page, where tesseract reads
+// best, and large phone photos are reduced
+const MIN_OCR_WIDTH = 2000;
+const TARGET_OCR_WIDTH = 2550;
+const MAX_OCR_WIDTH = 4000;
+
+// Skew is searched for on a reduced copy of the page, within a tilt a scanner or hand-held
+// camera plausibly produces
+const SKEW_SAMPLE_WIDTH = 1000;
+const MAX_SKEW_DEGREES = 5;
+const SKEW_STEP_DEGREES = 0.25;
+const MAX_SKEW_POINTS = 50000;
+
+const round = value => Math.round(value * 100) / 100;
+
+// Grey level that best separates ink from paper (Otsu's method)
+function otsuThreshold(pixels) {
+  const histogram = new Array(256).fill(0);
+  for (const value of pixels) histogram[value] += 1;
+
+  const total = pixels.length;
+  const totalSum = histogram.reduce((sum, count, level) => sum + level * count, 0);
+  let darkSum = 0;
+  let darkCount = 0;
+  let bestVariance = 0;
+  let threshold = 128;
+
+  for (let level = 0; level < 256; level++) {
+    darkCount += histogram[level];
+    darkSum += level * histogram[level];
+    const lightCount = total - darkCount;
+    if (darkCount === 0) continue;
+    if (lightCount === 0) break;
+
+    const variance = darkCount * lightCount * (darkSum / darkCount - (totalSum - darkSum) / lightCount) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = level;
+    }
+  }
+
+  return threshold;
+}
+
+// Tilt of the text lines in degrees. At the right angle the ink falls into few, full rows
+// (the lines) separated by empty ones, which maximizes the sum of squared row counts.
+function estimateSkew(pixels, width, height, threshold) {
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[y * width + x] < threshold) {
+        xs.push(x);
+        ys.push(y);
+      }
+    }
+  }
+
+  const step = Math.max(1, Math.ceil(xs.length / MAX_SKEW_POINTS));
+  const rows = new Int32Array(height + 2 * width);
+  let bestAngle = 0;
+  let bestScore = -1;
+
+  for (let angle = -MAX_SKEW_DEGREES; angle <= MAX_SKEW_DEGREES; angle += SKEW_STEP_DEGREES) {
+    const radians = angle * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    rows.fill(0);
+
+    for (let index = 0; index < xs.length; index += step) {
+      rows[Math.round(ys[index] * cos - xs[index] * sin) + width] += 1;
+    }
+
+    let score = 0;
+    for (const count of rows) score += count * count;
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = angle;
+    }
+  }
+
+  return bestAngle;
+}
+
+// Decoded pdf.js image data as input for sharp
+function rawImage({ width, height, kind, data }) {
+  if (kind === IMAGE_KIND.GRAYSCALE_1BPP) {
+    // Packed bits, each row padded to a whole byte; a set bit is white
+    const rowBytes = Math.ceil(width / 8);
+    const pixels = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        pixels[y * width + x] = data[y * rowBytes + (x >> 3)] & (128 >> (x & 7)) ? 255 : 0;
+      }
+    }
+    return { data: pixels, raw: { width, height, channels: 1 } };
+  }
+
+  return {
+    data: Buffer.from(data.buffer, data.byteOffset, data.byteLength),
+    raw: { width, height, channels: kind === IMAGE_KIND.RGBA_32BPP ? 4 : 3 }
+  };
+}
+
+// Largest image drawn on a page; a scanned page is one image covering the page
+async function largestPageImage(document, pageNumber) {
+  const page = await document.getPage(pageNumber);
+  const operators = await page.getOperatorList();
+  let largest = null;
+
+  operators.fnArray.forEach((operator, index) => {
+    if (!IMAGE_OPERATORS.includes(operator)) return;
+
+    const reference = operators.argsArray[index][0];
+    const image = typeof reference === 'string' ? page.objs.get(reference) : reference;
+    if (image?.data && (!largest || image.width * image.height > largest.width * largest.height)) {
+      largest = image;
+    }
+  });
+
+  const result = largest && rawImage(largest);
+  page.cleanup();
+  return result;
+}
+
+function withTimeout(promise, timeoutMs, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+class OCRService {
+  constructor() {
+    const options = {
+      languages: process.env.OCR_LANGUAGES || 'eng',
+      langPath: process.env.OCR_LANG_PATH || null
+    };
+
+    // tesseract runs in-process like local PDF extraction; "none" turns OCR off
+    this.engineName = process.env.OCR_ENGINE || 'tesseract';
+    this.timeoutMs = parseInt(process.env.OCR_TIMEOUT_MS) || 120000;
+
+    try {
+      this.engine = createOCREngine(this.engineName, options);
+    } catch (error) {
+      console.error(`[OCRService] ${error.message}, using tesseract`);
+      this.engineName = 'tesseract';
+      this.engine = createOCREngine(this.engineName, options);
+    }
+  }
+
+  isEnabled() {
+    return !!this.engine?.isAvailable();
+  }
+
+  // Why OCR can't run right now, or null when it can
+  unavailableReason() {
+    if (!this.engine) return 'OCR is disabled (OCR_ENGINE=none)';
+    return this.engine.isAvailable() ? null : `OCR engine ${this.engine.name} is unavailable`;
+  }
+
+  // Grayscale, contrast-stretched, deskewed, scaled, denoised and thresholded PNG for the OCR engine.
+  // raw describes input when it is a pixel buffer rather than an encoded image.
+  async preprocess(input, raw = null) {
+    // Phone photos carry their orientation in EXIF; rotate() without an angle applies it
+    const { data, info } = await sharp(input, raw ? { raw } : {})
+      .rotate()
+      .flatten({ background: '#ffffff' })
+      .grayscale()
+      .normalise()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const grey = { width: info.width, height: info.height, channels: info.channels };
+
+    const sample = await sharp(data, { raw: grey })
+      .resize({ width: Math.min(SKEW_SAMPLE_WIDTH, info.width) })
+      .extractChannel(0)
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const threshold = otsuThreshold(sample.data);
+    const skew = estimateSkew(sample.data, sample.info.width, sample.info.height, threshold);
+
+    const width = info.width < MIN_OCR_WIDTH
+      ? TARGET_OCR_WIDTH
+      : Math.min(info.width, MAX_OCR_WIDTH);
+
+    return sharp(data, { raw: grey })
+      .rotate(-skew, { background: '#ffffff' })
+      .resize({ width })
+      // Scanner and JPEG noise would otherwise survive thresholding as speckles around the letters
+      .median(3)
+      .threshold(threshold)
+      .png()
+      .toBuffer();
+  }
+
+  async recognizeImage(input, raw = null) {
+    const image = await this.preprocess(input, raw);
+    const { text, confidence } = await this.engine.recognize(image);
+    return { text: text.trim(), confidence: round(confidence) };
+  }
+
+  // Text of an uploaded photo or image scan, in the same shape as PDF extraction results
+  async extractImageText(fileBuffer) {
+    const unread = reason => ({ success: false, text: '', pages: 1, confidence: 0, skipped: true, reason });
+
+    if (!this.isEnabled()) {
+      return unread(`Image has no text layer and ${this.unavailableReason()}`);
+    }
+
+    try {
+      const { text, confidence } = await withTimeout(
+        this.recognizeImage(fileBuffer),
+        this.timeoutMs,
+        `OCR timed out after ${this.timeoutMs}ms`
+      );
+      console.log(`[OCRService] Image OCR completed with ${this.engine.name}, text length: ${text.length}, confidence: ${confidence}`);
+
+      if (!text) {
+        return { ...unread('OCR found no text in image'), engine: this.engine.name, ocrPages: [{ page: 1, confidence }] };
+      }
+
+      return {
+        success: true,
+        text,
+        pageTexts: [text],
+        pages: 1,
+        confidence,
+        engine: this.engine.name,
+        ocrPages: [{ page: 1, confidence }]
+      };
+    } catch (error) {
+      console.error('[OCRService] Image OCR error:', error.message);
+      return unread(`OCR failed: ${error.message}`);
+    }
+  }
+
+  // OCR the image-only pages of an extracted PDF and merge their text into the result.
+  // Adds ocrPages ([{ page, confidence }] for each page read by OCR) and, when scanned pages
+  // could not be read, ocrSkippedPages with the reason in warning (or reason, if no text was found).
+  // OCR runs under its own time budget (OCR_TIMEOUT_MS) and never fails the extraction.
+  async recognizeImagePages(fileBuffer, extraction) {
+    const pageCount = Math.max(extraction.pages || 0, extraction.pageTexts?.length || 0);
+    const pageTexts = Array.from({ length: pageCount }, (_, index) => extraction.pageTexts?.[index] || '');
+    const candidates = pageTexts
+      .map((pageText, index) => (pageText.replace(/\s/g, '').length < MIN_TEXT_CHARACTERS ? index : -1))
+      .filter(index => index >= 0);
+
+    if (candidates.length === 0) return extraction;
+
+    const ocrPages = [];
+    const skippedPages = [];
+    const deadline = Date.now() + this.timeoutMs;
+    let skipReason = this.unavailableReason();
+    let document = null;
+
+    try {
+      document = await PDFJS.getDocument({ data: new Uint8Array(fileBuffer), nativeImageDecoderSupport: 'none' });
+
+      for (const index of candidates.filter(candidate => candidate < document.numPages)) {
+        const image = await largestPageImage(document, index + 1);
+        if (!image) continue; // Blank page
+
+        if (!skipReason && Date.now() > deadline) {
+          skipReason = `OCR time budget of ${this.timeoutMs}ms ran out`;
+        }
+        if (skipReason) {
+          skippedPages.push(index + 1);
+          continue;
+        }
+
+        try {
+          const { text, confidence } = await this.recognizeImage(image.data, image.raw);
+          if (text) pageTexts[index] = text;
+          ocrPages.push({ page: index + 1, confidence });
+          console.log(`[OCRService] OCR page ${index + 1}: ${text.length} characters, confidence ${confidence}`);
+        } catch (error) {
+          // The rest of the scanned pages are still located, so they can be listed as unread
+          console.error(`[OCRService] OCR error on page ${index + 1}:`, error.message);
+          skipReason = `OCR failed: ${error.message}`;
+          skippedPages.push(index + 1);
+        }
+      }
+    } catch (error) {
+      // pdf.js couldn't read the document, so every page that might be scanned goes unread
+      console.error('[OCRService] PDF page OCR error:', error.message);
+      skipReason = `OCR failed: ${error.message}`;
+      const handled = new Set([...ocrPages.map(({ page }) => page), ...skippedPages]);
+      skippedPages.push(...candidates.map(index => index + 1).filter(page => !handled.has(page)));
+    } finally {
+      if (document) document.destroy();
+    }
+
+    if (ocrPages.length === 0 && skippedPages.length === 0) return extraction;
+
+    // Pages read from the text layer count at the text engine's confidence
+    const ocrConfidence = new Map(ocrPages.map(({ page, confidence }) => [page, confidence]));
+    const confidences = pageTexts
+      .map((pageText, index) => ocrConfidence.get(index + 1) ?? (pageText.trim() ? extraction.confidence : null))
+      .filter(confidence => confidence !== null);
+
+    const text = pageTexts.join(PAGE_BREAK);
+    const hasText = text.trim().length > 0;
+    const result = { ...extraction };
+    delete result.skipped;
+    delete result.reason;
+    const skippedMessage = skippedPages.length > 0
+      ? `${skippedPages.length} image-only page(s) not read (${skipReason}): ${skippedPages.join(', ')}`
+      : null;
+
+    if (skippedMessage) console.warn(`[OCRService] ${skippedMessage}`);
+
+    return {
+      ...result,
+      success: hasText,
+      text,
+      pageTexts,
+      pages: pageCount,
+      confidence: confidences.length > 0 ? round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length) : 0,
+      engine: ocrPages.length > 0 ? `${extraction.engine}+${this.engine.name}` : extraction.engine,
+      ocrPages,
+      ...(skippedPages.length > 0 && { ocrSkippedPages: skippedPages }),
+      ...(hasText && skippedMessage && { warning: skippedMessage }),
+      ...(!hasText && { skipped: true, reason: skippedMessage || extraction.reason || 'No text found in PDF, including by OCR' })
+    };
+  }
+}
+
+module.exports = new OCRService();
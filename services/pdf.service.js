@@ -1,16 +1,57 @@
 // services/pdf.service.js - PDF processing service
 const axios = require('axios');
 const FormData = require('form-data');
+// The package entry point runs a self-test when it isn't loaded through require()
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const ocrService = require('./ocr.service');
+const { detectFileType } = require('../utils/fileType');
+
+// Extraction engines, with the name stored as case_document_extractions.extraction_method
+const ENGINES = {
+  pdfco: 'pdf.co',
+  local: 'pdf-parse'
+};
+
+// Pages are joined with form feeds, the page break PDF.co's text output uses
+const PAGE_BREAK = '\f';
+
+// Same line joining as pdf-parse's default page renderer: items on one baseline are
+// concatenated and a new baseline starts a new line
+async function renderPageText(pageData) {
+  const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+  let lastY;
+  let text = '';
+
+  for (const item of textContent.items) {
+    text += lastY === undefined || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+    lastY = item.transform[5];
+  }
+
+  return text;
+}
 
 class PDFService {
   constructor() {
     this.apiKey = process.env.PDF_CO_API_KEY;
     this.baseURL = 'https://api.pdf.co/v1';
+
+    // pdfco uploads documents to PDF.co; local reads them in-process with pdf-parse so
+    // confidential filings never leave our infrastructure. Unset, PDF.co is used when it has a key.
+    this.engine = process.env.PDF_EXTRACTION_ENGINE || (this.apiKey ? 'pdfco' : 'local');
+    if (!ENGINES[this.engine]) {
+      console.error(`[PDFService] Unknown PDF_EXTRACTION_ENGINE "${this.engine}", using local extraction`);
+      this.engine = 'local';
+    }
+  }
+
+  // Name of the engine in use, as recorded with each extraction
+  getExtractionMethod() {
+    return ENGINES[this.engine];
   }
 
   async extractText(filePath, timeoutMs = 15000) {
     try {
-      if (!this.apiKey) {
+      if (this.engine === 'pdfco' && !this.apiKey) {
         console.warn('[PDFService] PDF API key not configured, skipping extraction');
         return {
           success: false,
@@ -22,16 +63,21 @@ class PDFService {
         };
       }
 
-      console.log(`[PDFService] Extracting text from: ${filePath} (timeout: ${timeoutMs}ms)`);
+      console.log(`[PDFService] Extracting text from: ${filePath} with ${this.getExtractionMethod()} (timeout: ${timeoutMs}ms)`);
 
-      // Wrap the entire extraction process with a timeout
-      return await Promise.race([
+      // Wrap the download and text layer extraction with a timeout
+      const { fileBuffer, extraction } = await Promise.race([
         this.performExtraction(filePath),
         new Promise((_, reject) => 
           setTimeout(() => reject(new Error('PDF extraction timeout')), timeoutMs)
         )
       ]);
 
+      // Scans take far longer to read than text layers, so OCR has its own time budget
+      return extraction
+        ? await ocrService.recognizeImagePages(fileBuffer, extraction)
+        : await ocrService.extractImageText(fileBuffer);
+
     } catch (error) {
       console.error('[PDFService] PDF extraction error:', error.message);
       
@@ -47,7 +93,7 @@ class PDFService {
         console.warn('  - Storage bucket access issues');
         console.warn(`  - File path attempted: ${filePath}`);
       } else {
-        console.warn('[PDFService] PDF.co API error, continuing without document text');
+        console.warn(`[PDFService] ${this.getExtractionMethod()} extraction error, continuing without document text`);
       }
       
       // Return a default response instead of throwing
@@ -70,6 +116,15 @@ class PDFService {
     const arrayBuffer = await fileBlob.arrayBuffer();
     const fileBuffer = Buffer.from(arrayBuffer);
     
+    // Exhibits photographed or scanned to image files have no text layer; they are left to OCR
+    if (detectFileType(filePath, fileBuffer) === 'image') {
+      return { fileBuffer, extraction: null };
+    }
+
+    if (this.engine === 'local') {
+      return { fileBuffer, extraction: await this.extractLocally(fileBuffer) };
+    }
+    
     // Upload file to PDF.co to get a URL
     const formData = new FormData();
     formData.append('file', fileBuffer, {
@@ -100,10 +155,46 @@ class PDFService {
     console.log(`[PDFService] Text length: ${extractResponse.text?.length || 0}`);
 
     return {
-      success: true,
-      text: extractResponse.text,
-      pages: extractResponse.pages,
-      confidence: extractResponse.confidence || 0.95
+      fileBuffer,
+      extraction: {
+        success: true,
+        text: extractResponse.text,
+        pageTexts: (extractResponse.text || '').split(PAGE_BREAK),
+        pages: extractResponse.pages,
+        confidence: extractResponse.confidence || 0.95,
+        engine: ENGINES.pdfco
+      }
+    };
+  }
+
+  // Text layer of each page with pdf-parse. Scanned pages without one are left empty for OCR.
+  async extractLocally(fileBuffer) {
+    const pageTexts = [];
+    // pdf.js reads a Buffer's whole underlying memory, which for small pooled Buffers starts
+    // before the file does, so it gets a copy of just the file's bytes
+    const result = await pdfParse(new Uint8Array(fileBuffer), {
+      pagerender: async (pageData) => {
+        const text = await renderPageText(pageData);
+        pageTexts[pageData.pageIndex] = text;
+        return text;
+      }
+    });
+
+    // A page pdf.js couldn't render is left empty rather than dropped, so page numbers hold
+    const pages = Array.from({ length: result.numpages }, (_, index) => pageTexts[index] || '');
+    const text = pages.join(PAGE_BREAK);
+    const hasText = text.trim().length > 0;
+
+    console.log(`[PDFService] Local extraction completed, pages: ${result.numpages}, text length: ${text.length}`);
+
+    return {
+      success: hasText,
+      text,
+      pageTexts: pages,
+      pages: result.numpages,
+      confidence: hasText ? 0.95 : 0,
+      engine: ENGINES.local,
+      ...(!hasText && { skipped: true, reason: 'No text layer found in PDF' })
     };
   }
 
@@ -319,12 +410,16 @@ class PDFService {
   }
 
   isConfigured() {
-    return !!this.apiKey;
+    return this.engine === 'local' || !!this.apiKey;
   }
 
   // Test method to verify API connectivity
   async testConnection() {
     try {
+      if (this.engine === 'local') {
+        return { success: true, message: 'Local PDF extraction (pdf-parse) - no external API' };
+      }
+
       if (!this.apiKey) {
         return { success: false, error: 'API key not configured' };
       }
@@ -476,6 +571,11 @@ class PDFService {
   // Alternative method using direct file upload and text extraction
   async extractTextDirect(fileBuffer, filename = 'document.pdf') {
     try {
+      if (this.engine === 'local') {
+        console.log(`[PDFService] Direct local text extraction for: ${filename}`);
+        return await ocrService.recognizeImagePages(fileBuffer, await this.extractLocally(fileBuffer));
+      }
+
       if (!this.apiKey) {
         throw new Error('PDF API key not configured');
       }
@@ -0,0 +1,96 @@
+// services/pipeline-checkpoint.service.js - Step checkpoints for resumable pipeline runs
+const { createClient } = require('@supabase/supabase-js');
+
+class PipelineCheckpointService {
+  constructor() {
+    // Initialize Supabase client
+    this.supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY
+      ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY)
+      : null;
+  }
+
+  // Store the part of the pipeline context produced by a completed step.
+  // Checkpoint failures are logged but never fail the pipeline itself.
+  async saveCheckpoint(caseId, stepName, stepNumber, output) {
+    if (!this.supabase) return;
+
+    try {
+      const { error } = await this.supabase
+        .from('pipeline_checkpoints')
+        .upsert({
+          id: `${caseId}-${stepName}`,
+          case_id: caseId,
+          step_name: stepName,
+          step_number: stepNumber,
+          output,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        });
+
+      if (error) throw error;
+    } catch (error) {
+      console.warn(`⚠️ Failed to save checkpoint for ${stepName} (case ${caseId}): ${error.message}`);
+    }
+  }
+
+  // Load all checkpoints for a case keyed by step name
+  async loadCheckpoints(caseId) {
+    if (!this.supabase) return {};
+
+    try {
+      const { data, error } = await this.supabase
+        .from('pipeline_checkpoints')
+        .select('step_name, step_number, output, updated_at')
+        .eq('case_id', caseId)
+        .order('step_number', { ascending: true });
+
+      if (error) throw error;
+
+      return (data || []).reduce((checkpoints, row) => {
+        checkpoints[row.step_name] = row.output || {};
+        return checkpoints;
+      }, {});
+    } catch (error) {
+      console.warn(`⚠️ Failed to load checkpoints for case ${caseId}: ${error.message}`);
+      return {};
+    }
+  }
+
+  // Remove all checkpoints for a case so the next run starts from scratch
+  async clearCheckpoints(caseId) {
+    if (!this.supabase) return;
+
+    try {
+      const { error } = await this.supabase
+        .from('pipeline_checkpoints')
+        .delete()
+        .eq('case_id', caseId);
+
+      if (error) throw error;
+    } catch (error) {
+      console.warn(`⚠️ Failed to clear checkpoints for case ${caseId}: ${error.message}`);
+    }
+  }
+
+  // Collect the context entries a step declares it produces, e.g. 'features.judgeTrends'
+  extractOutput(context, produces = []) {
+    const output = { data: {}, features: {} };
+
+    for (const path of produces) {
+      const [section, key] = path.split('.');
+      if (output[section] && context[section][key] !== undefined) {
+        output[section][key] = context[section][key];
+      }
+    }
+
+    return output;
+  }
+
+  // Apply a stored checkpoint back onto the pipeline context
+  restoreCheckpoint(context, output) {
+    Object.assign(context.data, output.data || {});
+    Object.assign(context.features, output.features || {});
+  }
+}
+
+module.exports = new PipelineCheckpointService();
@@ -0,0 +1,87 @@
+// services/pipeline-step-registry.service.js - Registry for custom pipeline feature steps
+const path = require('path');
+const Joi = require('joi');
+
+// A registered step is one AI prompt whose JSON result becomes context.features[name]
+const stepDefinitionSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-z][a-zA-Z0-9]*$/).required(),
+  label: Joi.string(),
+  dependsOn: Joi.array().items(Joi.string()).default(['caseIntakeAnalysis']),
+  required: Joi.boolean().default(false),
+  prompt: Joi.object({
+    model: Joi.string().required(),
+    temperature: Joi.number().min(0).max(2).default(0.3),
+    version: Joi.number().integer().min(1).default(1),
+    prompt: Joi.function().required()
+  }).required(),
+  outputSchema: Joi.object().schema().required(),
+  storage: Joi.object({
+    analysisType: Joi.string(),
+    includeInPredictions: Joi.boolean().default(true)
+  }).default({})
+});
+
+class PipelineStepRegistryService {
+  constructor() {
+    this.steps = new Map();
+    this.modulesLoaded = false;
+  }
+
+  // Register a custom step. Returns the normalized definition.
+  register(definition) {
+    const { error, value } = stepDefinitionSchema.validate(definition);
+    if (error) {
+      throw new Error(`Invalid pipeline step definition: ${error.message}`);
+    }
+
+    if (this.steps.has(value.name)) {
+      throw new Error(`Pipeline step ${value.name} is already registered`);
+    }
+
+    value.storage.analysisType = value.storage.analysisType ||
+      value.name.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+
+    this.steps.set(value.name, value);
+    console.log(`🧩 Registered pipeline step ${value.name} (depends on ${value.dependsOn.join(', ') || 'nothing'})`);
+
+    return value;
+  }
+
+  unregister(name) {
+    return this.steps.delete(name);
+  }
+
+  getStep(name) {
+    this.loadModules();
+    return this.steps.get(name) || null;
+  }
+
+  getSteps() {
+    this.loadModules();
+    return [...this.steps.values()];
+  }
+
+  // Load step modules listed in PIPELINE_STEP_MODULES (comma separated, relative to the project root).
+  // Each module exports a step definition or an array of them.
+  loadModules() {
+    if (this.modulesLoaded) return;
+    this.modulesLoaded = true;
+
+    const modulePaths = (process.env.PIPELINE_STEP_MODULES || '')
+      .split(',')
+      .map(modulePath => modulePath.trim())
+      .filter(Boolean);
+
+    for (const modulePath of modulePaths) {
+      try {
+        const exported = require(path.resolve(__dirname, '..', modulePath));
+        const definitions = Array.isArray(exported) ? exported : [exported];
+        definitions.forEach(definition => this.register(definition));
+      } catch (error) {
+        console.error(`❌ Failed to load pipeline step module ${modulePath}:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = new PipelineStepRegistryService();
@@ -0,0 +1,189 @@
+// services/pipeline-trace.service.js - Structured per-run traces of pipeline steps and AI calls
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createClient } = require('@supabase/supabase-js');
+const pipelineConfig = require('./pipeline.config');
+
+class PipelineTraceService {
+  constructor() {
+    // Initialize Supabase client
+    this.supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY
+      ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY)
+      : null;
+
+    // Steps run concurrently, so AI calls find the step they belong to through async context
+    this.stepStorage = new AsyncLocalStorage();
+  }
+
+  newRunId() {
+    return crypto.randomUUID();
+  }
+
+  hashPrompt(messages) {
+    return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+  }
+
+  // JSON snapshot cut down to the configured size so large documents don't bloat the trace
+  snapshot(value) {
+    if (value === undefined) return null;
+
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    const limit = pipelineConfig.trace.snapshotChars;
+
+    return text.length > limit
+      ? `${text.substring(0, limit)}... [truncated ${text.length - limit} chars]`
+      : text;
+  }
+
+  // Tracing never fails the pipeline itself; write errors are only logged
+  async startRun(context, runType) {
+    if (!this.supabase) return;
+
+    try {
+      const { error } = await this.supabase
+        .from('pipeline_runs')
+        .insert({
+          id: context.runId,
+          case_id: context.caseId,
+          user_id: context.userId,
+          run_type: runType,
+          status: 'running',
+          started_at: new Date(context.startTime).toISOString()
+        });
+
+      if (error) throw error;
+    } catch (error) {
+      console.warn(`⚠️ Failed to start trace for run ${context.runId} (case ${context.caseId}): ${error.message}`);
+    }
+  }
+
+  async finishRun(context, status, errorMessage = null) {
+    if (!this.supabase) return;
+
+    try {
+      const { error } = await this.supabase
+        .from('pipeline_runs')
+        .update({
+          status,
+          error: errorMessage,
+          completed_at: new Date().toISOString(),
+          duration_ms: Date.now() - context.startTime
+        })
+        .eq('id', context.runId);
+
+      if (error) throw error;
+    } catch (error) {
+      console.warn(`⚠️ Failed to finish trace for run ${context.runId} (case ${context.caseId}): ${error.message}`);
+    }
+  }
+
+  // Run a step with a trace collecting the AI calls it makes, then store the trace
+  async traceStep(context, step, stepNumber, input, fn) {
+    const trace = {
+      startedAt: new Date(),
+      aiCalls: []
+    };
+
+    try {
+      await this.stepStorage.run(trace, fn);
+      await this.recordStep(context, step, stepNumber, trace, 'completed', input);
+    } catch (error) {
+      await this.recordStep(context, step, stepNumber, trace, 'failed', input, error);
+      throw error;
+    }
+  }
+
+  // Called by AIService for every completed model call
+  recordAICall({ provider, model, operation, messages, response, durationMs, attempts = [], cached = false, estimatedPromptTokens = null }) {
+    const trace = this.stepStorage.getStore();
+    if (!trace) return;
+
+    trace.aiCalls.push({
+      provider,
+      model: response?.model || model,
+      operation,
+      promptHash: this.hashPrompt(messages),
+      usage: response?.usage || null,
+      estimatedPromptTokens,
+      durationMs,
+      cached,
+      // Earlier models in the fallback chain that failed before this one answered
+      failedAttempts: attempts.filter(attempt => attempt.error),
+      prompt: this.snapshot(messages.map(message => message.content).join('\n\n')),
+      response: this.snapshot(response?.choices?.[0]?.message?.content)
+    });
+  }
+
+  async recordStep(context, step, stepNumber, trace, status, input, stepError = null) {
+    if (!this.supabase) return;
+
+    const endedAt = new Date();
+    // Tokens actually spent, so answers served from the AI response cache don't count
+    const usage = trace.aiCalls.filter(call => !call.cached).reduce((total, call) => ({
+      prompt_tokens: total.prompt_tokens + (call.usage?.prompt_tokens || 0),
+      completion_tokens: total.completion_tokens + (call.usage?.completion_tokens || 0),
+      total_tokens: total.total_tokens + (call.usage?.total_tokens || 0)
+    }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+
+    try {
+      const { error } = await this.supabase
+        .from('pipeline_run_steps')
+        .insert({
+          run_id: context.runId,
+          case_id: context.caseId,
+          step_name: step.name,
+          step_number: stepNumber,
+          status,
+          started_at: trace.startedAt.toISOString(),
+          completed_at: endedAt.toISOString(),
+          duration_ms: endedAt - trace.startedAt,
+          model: [...new Set(trace.aiCalls.map(call => call.model))].join(', ') || null,
+          prompt_hash: trace.aiCalls.length === 1 ? trace.aiCalls[0].promptHash : null,
+          prompt_tokens: usage.prompt_tokens,
+          completion_tokens: usage.completion_tokens,
+          total_tokens: usage.total_tokens,
+          ai_calls: trace.aiCalls,
+          input_snapshot: this.snapshot(input),
+          output_snapshot: status === 'completed' ? this.snapshot(this.getStepOutput(context, step)) : null,
+          error: stepError ? { message: stepError.message, name: stepError.name } : null
+        });
+
+      if (error) throw error;
+    } catch (error) {
+      console.warn(`⚠️ Failed to record trace for ${step.name} (run ${context.runId}): ${error.message}`);
+    }
+  }
+
+  getStepOutput(context, step) {
+    return Object.fromEntries((step.produces || []).map(path => {
+      const [section, key] = path.split('.');
+      return [path, context[section]?.[key] ?? null];
+    }));
+  }
+
+  // A run and its steps, or null when the run doesn't belong to the case
+  async getRun(caseId, runId) {
+    if (!this.supabase) return null;
+
+    const { data: run, error: runError } = await this.supabase
+      .from('pipeline_runs')
+      .select('*')
+      .eq('id', runId)
+      .eq('case_id', caseId)
+      .single();
+
+    if (runError || !run) return null;
+
+    const { data: steps, error: stepsError } = await this.supabase
+      .from('pipeline_run_steps')
+      .select('*')
+      .eq('run_id', runId)
+      .order('started_at', { ascending: true });
+
+    if (stepsError) throw stepsError;
+
+    return { ...run, steps: steps || [] };
+  }
+}
+
+module.exports = new PipelineTraceService();
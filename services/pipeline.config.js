@@ -0,0 +1,30 @@
+// services/pipeline.config.js
+module.exports = {
+  // Maximum number of pipeline steps that may run at the same time.
+  // Independent steps (e.g. precedent, judge and similar-case analysis) run in parallel up to this limit.
+  concurrency: parseInt(process.env.PIPELINE_CONCURRENCY) || 3,
+
+  // Dry-run estimates. Prompts embed the JSON output of earlier steps and external search
+  // results, neither of which exist before a real run, so typical sizes are assumed instead.
+  dryRun: {
+    defaultOutputTokens: 800,
+    outputTokens: {
+      INTAKE_ANALYSIS: 1200,
+      DOCUMENT_CHUNK_SUMMARY: 600,
+      SIMILAR_CASE_ANALYSIS: 1000,
+      COMPREHENSIVE_ANALYSIS: 1500
+    },
+    searchResultTokens: 2000
+  },
+
+  // Precedent analysis starts from the authorities cited in the case's documents. Only the most
+  // cited are sent to the model and stored, like the capped page of CourtListener results added to them.
+  precedents: {
+    maxCitedAuthorities: parseInt(process.env.PIPELINE_MAX_CITED_AUTHORITIES) || 10
+  },
+
+  // Run traces keep a snapshot of each step's input, output and prompts, cut to this many characters
+  trace: {
+    snapshotChars: parseInt(process.env.PIPELINE_TRACE_SNAPSHOT_CHARS) || 4000
+  }
+};
@@ -0,0 +1,139 @@
+// services/tokenizer.service.js - BPE token counting for the models we call
+const { getEncoding } = require('js-tiktoken');
+const aiConfig = require('./ai.config');
+
+// Chat formatting overhead: each message is wrapped in role markers and the reply is primed
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+
+// BPE merging is quadratic in the length of a single word, so long runs without whitespace
+// (dot leaders, signature lines, scanned noise) are encoded in slices of this many characters
+const MAX_RUN_LENGTH = 100;
+const LONG_RUN = new RegExp(`\\S{${MAX_RUN_LENGTH + 1},}`, 'g');
+
+// Text in pieces that are cheap to encode; joining them gives back the original text
+function* segments(text) {
+  let last = 0;
+  for (const match of text.matchAll(LONG_RUN)) {
+    if (match.index > last) yield text.substring(last, match.index);
+    for (let start = 0; start < match[0].length; start += MAX_RUN_LENGTH) {
+      yield match[0].substring(start, start + MAX_RUN_LENGTH);
+    }
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) yield text.substring(last);
+}
+
+class TokenizerService {
+  constructor() {
+    this.encoders = new Map();
+    this.failedEncodings = new Set();
+
+    // Estimated vs actual prompt tokens by model, for checking how far estimates drift
+    this.accuracy = new Map();
+  }
+
+  // Encoding for a model, matched by the longest configured model name prefix
+  getEncodingName(model) {
+    const { models, default: defaultEncoding } = aiConfig.tokenizers;
+    const prefix = Object.keys(models)
+      .filter(candidate => (model || '').startsWith(candidate))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return prefix ? models[prefix] : defaultEncoding;
+  }
+
+  // Encoders are large, so each is loaded on first use and shared
+  getEncoder(model) {
+    const name = this.getEncodingName(model);
+    if (this.failedEncodings.has(name)) return null;
+
+    if (!this.encoders.has(name)) {
+      try {
+        this.encoders.set(name, getEncoding(name));
+      } catch (error) {
+        console.error(`⚠️ Could not load tokenizer ${name}, falling back to character estimates:`, error.message);
+        this.failedEncodings.add(name);
+        return null;
+      }
+    }
+
+    return this.encoders.get(name);
+  }
+
+  countTokens(text, model) {
+    if (!text) return 0;
+
+    const encoder = this.getEncoder(model);
+    if (!encoder) {
+      return Math.ceil(text.length / aiConfig.tokenEstimation.charactersPerToken);
+    }
+
+    let total = 0;
+    for (const segment of segments(text)) {
+      total += this.encode(encoder, segment).length;
+    }
+    return total;
+  }
+
+  // Text such as "<|endoftext|>" inside a document is encoded as ordinary text
+  encode(encoder, text) {
+    return encoder.encode(text, [], []);
+  }
+
+  // Prompt tokens for a chat request, including per-message formatting
+  countMessageTokens(messages, model) {
+    return messages.reduce(
+      (total, message) => total + TOKENS_PER_MESSAGE + this.countTokens(message.role, model) + this.countTokens(message.content, model),
+      TOKENS_PER_REPLY
+    );
+  }
+
+  // Cut text to at most maxTokens, on a token boundary
+  truncateToTokens(text, maxTokens, model) {
+    const encoder = this.getEncoder(model);
+    if (!encoder) {
+      return text.substring(0, maxTokens * aiConfig.tokenEstimation.charactersPerToken);
+    }
+
+    let kept = '';
+    let remaining = maxTokens;
+    for (const segment of segments(text)) {
+      const tokens = this.encode(encoder, segment);
+      if (tokens.length > remaining) {
+        return kept + encoder.decode(tokens.slice(0, remaining));
+      }
+      kept += segment;
+      remaining -= tokens.length;
+    }
+    return text;
+  }
+
+  // Compare a pre-call estimate with the provider's usage.prompt_tokens. Returns actual - estimated.
+  recordPromptUsage(model, estimatedTokens, actualTokens) {
+    const difference = actualTokens - estimatedTokens;
+    const stats = this.accuracy.get(model) || { calls: 0, estimatedTokens: 0, actualTokens: 0, absoluteDifference: 0 };
+
+    stats.calls += 1;
+    stats.estimatedTokens += estimatedTokens;
+    stats.actualTokens += actualTokens;
+    stats.absoluteDifference += Math.abs(difference);
+    this.accuracy.set(model, stats);
+
+    return difference;
+  }
+
+  getAccuracyStats() {
+    return Object.fromEntries([...this.accuracy.entries()].map(([model, stats]) => [model, {
+      encoding: this.getEncodingName(model),
+      calls: stats.calls,
+      meanDifference: Math.round((stats.actualTokens - stats.estimatedTokens) / stats.calls),
+      meanAbsoluteDifference: Math.round(stats.absoluteDifference / stats.calls),
+      differencePercent: stats.actualTokens > 0
+        ? Math.round((stats.actualTokens - stats.estimatedTokens) / stats.actualTokens * 1000) / 10
+        : 0
+    }]));
+  }
+}
+
+module.exports = new TokenizerService();
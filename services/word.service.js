@@ -0,0 +1,195 @@
+// services/word.service.js - Word document (DOCX and DOC) text extraction
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const pdfService = require('./pdf.service');
+const { detectFileType } = require('../utils/fileType');
+
+// Extraction engines by format, with the name stored as case_document_extractions.extraction_method
+const ENGINES = {
+  docx: 'mammoth',
+  doc: 'word-extractor'
+};
+
+// Word files carry their text rather than a rendering of it, so nothing is recognized with doubt.
+// Legacy DOC text loses headings and list numbers, which Word generates when it lays out the page.
+const CONFIDENCE = {
+  docx: 0.99,
+  doc: 0.9
+};
+
+const HEADING_STYLE = /^heading\s*(\d)$/i;
+
+// Text of a run, hyperlink or other inline element
+function inlineText(element) {
+  switch (element.type) {
+  case 'text':
+    return element.value;
+  case 'tab':
+    return '\t';
+  case 'break':
+    return element.breakType === 'line' ? '\n' : '';
+  case 'checkbox':
+    return element.checked ? '[x]' : '[ ]';
+  default:
+    return (element.children || []).map(inlineText).join('');
+  }
+}
+
+function headingLevel(styleName) {
+  if (/^title$/i.test(styleName || '')) return 1;
+  const match = HEADING_STYLE.exec(styleName || '');
+  return match ? parseInt(match[1], 10) : 0;
+}
+
+// Word numbers list paragraphs when it lays out the page, so the numbers are counted here.
+// Counters are kept per numbering level and a paragraph restarts the levels below its own,
+// which gives "1. 2. 3." for top-level paragraphs and restarts sub-paragraphs under each one.
+// Only the sequence is kept; every ordered level is written with arabic numerals.
+function listMarker(numbering, counters) {
+  const level = parseInt(numbering.level, 10) || 0;
+
+  for (const [key, counter] of counters) {
+    if (counter.level > level) counters.delete(key);
+  }
+
+  const counter = counters.get(numbering) || { level, count: 0 };
+  counter.count += 1;
+  counters.set(numbering, counter);
+
+  return { level, marker: numbering.isOrdered ? `${counter.count}.` : '-' };
+}
+
+function renderParagraph(paragraph, counters) {
+  const text = inlineText(paragraph).trim();
+  if (!text) return '';
+
+  const list = paragraph.numbering ? listMarker(paragraph.numbering, counters) : null;
+  const heading = headingLevel(paragraph.styleName);
+
+  if (heading) {
+    return ['#'.repeat(heading), list?.marker, text].filter(Boolean).join(' ');
+  }
+  if (list) {
+    return `${'  '.repeat(list.level)}${list.marker} ${text}`;
+  }
+  return text;
+}
+
+// One line per row with cells separated by pipes; a cell's paragraphs share its line
+function renderTable(table, counters) {
+  const lines = [];
+
+  for (const row of table.children.filter(child => child.type === 'tableRow')) {
+    const cells = row.children.map(cell => renderBlocks(cell.children, counters).replace(/\s*\n+\s*/g, ' '));
+    lines.push(`| ${cells.join(' | ')} |`);
+
+    if (row.isHeader) {
+      lines.push(`| ${cells.map(() => '---').join(' | ')} |`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function renderBlocks(elements, counters) {
+  return elements
+    .map(element => {
+      if (element.type === 'paragraph') return renderParagraph(element, counters);
+      if (element.type === 'table') return renderTable(element, counters);
+      return element.children ? renderBlocks(element.children, counters) : inlineText(element).trim();
+    })
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+class WordService {
+  // Name of the DOCX engine, recorded when extraction fails before the format is known
+  getExtractionMethod() {
+    return ENGINES.docx;
+  }
+
+  // Same contract as PDFService.extractText: failures come back as skipped results, never thrown
+  async extractText(filePath, timeoutMs = 15000) {
+    try {
+      console.log(`[WordService] Extracting text from: ${filePath} (timeout: ${timeoutMs}ms)`);
+
+      return await Promise.race([
+        this.performExtraction(filePath),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('Word extraction timeout')), timeoutMs)
+        )
+      ]);
+    } catch (error) {
+      console.error('[WordService] Word extraction error:', error.message);
+      console.warn('[WordService] Continuing without document text');
+
+      return {
+        success: false,
+        text: '',
+        pages: 0,
+        confidence: 0,
+        skipped: true,
+        reason: error.message
+      };
+    }
+  }
+
+  async performExtraction(filePath) {
+    const fileBlob = await pdfService.downloadFromSupabase(filePath);
+    const fileBuffer = Buffer.from(await fileBlob.arrayBuffer());
+
+    return this.extractFromBuffer(fileBuffer, filePath);
+  }
+
+  async extractFromBuffer(fileBuffer, fileName = 'document.docx') {
+    const format = detectFileType(fileName, fileBuffer);
+    if (!ENGINES[format]) {
+      throw new Error(`${fileName} is not a Word document`);
+    }
+
+    const text = format === 'docx'
+      ? await this.extractDocx(fileBuffer)
+      : await this.extractDoc(fileBuffer);
+    const hasText = text.trim().length > 0;
+
+    console.log(`[WordService] ${format.toUpperCase()} extraction completed with ${ENGINES[format]}, text length: ${text.length}`);
+
+    // Word documents have no fixed pages until laid out, so the text is a single page
+    return {
+      success: hasText,
+      text,
+      pageTexts: [text],
+      pages: 1,
+      confidence: hasText ? CONFIDENCE[format] : 0,
+      engine: ENGINES[format],
+      ...(!hasText && { skipped: true, reason: 'No text found in Word document' })
+    };
+  }
+
+  // Rendered from mammoth's document tree rather than its HTML, which drops list numbers:
+  // headings become "#" lines, list paragraphs keep their numbers and tables become pipe rows
+  async extractDocx(fileBuffer) {
+    let document = null;
+    const result = await mammoth.convertToHtml({ buffer: fileBuffer }, {
+      transformDocument: (parsed) => {
+        document = parsed;
+        return parsed;
+      }
+    });
+
+    const warnings = result.messages.filter(message => message.type === 'warning');
+    if (warnings.length > 0) {
+      console.warn(`[WordService] ${warnings.length} DOCX conversion warning(s), first: ${warnings[0].message}`);
+    }
+
+    return document ? renderBlocks(document.children, new Map()) : '';
+  }
+
+  // Table cells come out tab-separated, one row per line
+  async extractDoc(fileBuffer) {
+    const document = await new WordExtractor().extract(fileBuffer);
+    return document.getBody().trim();
+  }
+}
+
+module.exports = new WordService();
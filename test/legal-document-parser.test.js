@@ -0,0 +1,51 @@
+// test/legal-document-parser.test.js - Which parsed documents may state the case
+const { parseLegalDocument, mergeParsedDocuments } = require('../utils/legalDocumentParser');
+
+const exhibit = [
+  'SETTLEMENT AGREEMENT',
+  '',
+  'ACME HOLDINGS, LLC,',
+  '\tPlaintiff,',
+  'v.',
+  'JOHN ROE,',
+  '\tDefendant.',
+  '',
+  'Case No. 99-XY-0001',
+  '',
+  '1. The parties agree as follows.'
+].join('\n');
+
+const answer = [
+  'UNITED STATES DISTRICT COURT',
+  'NORTHERN DISTRICT OF CALIFORNIA',
+  '',
+  'DANA WHITFIELD,',
+  '\tPlaintiff,',
+  'v.',
+  'NORTHGATE GROCERS, INC.,',
+  '\tDefendant.',
+  '',
+  'Case No. 3:24-cv-01234',
+  '',
+  'ANSWER TO COMPLAINT'
+].join('\n');
+
+describe('mergeParsedDocuments', () => {
+  test('ignores documents that are not court filings', () => {
+    const merged = mergeParsedDocuments([parseLegalDocument(exhibit, 'exhibit-a.pdf')]);
+
+    expect(merged).toEqual({ field_sources: {} });
+  });
+
+  test('takes the parties and case number from a filing ahead of an exhibit', () => {
+    const merged = mergeParsedDocuments([
+      parseLegalDocument(exhibit, 'exhibit-a.pdf'),
+      parseLegalDocument(answer, 'answer.pdf')
+    ]);
+
+    expect(merged.document_type).toBe('answer');
+    expect(merged.parties.defendants).toEqual(['NORTHGATE GROCERS, INC.']);
+    expect(merged.case_number).toBe('3:24-cv-01234');
+    expect(merged.field_sources.parties).toBe('answer.pdf');
+  });
+});
@@ -0,0 +1,172 @@
+// utils/analysis-stream-helper.js - Server-Sent Events plumbing for streaming analysis endpoints
+const { createClient } = require('@supabase/supabase-js');
+const { validateSupabaseToken } = require('../middleware/auth');
+const { applyCorsHeaders } = require('./cors-helper');
+const { ErrorHandler, handleError, classifyError, AICallAbortedError } = require('./errorHandler');
+const aiService = require('../services/ai.service');
+const { AI_PROMPTS } = require('../services/ai-prompts.service');
+const rateLimiter = require('../services/rateLimiter');
+
+// Initialize Supabase client
+const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY
+  ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY)
+  : null;
+
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Switch a response to an event stream
+ * @param {Object} res - Express response
+ * @returns {{send: function(string, *): void, close: function(): void}} send writes one named
+ * event with a JSON payload; close stops the heartbeat and ends the response
+ */
+function openEventStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop nginx-style proxies from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  // Comment lines keep idle proxies from closing the connection during long model pauses
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL_MS);
+  res.on('close', () => clearInterval(heartbeat));
+
+  return {
+    send(event, data) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      clearInterval(heartbeat);
+      res.end();
+    }
+  };
+}
+
+/**
+ * Run one AI analysis for a case and stream it over Server-Sent Events.
+ *
+ * Events: start { caseId, analysisType }, delta { text } for each piece of model output,
+ * retry { errors } when the output failed validation and the model is asked to repair it,
+ * result (the validated analysis, also stored in case_analysis with its prompt_version) and
+ * error { error, statusCode, message }. If the client disconnects first, the model request is
+ * aborted and nothing is stored.
+ *
+ * @param {Object} req - Express request with params.id
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.promptName - AI_PROMPTS entry to run
+ * @param {string} options.operation - Operation name for routing, budgets and cost logs
+ * @param {string} options.analysisType - case_analysis type the result is stored under
+ * @param {string[]} options.inputAnalyses - Stored analysis types passed to buildInput
+ * @param {function(Object, Object): Object} options.buildInput - Prompt data from the case and
+ * its stored analyses (keyed by analysis type)
+ */
+async function streamAnalysisEndpoint(req, res, { promptName, operation, analysisType, inputAnalyses, buildInput }) {
+  // Apply CORS headers
+  if (applyCorsHeaders(req, res)) {
+    return; // Request was handled (OPTIONS)
+  }
+
+  // Check service availability
+  if (!supabase) {
+    console.error('Required services not available');
+    return res.status(503).json({
+      error: 'Service temporarily unavailable',
+      message: 'Database service is not configured. Please try again later.'
+    });
+  }
+
+  const caseId = req.params?.id ?? req.query?.id;
+  let stream = null;
+
+  // Closing before the response has ended means the client went away
+  const upstream = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) upstream.abort();
+  });
+
+  try {
+    const user = await validateSupabaseToken(req);
+
+    if (!caseId) {
+      return res.status(400).json({ error: 'Case ID is required' });
+    }
+
+    const { data: caseData, error: caseError } = await supabase
+      .from('case_briefs')
+      .select('*')
+      .eq('id', caseId)
+      .eq('user_id', user.id)
+      .single();
+
+    if (caseError || !caseData) {
+      throw new Error('Case not found');
+    }
+
+    const { data: analysisRows } = await supabase
+      .from('case_analysis')
+      .select('analysis_type, result')
+      .eq('case_id', caseId)
+      .in('analysis_type', inputAnalyses);
+
+    const analyses = Object.fromEntries((analysisRows || []).map(row => [row.analysis_type, row.result]));
+
+    await rateLimiter.checkLimit('openai', user.id);
+
+    stream = openEventStream(res);
+    stream.send('start', { caseId, analysisType });
+
+    const result = await aiService.runPromptAnalysis(promptName, operation, buildInput(caseData, analyses), {
+      userId: user.id,
+      caseId,
+      organizationId: caseData.organization_id || null,
+      signal: upstream.signal
+    }, {
+      onDelta: text => stream.send('delta', { text }),
+      onRetry: errors => stream.send('retry', { errors })
+    });
+
+    if (upstream.signal.aborted) {
+      console.log(`🔌 Client disconnected from ${operation} stream for case ${caseId}, result not stored`);
+      return;
+    }
+
+    await supabase
+      .from('case_analysis')
+      .upsert({
+        case_id: caseId,
+        analysis_type: analysisType,
+        result,
+        prompt_version: AI_PROMPTS[promptName].version,
+        created_at: new Date().toISOString()
+      });
+
+    stream.send('result', result);
+    stream.close();
+  } catch (error) {
+    if (error instanceof AICallAbortedError || upstream.signal.aborted) {
+      console.log(`🔌 Client disconnected from ${operation} stream for case ${caseId}, model request aborted`);
+      return;
+    }
+
+    // Before the stream opens errors go out as ordinary JSON responses
+    if (!stream) {
+      return handleError(error, res, { operation, caseId });
+    }
+
+    console.error(`Streaming ${operation} failed for case ${caseId}:`, error);
+    ErrorHandler.logError(caseId, operation, error).catch(console.error);
+
+    const { statusCode, message } = classifyError(error);
+    stream.send('error', {
+      error: message,
+      statusCode,
+      message: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
+    });
+    stream.close();
+  }
+}
+
+module.exports = { openEventStream, streamAnalysisEndpoint };
@@ -0,0 +1,62 @@
+// utils/changeImpactMap.js - Which analysis features depend on which case_briefs fields
+
+// Fields that feed a feature directly. Features downstream of these (e.g. risk
+// assessment after judge trends) are picked up from the pipeline step graph.
+const FIELD_IMPACT = {
+  assigned_judge: ['judgeTrends'],
+  judge_name: ['judgeTrends'],
+  court: ['judgeTrends', 'precedentAnalysis', 'timelineEstimate'],
+  court_name: ['judgeTrends', 'precedentAnalysis', 'timelineEstimate'],
+  jurisdiction: ['precedentAnalysis', 'timelineEstimate', 'riskAssessment', 'judgeTrends', 'similarCases', 'lawUpdates'],
+  case_type: ['precedentAnalysis', 'judgeTrends', 'similarCases', 'lawUpdates'],
+  cause_of_action: ['precedentAnalysis', 'similarCases', 'riskAssessment'],
+  applicable_law: ['precedentAnalysis', 'lawUpdates'],
+  case_stage: ['timelineEstimate', 'costEstimator', 'settlementAnalysis'],
+  filing_date: ['timelineEstimate'],
+  date_filed: ['timelineEstimate'],
+  damages_requested: ['financialPrediction', 'settlementAnalysis'],
+  expected_outcome: ['outcomeProbability', 'settlementAnalysis'],
+  number_of_parties: ['costEstimator'],
+  attorneys_of_record: ['costEstimator']
+};
+
+// Fields that feed the intake analysis, which every feature is built on
+const FULL_RERUN_FIELDS = [
+  'case_description',
+  'case_narrative',
+  'history_narrative',
+  'additional_notes'
+];
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Work out which features are affected by an update to a case
+ * @param {Object} record - Updated case_briefs row
+ * @param {Object} oldRecord - Previous case_briefs row
+ * @returns {{changedFields: string[], features: string[], fullRerun: boolean}} Fields relevant to
+ * analysis that changed, the features they feed directly, and whether the whole pipeline must run
+ */
+function getChangeImpact(record, oldRecord) {
+  if (!oldRecord) {
+    return { changedFields: [], features: [], fullRerun: true };
+  }
+
+  const relevantFields = [...Object.keys(FIELD_IMPACT), ...FULL_RERUN_FIELDS];
+  const changedFields = relevantFields.filter(field => !isEqual(record[field], oldRecord[field]));
+
+  const features = new Set();
+  changedFields.forEach(field => (FIELD_IMPACT[field] || []).forEach(feature => features.add(feature)));
+
+  return {
+    changedFields,
+    features: [...features],
+    fullRerun: changedFields.some(field => FULL_RERUN_FIELDS.includes(field))
+  };
+}
+
+module.exports = {
+  FIELD_IMPACT,
+  FULL_RERUN_FIELDS,
+  getChangeImpact
+};
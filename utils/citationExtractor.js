@@ -0,0 +1,249 @@
+// utils/citationExtractor.js - Find case, statute and rule citations in document text and normalize them
+
+const PAGE_BREAK = '\f';
+
+// Reporters in their Bluebook form, which is also how CourtListener normalizes citations.
+// WL and LEXIS "volumes" are years.
+const REPORTERS = [
+  'U.S.', 'S. Ct.', 'L. Ed.', 'L. Ed. 2d',
+  'F.', 'F.2d', 'F.3d', 'F.4th', 'F. Supp.', 'F. Supp. 2d', 'F. Supp. 3d', 'F. App\'x', 'F.R.D.', 'B.R.',
+  'A.', 'A.2d', 'A.3d', 'P.', 'P.2d', 'P.3d', 'N.E.', 'N.E.2d', 'N.E.3d', 'N.W.', 'N.W.2d',
+  'S.E.', 'S.E.2d', 'S.W.', 'S.W.2d', 'S.W.3d', 'So.', 'So. 2d', 'So. 3d',
+  'Cal.', 'Cal. 2d', 'Cal. 3d', 'Cal. 4th', 'Cal. 5th', 'Cal. App.', 'Cal. App. 2d', 'Cal. App. 3d',
+  'Cal. App. 4th', 'Cal. App. 5th', 'Cal. Rptr.', 'Cal. Rptr. 2d', 'Cal. Rptr. 3d',
+  'N.Y.', 'N.Y.2d', 'N.Y.3d', 'A.D.2d', 'A.D.3d', 'N.Y.S.', 'N.Y.S.2d', 'N.Y.S.3d', 'Misc. 2d', 'Misc. 3d',
+  'Ill. 2d', 'Ill. App. 3d', 'Ill. Dec.', 'Mass.', 'Mass. App. Ct.', 'N.J.', 'N.J. Super.', 'Pa.', 'Pa. Super.',
+  'Wash. 2d', 'Wash. App.', 'Ohio St. 3d', 'Mich.', 'Mich. App.', 'Wis. 2d', 'Tex.',
+  'WL', 'U.S. Dist. LEXIS', 'U.S. App. LEXIS'
+];
+
+// Spellings that don't reduce to a reporter's own key
+const REPORTER_ALIASES = {
+  fedappx: 'F. App\'x',
+  fappx: 'F. App\'x',
+  sct: 'S. Ct.',
+  ledd: 'L. Ed. 2d'
+};
+
+// Reporter spellings compared without spaces, periods or apostrophes ("F. 3d", "F.3d", "F 3d")
+const reporterKey = reporter => reporter.replace(/[\s.']/g, '').toLowerCase();
+const REPORTER_KEYS = new Map([
+  ...REPORTERS.map(reporter => [reporterKey(reporter), reporter]),
+  ...Object.entries(REPORTER_ALIASES)
+]);
+
+// Each reporter matches with or without its periods and spaces
+const reporterPattern = reporter => reporter
+  .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  .replace(/\\\./g, '\\.?\\s*')
+  .replace(/ /g, '\\s*')
+  .replace(/'/g, '[\'’]?');
+const REPORTER_PATTERN = [...REPORTERS, 'Fed. Appx.', 'F. App\'x.']
+  .sort((a, b) => b.length - a.length)
+  .map(reporterPattern)
+  .join('|');
+
+// "550 U.S. 544, 570 (2007)", "129 S. Ct. 1937", "2020 WL 1234567, at *3 (N.D. Cal. Jan. 6, 2020)"
+const CASE_CITATION = new RegExp(
+  `\\b(\\d{1,4})\\s+(${REPORTER_PATTERN})\\s+(\\d{1,7})(?![\\w-])` +
+  // A pin cite, unless the number is the volume of a parallel citation ("550 U.S. 544, 127 S. Ct. 1955")
+  `(?:,?\\s+(?:at\\s+)?(\\*?\\d+(?:\\s*[-–]\\s*\\d+)?(?:\\s*n\\.\\s*\\d+)?)(?!\\d|\\s+(?:${REPORTER_PATTERN})\\s))?` +
+  '(?:\\s*\\(([^()]*?)\\s*(\\d{4})\\))?',
+  'g'
+);
+
+// Short forms pointing back at a full citation: "Twombly, 550 U.S. at 556"
+const SHORT_CASE_CITATION = new RegExp(`\\b(\\d{1,4})\\s+(${REPORTER_PATTERN})\\s+at\\s+\\*?\\d+`, 'g');
+
+// Words before a case name that aren't part of it
+const CITATION_SIGNAL = /^(?:(?:see|see also|see generally|cf\.|but see|but cf\.|accord|compare|contra|e\.g\.,?|citing|quoting|in|and|under|also|as in|following|held in)\s+)+/i;
+const CASE_NAME = /((?:[A-Z][\w.'&-]*,?\s+(?:(?:of|the|and|for|in|on|ex rel\.|de|la|du|&)\s+)*)+v\.\s+(?:(?:of|the|and|for|in|on|de|la|du|&)\s+|[A-Z][\w.'&-]*,?\s*)+?),\s*$/;
+
+// Federal statutes and regulations: "42 U.S.C. § 1983(a)", "29 C.F.R. § 1630.2(g)"
+const FEDERAL_STATUTE = /\b(\d{1,2})\s+(U\.?\s?S\.?\s?C\.?(?:\s?A\.?)?|C\.?\s?F\.?\s?R\.?)\s*(?:§§?|sec(?:tion|s?)\.?)?\s*(\d[\w.-]*(?:\([\w]+\))*)/gi;
+
+// State codes, named by state and subject then a section: "Cal. Civ. Code § 1714",
+// "Tex. Civ. Prac. & Rem. Code Ann. § 16.003", "N.Y. Gen. Bus. Law § 349", "Fla. Stat. § 768.81"
+const STATE_STATUTE = /\b((?:[A-Z][A-Za-z]*\.?\s+|&\s+){1,6}?(?:Code|Stat\.|Stats\.|Law|Laws|Rev\.\s+Stat\.|Comp\.\s+Laws|Gen\.\s+Laws))(?:\s+Ann\.)?\s*(?:§§?|sec(?:tion)?\.?)\s*(\d[\w.:-]*(?:\([\w]+\))*)/g;
+
+// "Fed. R. Civ. P. 12(b)(6)" and its spelled-out form, "Cal. R. Ct. 8.500", "Local Rule 7-1"
+const RULE_SETS = [
+  { canonical: 'Fed. R. Civ. P.', pattern: 'Fed\\.?\\s*R\\.?\\s*Civ\\.?\\s*P\\.?|Federal\\s+Rules?\\s+of\\s+Civil\\s+Procedure' },
+  { canonical: 'Fed. R. Crim. P.', pattern: 'Fed\\.?\\s*R\\.?\\s*Crim\\.?\\s*P\\.?|Federal\\s+Rules?\\s+of\\s+Criminal\\s+Procedure' },
+  { canonical: 'Fed. R. App. P.', pattern: 'Fed\\.?\\s*R\\.?\\s*App\\.?\\s*P\\.?|Federal\\s+Rules?\\s+of\\s+Appellate\\s+Procedure' },
+  { canonical: 'Fed. R. Evid.', pattern: 'Fed\\.?\\s*R\\.?\\s*Evid\\.?|Federal\\s+Rules?\\s+of\\s+Evidence' },
+  { canonical: 'Fed. R. Bankr. P.', pattern: 'Fed\\.?\\s*R\\.?\\s*Bankr\\.?\\s*P\\.?|Federal\\s+Rules?\\s+of\\s+Bankruptcy\\s+Procedure' },
+  { canonical: 'Cal. R. Ct.', pattern: 'Cal\\.?\\s*R(?:ules)?\\.?\\s*(?:of\\s+)?C(?:our)?t\\.?,?(?:\\s+rule)?' },
+  { canonical: 'L.R.', pattern: '(?:Civ\\.?\\s*)?L\\.?\\s*R\\.?|Local\\s+(?:Civil\\s+)?Rule' }
+];
+const RULE_NUMBER = '(\\d+(?:[.-]\\d+)*(?:\\([\\w]+\\))*)';
+const NAMED_RULE = new RegExp(`(?:\\b|^)(${RULE_SETS.map(({ pattern }) => pattern).join('|')})\\s*(?:Rule\\s+)?${RULE_NUMBER}`, 'gi');
+// "Rule 12(b)(6)" without a rule set, usually the rules of the court the filing is in
+const BARE_RULE = new RegExp(`\\bRule\\s+${RULE_NUMBER}`, 'g');
+
+const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Canonical form of a reporter abbreviation
+ * @param {string} reporter - Reporter as written, e.g. "F. 3d" or "S.Ct."
+ * @returns {string|null} e.g. "F.3d", or null for an unknown reporter
+ */
+function normalizeReporter(reporter) {
+  return REPORTER_KEYS.get(reporterKey(reporter)) || null;
+}
+
+/**
+ * Case name written before a citation, e.g. "Bell Atl. Corp. v. Twombly"
+ * @param {string} before - Text leading up to the citation
+ * @returns {string|null}
+ */
+function precedingCaseName(before) {
+  const match = CASE_NAME.exec(`${clean(before.slice(-200))  } `);
+  if (!match) return null;
+  return clean(match[1]).replace(CITATION_SIGNAL, '').replace(/^[a-z][^A-Z]*/, '') || null;
+}
+
+/**
+ * Page of the document a position falls on, counting form feeds
+ * @param {string} text - Document text with pages separated by form feeds
+ * @param {number} index - Character position
+ * @returns {number|null} 1-based page, or null when the text has no page breaks
+ */
+function pageAt(text, index) {
+  if (!text.includes(PAGE_BREAK)) return null;
+  return text.substring(0, index).split(PAGE_BREAK).length;
+}
+
+function caseCitations(text) {
+  const citations = [...text.matchAll(CASE_CITATION)].flatMap(match => {
+    const [raw, volume, writtenReporter, page, pinCite, parenthetical, year] = match;
+    const reporter = normalizeReporter(writtenReporter);
+    if (!reporter) return [];
+
+    const court = clean(parenthetical).replace(/,$/, '');
+    return [{
+      type: 'case',
+      citation: `${volume} ${reporter} ${page}`,
+      raw: clean(raw),
+      index: match.index,
+      end: match.index + raw.length,
+      case_name: precedingCaseName(text.substring(0, match.index)),
+      volume: parseInt(volume, 10),
+      reporter,
+      page,
+      pin_cite: pinCite ? clean(pinCite) : null,
+      // The parenthetical names the court, and the date for unreported decisions ("N.D. Cal. Jan. 6,")
+      court: court && !/^\w{3}\.? \d{1,2},?$/.test(court) ? court.replace(/\s+\w{3,4}\.? \d{1,2},?$/, '') : null,
+      year: year ? parseInt(year, 10) : null
+    }];
+  });
+
+  // Parallel citations ("550 U.S. 544, 127 S. Ct. 1955 (2007)") share the case name written
+  // before the first and the parenthetical after the last
+  const isParallel = (citation, next) => citation && next && /^\s*,\s*$/.test(text.substring(citation.end, next.index));
+  citations.forEach((citation, index) => {
+    if (isParallel(citations[index - 1], citation)) citation.case_name = citation.case_name || citations[index - 1].case_name;
+  });
+  for (let index = citations.length - 2; index >= 0; index--) {
+    const [citation, next] = [citations[index], citations[index + 1]];
+    if (isParallel(citation, next)) {
+      citation.court = citation.court || next.court;
+      citation.year = citation.year || next.year;
+    }
+  }
+
+  return citations.map(({ end: _end, ...citation }) => citation);
+}
+
+function statuteCitations(text) {
+  const federal = [...text.matchAll(FEDERAL_STATUTE)].map(match => {
+    const code = /c\.?\s?f/i.test(match[2]) ? 'C.F.R.' : 'U.S.C.';
+    return {
+      type: 'statute',
+      citation: `${match[1]} ${code} § ${match[3].replace(/[.-]$/, '')}`,
+      raw: clean(match[0]),
+      index: match.index,
+      code: `${match[1]} ${code}`,
+      section: match[3].replace(/[.-]$/, '')
+    };
+  });
+
+  const state = [...text.matchAll(STATE_STATUTE)]
+    .filter(match => !/\b(U\.?S\.?C|C\.?F\.?R)\b/.test(match[1]))
+    .map(match => {
+      const code = clean(match[1]).replace(/^(?:and|or|under|the|see|of)\s+/i, '');
+      const section = match[2].replace(/[.:-]$/, '');
+      const raw = clean(match[0]).replace(/^(?:and|or|under|the|see|of)\s+/i, '');
+      return { type: 'statute', citation: `${code} § ${section}`, raw, index: match.index + match[0].indexOf(code), code, section };
+    });
+
+  return [...federal, ...state];
+}
+
+function ruleCitations(text) {
+  const named = [...text.matchAll(NAMED_RULE)].map(match => {
+    const set = RULE_SETS.find(({ pattern }) => new RegExp(`^(?:${pattern})$`, 'i').test(clean(match[1])));
+    const rule = match[2].replace(/[.-]$/, '');
+    return { type: 'rule', citation: `${set.canonical} ${rule}`, raw: clean(match[0]), index: match.index, rule_set: set.canonical, rule };
+  });
+
+  // A bare rule right after a named one ("Federal Rule of Civil Procedure 12(b)(6)") is the same citation
+  const bare = [...text.matchAll(BARE_RULE)]
+    .filter(match => !named.some(({ index, raw }) => match.index >= index && match.index < index + raw.length + 1))
+    .map(match => {
+      const rule = match[1].replace(/[.-]$/, '');
+      return { type: 'rule', citation: `Rule ${rule}`, raw: clean(match[0]), index: match.index, rule_set: null, rule };
+    });
+
+  return [...named, ...bare];
+}
+
+/**
+ * Find the case, statute and rule citations in a document and normalize them. A citation
+ * cited several times is listed once, at its first appearance; short forms ("550 U.S. at 556")
+ * count towards the full citation they refer to.
+ * @param {string} text - Extracted document text, pages separated by form feeds
+ * @returns {Array<Object>} Citations in order of first appearance. Each has type ('case',
+ * 'statute' or 'rule'), citation (canonical form, e.g. "550 U.S. 544", "42 U.S.C. § 1983",
+ * "Fed. R. Civ. P. 12(b)(6)"), raw (as first written), occurrences and pages, plus
+ * case_name, volume, reporter, page, pin_cite, court and year for cases, code and section
+ * for statutes, rule_set and rule for rules
+ */
+function extractCitations(text) {
+  if (!text) return [];
+
+  const found = [...caseCitations(text), ...statuteCitations(text), ...ruleCitations(text)]
+    .sort((a, b) => a.index - b.index);
+  const byCitation = new Map();
+
+  for (const { index, ...citation } of found) {
+    const page = pageAt(text, index);
+    const existing = byCitation.get(citation.citation);
+
+    if (existing) {
+      existing.occurrences++;
+      if (page && !existing.pages.includes(page)) existing.pages.push(page);
+      // Later full citations often add what the first one left out
+      existing.case_name = existing.case_name || citation.case_name;
+      existing.court = existing.court || citation.court;
+      existing.year = existing.year || citation.year;
+    } else {
+      byCitation.set(citation.citation, { ...citation, occurrences: 1, pages: page ? [page] : [] });
+    }
+  }
+
+  for (const match of text.matchAll(SHORT_CASE_CITATION)) {
+    const reporter = normalizeReporter(match[2]);
+    const full = [...byCitation.values()]
+      .find(citation => citation.type === 'case' && citation.volume === parseInt(match[1], 10) && citation.reporter === reporter);
+    if (!full) continue;
+
+    const page = pageAt(text, match.index);
+    full.occurrences++;
+    if (page && !full.pages.includes(page)) full.pages.push(page);
+  }
+
+  return [...byCitation.values()];
+}
+
+module.exports = { extractCitations, normalizeReporter };
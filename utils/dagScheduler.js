@@ -0,0 +1,115 @@
+// utils/dagScheduler.js - Dependency-graph execution with bounded concurrency
+
+/**
+ * Check that every dependency exists and the graph has no cycles
+ * @param {Array<{name: string, dependsOn?: string[]}>} steps - Step definitions
+ * @returns {string[]} Step names in a dependency-respecting order
+ */
+function getExecutionOrder(steps) {
+  const byName = new Map(steps.map(step => [step.name, step]));
+  const order = [];
+  const state = new Map(); // name -> 'visiting' | 'done'
+
+  const visit = (name, path) => {
+    if (state.get(name) === 'done') return;
+    if (state.get(name) === 'visiting') {
+      throw new Error(`Circular step dependency: ${[...path, name].join(' -> ')}`);
+    }
+
+    const step = byName.get(name);
+    state.set(name, 'visiting');
+    for (const dependency of step.dependsOn || []) {
+      if (!byName.has(dependency)) {
+        throw new Error(`Step ${name} depends on unknown step ${dependency}`);
+      }
+      visit(dependency, [...path, name]);
+    }
+    state.set(name, 'done');
+    order.push(name);
+  };
+
+  steps.forEach(step => visit(step.name, []));
+  return order;
+}
+
+/**
+ * Collect the given steps plus every step that depends on them, directly or indirectly
+ * @param {Array<{name: string, dependsOn?: string[]}>} steps - Step definitions
+ * @param {string[]} names - Steps whose output is being replaced
+ * @returns {string[]} Affected step names in a dependency-respecting order
+ */
+function getDependents(steps, names) {
+  const order = getExecutionOrder(steps);
+  const affected = new Set(names);
+
+  for (const name of order) {
+    const step = steps.find(candidate => candidate.name === name);
+    if ((step.dependsOn || []).some(dependency => affected.has(dependency))) {
+      affected.add(name);
+    }
+  }
+
+  return order.filter(name => affected.has(name));
+}
+
+/**
+ * Run steps as soon as all of their dependencies have completed
+ * @param {Array<{name: string, dependsOn?: string[]}>} steps - Step definitions
+ * @param {Function} runStep - Async function called with each step
+ * @param {Object} options - Scheduling options
+ * @param {number} options.concurrency - Maximum number of steps running at once
+ * @param {string[]} options.completed - Steps that are already done and must not run
+ * @returns {Promise<string[]>} Names of the steps that were run, in completion order
+ */
+async function runDag(steps, runStep, options = {}) {
+  const { concurrency = 1, completed = [] } = options;
+
+  getExecutionOrder(steps);
+
+  const done = new Set(completed);
+  const pending = steps.filter(step => !done.has(step.name));
+  const running = new Map(); // name -> promise
+  const ran = [];
+  let failure = null;
+
+  const isReady = step => (step.dependsOn || []).every(dependency => done.has(dependency));
+
+  while (pending.length > 0 || running.size > 0) {
+    // Start every ready step while there is capacity, unless a step already failed
+    while (!failure && running.size < Math.max(1, concurrency)) {
+      const index = pending.findIndex(isReady);
+      if (index === -1) break;
+
+      const [step] = pending.splice(index, 1);
+      const promise = Promise.resolve()
+        .then(() => runStep(step))
+        .then(() => {
+          done.add(step.name);
+          ran.push(step.name);
+        })
+        .catch(error => {
+          if (!failure) failure = error;
+        })
+        .finally(() => running.delete(step.name));
+      running.set(step.name, promise);
+    }
+
+    if (running.size === 0) break;
+    await Promise.race(running.values());
+  }
+
+  // In-flight steps are allowed to settle before the first failure is reported
+  if (failure) throw failure;
+
+  if (pending.length > 0) {
+    throw new Error(`Unable to schedule steps: ${pending.map(step => step.name).join(', ')}`);
+  }
+
+  return ran;
+}
+
+module.exports = {
+  getExecutionOrder,
+  getDependents,
+  runDag
+};
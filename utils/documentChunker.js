@@ -0,0 +1,144 @@
+// utils/documentChunker.js - Split extracted case documents into token-bounded chunks by page and section
+
+// The pipeline joins documents under "--- file name ---" headings; PDF text extraction
+// separates pages with form feeds
+const DOCUMENT_HEADER = /\n*--- (.+?) ---\n/g;
+const PAGE_BREAK = '\f';
+
+/**
+ * Marker placed before each page so summaries can cite where a fact came from
+ * @param {string} fileName - Document the text belongs to
+ * @param {number|number[]|null} pages - 1-based page number(s); none when the document has no page breaks
+ * @returns {string} e.g. "[deposition.pdf, p. 12]" or "[deposition.pdf, p. 12, 14]"
+ */
+function pageMarker(fileName, pages) {
+  const list = [].concat(pages ?? []).filter(Boolean);
+  return list.length > 0 ? `[${fileName}, p. ${list.join(', ')}]` : `[${fileName}]`;
+}
+
+/**
+ * Split combined document text into pages
+ * @param {string} content - Extracted text of all case documents
+ * @returns {Array<{fileName: string, page: number|null, text: string}>} Non-empty pages in order
+ */
+function splitDocumentPages(content) {
+  const documents = [];
+  const headers = [...(content || '').matchAll(DOCUMENT_HEADER)];
+
+  if (headers.length === 0) {
+    documents.push({ fileName: 'Documents', text: content || '' });
+  } else {
+    const leading = content.substring(0, headers[0].index);
+    if (leading.trim()) documents.push({ fileName: 'Documents', text: leading });
+
+    headers.forEach((header, index) => {
+      const end = index + 1 < headers.length ? headers[index + 1].index : content.length;
+      documents.push({ fileName: header[1], text: content.substring(header.index + header[0].length, end) });
+    });
+  }
+
+  return documents.flatMap(({ fileName, text }) => {
+    const pages = text.split(PAGE_BREAK);
+    const paginated = pages.length > 1;
+
+    return pages
+      .map((pageText, index) => ({ fileName, page: paginated ? index + 1 : null, text: pageText.trim() }))
+      .filter(page => page.text);
+  });
+}
+
+// Token counts are kept per piece and added up, so a large document is only tokenized about
+// once; separators are counted as one token each
+const SEPARATOR_TOKENS = 1;
+
+/**
+ * Split text that is too long for one chunk at section breaks (blank lines), then at
+ * line breaks, and only cut mid-line when a single line is over the limit
+ * @param {string} text - Text of one page
+ * @param {number} maxTokens - Token limit per piece
+ * @param {function(string): number} countTokens - Token counter
+ * @param {number} [tokens] - Token count of text, when already known
+ * @returns {Array<{text: string, tokens: number}>} Pieces within the limit
+ */
+function splitSections(text, maxTokens, countTokens, tokens = countTokens(text)) {
+  if (tokens <= maxTokens) return [{ text, tokens }];
+
+  const separators = [/\n\s*\n/, /\n/];
+  for (const separator of separators) {
+    const parts = text.split(separator).filter(part => part.trim());
+    if (parts.length < 2) continue;
+
+    const joiner = separator.source === '\\n' ? '\n' : '\n\n';
+    const pieces = [];
+    let current = null;
+
+    for (const part of parts) {
+      const partTokens = countTokens(part);
+      if (current && current.tokens + SEPARATOR_TOKENS + partTokens <= maxTokens) {
+        current.text += `${joiner}${part}`;
+        current.tokens += SEPARATOR_TOKENS + partTokens;
+        continue;
+      }
+      if (current) pieces.push(current);
+      current = { text: part, tokens: partTokens };
+    }
+    pieces.push(current);
+
+    return pieces.flatMap(piece => splitSections(piece.text, maxTokens, countTokens, piece.tokens));
+  }
+
+  // A single unbroken run of text: cut proportionally to the token count
+  const size = Math.max(1, Math.floor(text.length * maxTokens / tokens));
+  const pieces = [];
+  for (let start = 0; start < text.length; start += size) {
+    const piece = text.substring(start, start + size);
+    pieces.push({ text: piece, tokens: countTokens(piece) });
+  }
+  return pieces;
+}
+
+/**
+ * Group document pages into chunks of at most maxTokens. Chunks never span two documents,
+ * and every page (or part of a page) is prefixed with its page marker.
+ * @param {string} content - Extracted text of all case documents
+ * @param {Object} options
+ * @param {number} options.maxTokens - Token limit per chunk, markers included
+ * @param {function(string): number} options.countTokens - Token counter
+ * @returns {Array<{index: number, fileName: string, startPage: number|null, endPage: number|null, text: string, tokens: number}>}
+ */
+function chunkDocumentContent(content, { maxTokens, countTokens }) {
+  const chunks = [];
+  let current = null;
+
+  const flush = () => {
+    if (current) chunks.push({ index: chunks.length, ...current });
+    current = null;
+  };
+
+  for (const page of splitDocumentPages(content)) {
+    const marker = pageMarker(page.fileName, page.page);
+    const markerTokens = countTokens(marker) + SEPARATOR_TOKENS;
+
+    for (const section of splitSections(page.text, maxTokens - markerTokens, countTokens)) {
+      const block = `${marker}\n${section.text}`;
+      const blockTokens = markerTokens + section.tokens;
+
+      if (current && (current.fileName !== page.fileName || current.tokens + SEPARATOR_TOKENS + blockTokens > maxTokens)) {
+        flush();
+      }
+
+      if (current) {
+        current.text += `\n\n${block}`;
+        current.tokens += SEPARATOR_TOKENS + blockTokens;
+        current.endPage = page.page;
+      } else {
+        current = { fileName: page.fileName, startPage: page.page, endPage: page.page, text: block, tokens: blockTokens };
+      }
+    }
+  }
+  flush();
+
+  return chunks;
+}
+
+module.exports = { pageMarker, splitDocumentPages, chunkDocumentContent };
@@ -11,6 +11,49 @@ class UnauthorizedError extends Error {
     this.statusCode = 401;
   }
 }
+
+class BudgetExceededError extends Error {
+  constructor(scope, scopeId, limit, spent) {
+    super(`Cost budget exceeded for ${scope} ${scopeId}: $${spent.toFixed(4)} spent of $${limit.toFixed(2)}`);
+    this.name = 'BudgetExceededError';
+    this.statusCode = 402;
+    this.scope = scope;
+    this.scopeId = scopeId;
+    this.limit = limit;
+    this.spent = spent;
+  }
+}
+
+class AIProviderNotAllowedError extends Error {
+  constructor(provider, organizationId) {
+    super(`AI provider ${provider} is not permitted for organization ${organizationId}`);
+    this.name = 'AIProviderNotAllowedError';
+    this.statusCode = 403;
+    this.provider = provider;
+    this.organizationId = organizationId;
+  }
+}
+
+class AIResponseValidationError extends Error {
+  constructor(operation, validationErrors) {
+    super(`AI response for ${operation} failed schema checks: ${validationErrors.join('; ')}`);
+    this.name = 'AIResponseValidationError';
+    this.statusCode = 502;
+    this.operation = operation;
+    this.validationErrors = validationErrors;
+  }
+}
+
+// The caller gave up on the call, e.g. a streaming client disconnected
+class AICallAbortedError extends Error {
+  constructor(operation) {
+    super(`AI call for ${operation} was aborted by the caller`);
+    this.name = 'AICallAbortedError';
+    this.statusCode = 499;
+    this.operation = operation;
+  }
+}
+
 const supabase = process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_KEY
   ? createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY)
   : {
@@ -45,21 +88,21 @@ class ErrorHandler {
   }
 }
 
-// Add the missing handleError function that's being imported by endpoint files
-const handleError = (error, res, context = {}) => {
-  console.error('API Error:', error);
-  console.error('Context:', context);
-  
-  // Log error to database if caseId is available
-  if (context.caseId) {
-    ErrorHandler.logError(context.caseId, context.operation || 'unknown', error, context).catch(console.error);
-  }
-  
-  // Determine appropriate status code
+// HTTP status and label for an error, shared by JSON responses and streamed error events
+const classifyError = (error) => {
   let statusCode = 500;
   let message = 'Internal Server Error';
   
-  if (error.message?.includes('Unauthorized') || error.message?.includes('No authorization')) {
+  if (error instanceof BudgetExceededError) {
+    statusCode = 402;
+    message = 'Budget Exceeded';
+  } else if (error instanceof AIProviderNotAllowedError) {
+    statusCode = 403;
+    message = 'AI Provider Not Permitted';
+  } else if (error instanceof AIResponseValidationError) {
+    statusCode = 502;
+    message = 'Invalid AI Response';
+  } else if (error.message?.includes('Unauthorized') || error.message?.includes('No authorization')) {
     statusCode = 401;
     message = 'Unauthorized';
   } else if (error.message?.includes('not found') || error.message?.includes('Case not found')) {
@@ -73,6 +116,21 @@ const handleError = (error, res, context = {}) => {
     message = 'Bad Request';
   }
   
+  return { statusCode, message };
+};
+
+// Add the missing handleError function that's being imported by endpoint files
+const handleError = (error, res, context = {}) => {
+  console.error('API Error:', error);
+  console.error('Context:', context);
+  
+  // Log error to database if caseId is available
+  if (context.caseId) {
+    ErrorHandler.logError(context.caseId, context.operation || 'unknown', error, context).catch(console.error);
+  }
+  
+  const { statusCode, message } = classifyError(error);
+  
   // Send error response
   res.status(statusCode).json({
     error: message,
@@ -81,4 +139,4 @@ const handleError = (error, res, context = {}) => {
   });
 };
 
-module.exports = { ErrorHandler, handleError, UnauthorizedError }; 
\ No newline at end of file
+module.exports = { ErrorHandler, handleError, classifyError, UnauthorizedError, BudgetExceededError, AIProviderNotAllowedError, AIResponseValidationError, AICallAbortedError }; 
\ No newline at end of file
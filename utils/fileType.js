@@ -0,0 +1,54 @@
+// utils/fileType.js - Identify uploaded case documents by content and file name
+const path = require('path');
+
+// Leading bytes of each format. DOCX is a ZIP package; legacy DOC is an OLE compound file.
+// Photos and image scans (JPEG, PNG, TIFF) are all 'image'.
+const SIGNATURES = [
+  { type: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46] },
+  { type: 'docx', bytes: [0x50, 0x4B, 0x03, 0x04] },
+  { type: 'doc', bytes: [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1] },
+  { type: 'image', bytes: [0xFF, 0xD8, 0xFF] },
+  { type: 'image', bytes: [0x89, 0x50, 0x4E, 0x47] },
+  { type: 'image', bytes: [0x49, 0x49, 0x2A, 0x00] },
+  { type: 'image', bytes: [0x4D, 0x4D, 0x00, 0x2A] }
+];
+
+const EXTENSIONS = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.doc': 'doc',
+  '.jpg': 'image',
+  '.jpeg': 'image',
+  '.png': 'image',
+  '.tif': 'image',
+  '.tiff': 'image'
+};
+
+/**
+ * Detect a document's type. File contents win over the extension, since Word documents
+ * are often saved under the other Word format's extension.
+ * @param {string} fileName - File name or storage path
+ * @param {Buffer} [buffer] - File contents, when downloaded
+ * @returns {'pdf'|'docx'|'doc'|'image'|null} null when neither contents nor extension are recognized
+ */
+function detectFileType(fileName, buffer) {
+  if (buffer) {
+    const signature = SIGNATURES.find(({ bytes }) => bytes.every((byte, index) => buffer[index] === byte));
+    if (signature) return signature.type;
+  }
+
+  return EXTENSIONS[path.extname(fileName || '').toLowerCase()] || null;
+}
+
+/**
+ * Whether a document is a Word file (DOCX or DOC)
+ * @param {string} fileName - File name or storage path
+ * @param {Buffer} [buffer] - File contents, when downloaded
+ * @returns {boolean}
+ */
+function isWordDocument(fileName, buffer) {
+  const type = detectFileType(fileName, buffer);
+  return type === 'docx' || type === 'doc';
+}
+
+module.exports = { detectFileType, isWordDocument };
@@ -0,0 +1,413 @@
+// utils/legalDocumentParser.js - Rule-based structure of court filings: caption, counts, prayer and signature
+const { COURT_MAP } = require('./courtMaps');
+
+const PARSER_VERSION = 1;
+
+// Caption lines keep the left (parties) and right (case number, title) columns apart with a
+// ")" or "§" column, or wide spacing
+const COLUMN_SEPARATOR = /(?:^|\s+)[)§|](?:\s+|$)|\s{3,}/;
+
+// The caption ends where the body of the filing starts
+const BODY_START = /^(COMES NOW|NOW COMES?|INTRODUCTION|NATURE OF THE (ACTION|CASE)|PRELIMINARY STATEMENT|JURISDICTION AND VENUE|PARTIES|GENERAL ALLEGATIONS|FACTUAL (ALLEGATIONS|BACKGROUND)|BACKGROUND|1\.\s+\S)/i;
+const MAX_CAPTION_LINES = 60;
+
+const VERSUS = /(?:^|\s)(?:v\.?|vs\.?|versus)(?=\s|$)/i;
+const PLAINTIFF_ROLE = /[,;]?\s*\b(plaintiffs?|petitioners?|appellants?|claimants?|counter-defendants?)\b[\s\S]*$/i;
+const DEFENDANT_ROLE = /[,;]?\s*\b(defendants?|respondents?|appellees?|counter-plaintiffs?)\b[\s\S]*$/i;
+
+// Entity suffixes that follow a comma but belong to the name ("Acme, Inc.")
+const ENTITY_SUFFIX = /^(inc|llc|l\.l\.c|llp|l\.l\.p|lp|l\.p|corp|corporation|co|company|ltd|n\.a|p\.c|pc|pllc|p\.a|plc)\.?$/i;
+// Descriptions after a party's name ("an individual", "a Delaware corporation")
+const PARTY_DESCRIPTION = /^(a|an|the|individually|as|on behalf|in (his|her|their|its) (official|individual)|doing business|d\/b\/a)\b/i;
+
+const DOCKET_NUMBER = /\b(?:case|civil action|civil|docket|index|cause|file|criminal)?\s*(?:no|number|#)\.?\s*:?\s*((?=[\w:.\-/]*\d)[A-Z0-9][\w:.\-/]*[A-Z0-9])/i;
+
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth',
+  'eleventh', 'twelfth', 'thirteenth', 'fourteenth', 'fifteenth', 'sixteenth', 'seventeenth', 'eighteenth',
+  'nineteenth', 'twentieth'];
+const CARDINALS = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven',
+  'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty'];
+
+// "COUNT III – FRAUD", "COUNT ONE: Breach of Contract", "FIRST CAUSE OF ACTION (Negligence)",
+// "SECOND AFFIRMATIVE DEFENSE"
+const COUNT_HEADING = /^(?:count|claim)\s+([ivxlc]+|\d+|[a-z]+)\b[\s.:–—-]*(.*)$/i;
+const AGAINST = /\(\s*(?:against|as to)\s+(?:all\s+)?([^)]+)\)?/i;
+const ORDINAL_HEADING = new RegExp(`^(${ORDINALS.join('|')}|\\d+(?:st|nd|rd|th))\\s+(cause of action|claim for relief|claim|count|(?:separate and )?affirmative defense)\\b[\\s.:\\u2013\\u2014-]*(.*)$`, 'i');
+
+const PRAYER_HEADING = /^(prayer for relief|prayer|relief requested|request for relief)\s*:?\s*$/i;
+const WHEREFORE = /^wherefore\b/i;
+const PRAYER_END = /^(demand for jury trial|jury (trial )?demand(ed)?|dated?\b|respectfully submitted|\/s\/|verification)/i;
+const RELIEF_ITEM = /^(?:\(?[a-z0-9]{1,3}[.)]|[-•])\s+(.+)$/i;
+const AMOUNT = /\$\s?\d[\d,]*(?:\.\d{2})?(?:\s*(?:million|billion))?/gi;
+
+const SIGNATURE_START = /^(respectfully submitted|it is so ordered|so ordered|\/s\/)/i;
+const BAR_NUMBER = /\b(?:SBN|state bar no|bar no|bar number|bar #|ardc no|attorney no|attorney id|bar id)\.?\s*:?\s*#?\s*([A-Z0-9-]*\d[A-Z0-9-]*)/i;
+const FIRM = /\b(LLP|L\.L\.P\.|LLC|P\.C\.|P\.A\.|PLLC|Law (Firm|Offices?|Group)|Attorneys at Law|& )/i;
+const COUNSEL_FOR = /\b(?:attorneys?|counsel) for\s+(.+)$/i;
+const JUDGE_TITLE = /\b(judge|justice|magistrate|commissioner)\b/i;
+const SIGNED_DATE = /^(?:dated?|date signed|signed|entered)\s*:?\s*(.+)$/i;
+
+// Jurisdictions are reported by the names courtMaps maps to CourtListener courts. Two-letter
+// keys are abbreviations and would match ordinary words, and federal district courts are
+// better placed by their state than by "united states".
+const GENERIC_JURISDICTIONS = ['united states', 'federal'];
+const JURISDICTION_NAMES = Object.keys(COURT_MAP)
+  .filter(name => name.length > 2 && !GENERIC_JURISDICTIONS.includes(name))
+  .sort((a, b) => b.length - a.length);
+
+const clean = text => (text || '').replace(/\s+/g, ' ').replace(/^[\s,;:.]+|[\s,;]+$/g, '').trim();
+const titleCase = text => text.replace(/\b([a-z])/g, letter => letter.toUpperCase());
+
+// Lines without Word heading marks, trailing spaces or page breaks
+function normalizeLines(text) {
+  return (text || '')
+    .replace(/\f/g, '\n')
+    .split(/\r?\n/)
+    .map(line => line.replace(/^#+\s+/, '').replace(/\s+$/, ''));
+}
+
+function countNumber(token) {
+  const word = token.toLowerCase();
+  if (/^\d+/.test(word)) return parseInt(word, 10);
+  if (ORDINALS.includes(word)) return ORDINALS.indexOf(word) + 1;
+  if (CARDINALS.includes(word)) return CARDINALS.indexOf(word) + 1;
+
+  const romans = { i: 1, v: 5, x: 10, l: 50, c: 100 };
+  if (!/^[ivxlc]+$/.test(word)) return null;
+  return [...word].reduce((total, letter, index) => {
+    const value = romans[letter];
+    return romans[word[index + 1]] > value ? total - value : total + value;
+  }, 0);
+}
+
+/**
+ * Court named in the caption: the first line naming a court plus the lines that continue it
+ * ("NORTHERN DISTRICT OF CALIFORNIA", "IN AND FOR THE COUNTY OF ...")
+ * @param {string[]} lines - Caption lines
+ * @returns {{court: string|null, startLine: number, endLine: number}} Court name, and the indexes of
+ * its first line and the line after it
+ */
+function findCourt(lines) {
+  const start = lines.findIndex(line => /\bcourt\b/i.test(line) && !VERSUS.test(line));
+  if (start === -1 || start > 15) return { court: null, startLine: 0, endLine: 0 };
+
+  const parts = [lines[start].split(COLUMN_SEPARATOR)[0]];
+  let end = start + 1;
+  while (end < lines.length) {
+    const line = lines[end].split(COLUMN_SEPARATOR)[0].trim();
+    if (!line) {
+      end++;
+      if (parts.length > 1) break;
+      continue;
+    }
+    if (!/^(for|in and for|of|at)\b|\b(district|division|county|parish|circuit|state) of\b|\bdivision$/i.test(line)) break;
+    parts.push(line);
+    end++;
+  }
+
+  return { court: clean(parts.join(' ').replace(/^in the\s+/i, '')), startLine: start, endLine: end };
+}
+
+/**
+ * Jurisdiction of a court, named the way courtMaps expects
+ * @param {string|null} court - Court name from the caption
+ * @returns {{jurisdiction: string|null, level: 'federal'|'state'|null, county: string|null}}
+ */
+function courtJurisdiction(court) {
+  if (!court) return { jurisdiction: null, level: null, county: null };
+
+  const lower = court.toLowerCase();
+  const level = /\bunited states\b|\bu\.s\.|\bfederal\b/.test(lower) ? 'federal' : 'state';
+  const name = JURISDICTION_NAMES.find(candidate => new RegExp(`\\b${candidate}\\b`).test(lower));
+  const county = /\bcounty of ([a-z .'-]+?)(?:,|$|\s+state\b)/.exec(lower) ||
+    /((?:[a-z'-]+\s+)?[a-z'-]+)\s+county\b/.exec(lower);
+
+  return {
+    jurisdiction: name ? titleCase(name) : (level === 'federal' ? 'Federal' : null),
+    level,
+    county: county ? titleCase(clean(county[1].replace(/^(of|the)\s+/, ''))) : null
+  };
+}
+
+/**
+ * Names in one side of a caption, without descriptions and "et al."
+ * @param {string} text - e.g. "ACME CORPORATION, a Delaware corporation; and DOES 1-10"
+ * @returns {string[]}
+ */
+function splitParties(text) {
+  return clean(text.replace(/\bet al\.?/gi, ''))
+    .split(/\s*;\s*(?:and\s+)?|\s*,?\s+and\s+(?=[A-Z])/)
+    .map(party => {
+      const pieces = party.split(/\s*,\s*/);
+      const kept = [pieces[0]];
+      for (const piece of pieces.slice(1)) {
+        if (ENTITY_SUFFIX.test(piece)) kept[kept.length - 1] += `, ${piece}`;
+        else if (PARTY_DESCRIPTION.test(piece)) break;
+        else kept.push(piece);
+      }
+      return clean(kept.join(', '));
+    })
+    .filter(party => /[a-z]/i.test(party));
+}
+
+// Document titles are set in capitals and name the kind of filing
+const isTitle = text => /\b(complaint|answer|motion|order|petition|memorandum|judgment|stipulation)\b/i.test(text) &&
+  text === text.toUpperCase() && !VERSUS.test(text);
+
+/**
+ * Parties, docket number and title from the caption
+ * @param {string[]} lines - Caption lines after the court name
+ * @returns {{plaintiffs: string[], defendants: string[], case_number: string|null, title: string|null}}
+ */
+function parseCaption(lines) {
+  const left = [];
+  const right = [];
+  for (const line of lines) {
+    const [first, ...rest] = line.trim().split(COLUMN_SEPARATOR).map(part => part.trim());
+    if (first) left.push(first);
+    right.push(...rest.filter(Boolean));
+  }
+
+  const partyText = left.filter(part => !isTitle(part)).join(' ');
+  const versus = VERSUS.exec(partyText);
+  let plaintiffs = [];
+  let defendants = [];
+
+  if (versus) {
+    const before = partyText.substring(0, versus.index);
+    const after = partyText.substring(versus.index + versus[0].length);
+    const defendantRole = DEFENDANT_ROLE.exec(after);
+
+    plaintiffs = splitParties(before.replace(PLAINTIFF_ROLE, ''));
+    defendants = splitParties(defendantRole ? after.substring(0, defendantRole.index) : after);
+  }
+
+  const docket = DOCKET_NUMBER.exec([...right, ...left].find(part => DOCKET_NUMBER.test(part)) || '');
+  const title = [...right, ...left].find(isTitle);
+
+  return { plaintiffs, defendants, case_number: docket ? docket[1] : null, title: title ? clean(title) : null };
+}
+
+/**
+ * Kind of filing, from its title or, failing that, the opening lines
+ * @param {string|null} title - Document title from the caption
+ * @param {string} opening - First lines of the document
+ * @returns {'order'|'answer'|'motion'|'complaint'|'document'}
+ */
+function documentType(title, opening) {
+  const text = title || opening;
+  if (/^(\[proposed\]\s*)?(order|judgment)\b|\b(order|judgment) (granting|denying|on|re)\b/i.test(text)) return 'order';
+  if (/\banswer\b/i.test(text)) return 'answer';
+  if (/\bmotion\b/i.test(text)) return 'motion';
+  if (/\b(complaint|petition)\b/i.test(text)) return 'complaint';
+  return title ? documentType(null, opening) : 'document';
+}
+
+/**
+ * Counts (causes of action) and affirmative defenses, in order
+ * @param {string[]} lines - All document lines
+ * @returns {{counts: Array<{number: number, title: string, against: string|null}>, defenses: Array<{number: number, title: string}>}}
+ */
+function parseCounts(lines) {
+  const counts = [];
+  const defenses = [];
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+    // Headings are short; longer lines mentioning a count are references to it
+    if (trimmed.length > 120) return;
+
+    const heading = ORDINAL_HEADING.exec(trimmed) || COUNT_HEADING.exec(trimmed);
+    if (!heading) return;
+
+    const number = countNumber(heading[1]);
+    if (!number) return;
+
+    const isDefense = /affirmative defense/i.test(heading[2] || '');
+    // The title and "(Against ...)" may follow the heading on the same line or the next ones
+    const following = lines.slice(index + 1, index + 6).map(next => next.trim()).filter(Boolean).slice(0, 2);
+    const candidates = [(heading.length === 4 ? heading[3] : heading[2]) || '', ...following];
+    const titleLine = candidates.find(candidate => clean(candidate.replace(AGAINST, ''))) || '';
+    const against = candidates.slice(0, candidates.indexOf(titleLine) + 2).map(candidate => AGAINST.exec(candidate)?.[1]).find(Boolean);
+    const title = clean(titleLine.replace(AGAINST, '').replace(/[()]/g, ''));
+
+    if (isDefense) {
+      defenses.push({ number, title });
+    } else if (!counts.some(count => count.number === number)) {
+      counts.push({ number, title, against: against ? clean(against) : null });
+    }
+  });
+
+  return { counts, defenses };
+}
+
+/**
+ * Prayer for relief: the PRAYER FOR RELIEF section, or the last WHEREFORE paragraph
+ * @param {string[]} lines - All document lines
+ * @returns {{text: string, items: string[], amounts: string[]}|null}
+ */
+function parsePrayer(lines) {
+  let start = lines.findIndex(line => PRAYER_HEADING.test(line.trim()));
+  if (start !== -1) {
+    start += 1;
+  } else {
+    start = lines.map(line => WHEREFORE.test(line.trim())).lastIndexOf(true);
+    if (start === -1) return null;
+  }
+
+  const section = [];
+  for (const line of lines.slice(start)) {
+    const trimmed = line.trim();
+    if (PRAYER_END.test(trimmed)) break;
+    if (trimmed) section.push(trimmed);
+  }
+
+  const text = section.join('\n');
+  return {
+    text,
+    items: section.map(line => RELIEF_ITEM.exec(line)?.[1]).filter(Boolean).map(item => clean(item).replace(/[.;]$/, '')),
+    amounts: [...new Set(text.match(AMOUNT) || [])].map(clean)
+  };
+}
+
+/**
+ * Signature block at the end of a filing, or the judge's signature on an order
+ * @param {string[]} lines - All document lines
+ * @param {string[]} header - Lines above the court name, where California-style filings put counsel
+ * @returns {{signer: string|null, bar_number: string|null, firm: string|null, represents: string|null, date: string|null}|null}
+ */
+function parseSignature(lines, header) {
+  const start = lines.map(line => SIGNATURE_START.test(line.trim())).lastIndexOf(true);
+  const dateLine = lines.map(line => SIGNED_DATE.test(line.trim())).lastIndexOf(true);
+  if (start === -1 && dateLine === -1) return null;
+
+  const block = lines.slice(Math.max(0, Math.min(...[start, dateLine].filter(index => index !== -1))))
+    // A date beside the signature ("Dated: ...      Respectfully submitted,") is a column of its own
+    .flatMap(line => line.trim().split(/\s{3,}/))
+    .filter(Boolean)
+    .slice(0, 15);
+
+  const slashS = block.find(line => /^(by:\s*)?\/s\/\s*/i.test(line));
+  const honorable = block.find(line => /^(the\s+)?hon(\.|orable)\s+/i.test(line));
+  const judgeLine = block.map(line => JUDGE_TITLE.test(line) && !/ordered/i.test(line)).lastIndexOf(true);
+  let signer = slashS ? clean(slashS.replace(/^(by:\s*)?\/s\/\s*/i, '')) : null;
+  if (!signer && honorable) signer = clean(honorable.replace(/^(the\s+)?hon(\.|orable)\s+/i, ''));
+  if (!signer && judgeLine > 0) signer = clean(block[judgeLine - 1].replace(/^(by:|_+)\s*/i, '')) || null;
+  if (!signer) {
+    signer = block.find(line => /^[A-Z][a-z]+(\s+[A-Z]\.?)?\s+[A-Z][a-z'-]+/.test(line) &&
+      !SIGNATURE_START.test(line) && !SIGNED_DATE.test(line) && !FIRM.test(line)) || null;
+  }
+
+  const date = block.map(line => SIGNED_DATE.exec(line)?.[1]).find(Boolean);
+  const represents = block.map(line => COUNSEL_FOR.exec(line)?.[1]).find(Boolean);
+
+  return {
+    signer: signer ? clean(signer.replace(BAR_NUMBER, '').replace(/[(),]+$/, '')) : null,
+    bar_number: [...block, ...header].map(line => BAR_NUMBER.exec(line)?.[1]).find(Boolean) || null,
+    firm: block.find(line => FIRM.test(line) && !COUNSEL_FOR.test(line)) || header.find(line => FIRM.test(line)) || null,
+    represents: represents ? clean(represents) : null,
+    date: date ? clean(date) : null
+  };
+}
+
+/**
+ * Parse a court filing (complaint, answer, motion or order) into its caption, counts, prayer
+ * for relief and signature block. Fields the parser can't find are null or empty, and
+ * recognized lists the ones it found.
+ * @param {string} text - Extracted document text
+ * @param {string} [fileName] - Document file name, reported back as source_file
+ * @returns {Object} Structure using the field names of AI-extracted document structure
+ * (document_type, parties, case_number, jurisdiction, legal_claims, damages_sought, key_dates)
+ * plus court, counts, affirmative_defenses, prayer_for_relief and signature_block
+ */
+function parseLegalDocument(text, fileName = null) {
+  const lines = normalizeLines(text);
+  const { court, startLine, endLine } = findCourt(lines);
+
+  // A title on a line of its own (not in the caption's right column) is the caption's last line
+  let captionEnd = lines.findIndex((line, index) => index >= endLine &&
+    (BODY_START.test(line.trim()) || (index > endLine && isTitle(lines[index - 1].trim()))));
+  if (captionEnd === -1 || captionEnd - endLine > MAX_CAPTION_LINES) captionEnd = Math.min(lines.length, endLine + MAX_CAPTION_LINES);
+
+  const caption = parseCaption(lines.slice(endLine, captionEnd));
+  const { jurisdiction, level, county } = courtJurisdiction(court);
+  const caseNumber = caption.case_number || DOCKET_NUMBER.exec(lines.find(line => /\b(case|docket|index|civil action)\s*(no|number|#)/i.test(line)) || '')?.[1] || null;
+  const { counts, defenses } = parseCounts(lines);
+  const prayer = parsePrayer(lines);
+  const signature = parseSignature(lines, lines.slice(0, startLine).map(line => line.trim()));
+
+  const structure = {
+    parser: 'legal-document-parser',
+    parser_version: PARSER_VERSION,
+    source_file: fileName,
+    document_type: documentType(caption.title, lines.slice(0, captionEnd).join(' ')),
+    title: caption.title,
+    court,
+    court_level: level,
+    county,
+    jurisdiction,
+    case_number: caseNumber,
+    parties: { plaintiffs: caption.plaintiffs, defendants: caption.defendants },
+    counts,
+    legal_claims: counts.map(count => count.title).filter(Boolean),
+    affirmative_defenses: defenses,
+    prayer_for_relief: prayer,
+    damages_sought: prayer?.amounts.join(', ') || '',
+    signature_block: signature,
+    key_dates: signature?.date ? { signed: signature.date } : {}
+  };
+
+  structure.recognized = [
+    court && 'court',
+    caseNumber && 'case_number',
+    caption.plaintiffs.length + caption.defendants.length > 0 && 'parties',
+    structure.document_type !== 'document' && 'document_type',
+    counts.length > 0 && 'counts',
+    defenses.length > 0 && 'affirmative_defenses',
+    prayer && 'prayer_for_relief',
+    signature?.signer && 'signature_block'
+  ].filter(Boolean);
+
+  return structure;
+}
+
+// Fields taken from parsed documents, in the fused case information's terms
+const FUSED_FIELDS = ['document_type', 'court', 'jurisdiction', 'case_number', 'parties', 'legal_claims', 'damages_sought', 'key_dates'];
+// Only filings state the case; a letter or contract exhibit with a caption-like heading does not
+const COURT_FILINGS = ['complaint', 'answer', 'motion', 'order'];
+
+const isEmpty = value => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0) ||
+  (typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(isEmpty));
+
+/**
+ * Combine the parsed structures of a case's court filings; other documents are ignored. The first
+ * filing with a value wins a field, except that complaints go first: they state the case as originally pleaded.
+ * @param {Object[]} structures - parseLegalDocument results
+ * @returns {Object} Fused fields found in any filing, with field_sources naming the file each came from
+ */
+function mergeParsedDocuments(structures) {
+  const ordered = [...(structures || [])].filter(structure => COURT_FILINGS.includes(structure?.document_type))
+    .sort((a, b) => (b.document_type === 'complaint') - (a.document_type === 'complaint'));
+  const merged = { field_sources: {} };
+
+  for (const field of FUSED_FIELDS) {
+    const source = ordered.find(structure => !isEmpty(structure[field]));
+    if (source) {
+      merged[field] = source[field];
+      merged.field_sources[field] = source.source_file || source.parser;
+    }
+  }
+
+  // Party lists fill in per side, since an answer may name the parties a complaint didn't
+  if (merged.parties) {
+    merged.parties = {
+      plaintiffs: ordered.find(structure => structure.parties?.plaintiffs?.length)?.parties.plaintiffs || [],
+      defendants: ordered.find(structure => structure.parties?.defendants?.length)?.parties.defendants || []
+    };
+  }
+
+  return merged;
+}
+
+module.exports = { parseLegalDocument, mergeParsedDocuments, COURT_FILINGS, PARSER_VERSION };
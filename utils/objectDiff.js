@@ -0,0 +1,65 @@
+// utils/objectDiff.js - Field-by-field comparison of JSON-like values
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Flatten nested objects into dot-separated paths. Arrays are kept whole so that
+ * lists such as precedent cases compare as a single field.
+ * @param {Object} value - Object to flatten
+ * @param {string} [prefix] - Path of value within the root object
+ * @returns {Object<string, *>} Leaf values keyed by path
+ */
+function flatten(value, prefix = '') {
+  const fields = {};
+
+  for (const [key, child] of Object.entries(value || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(child) && Object.keys(child).length > 0) {
+      Object.assign(fields, flatten(child, path));
+    } else {
+      fields[path] = child;
+    }
+  }
+
+  return fields;
+}
+
+/**
+ * List the fields that differ between two objects
+ * @param {Object} before - Earlier value
+ * @param {Object} after - Later value
+ * @returns {Array<{field: string, change: 'added'|'removed'|'changed', from: *, to: *, delta?: number}>}
+ * Changed fields sorted by path; numeric changes include the difference
+ */
+function diffObjects(before, after) {
+  const beforeFields = flatten(before);
+  const afterFields = flatten(after);
+  const paths = [...new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)])].sort();
+
+  return paths.reduce((changes, field) => {
+    const from = beforeFields[field] ?? null;
+    const to = afterFields[field] ?? null;
+
+    if (JSON.stringify(from) === JSON.stringify(to)) return changes;
+
+    const change = {
+      field,
+      change: from === null ? 'added' : to === null ? 'removed' : 'changed',
+      from,
+      to
+    };
+
+    if (typeof from === 'number' && typeof to === 'number') {
+      change.delta = to - from;
+    }
+
+    changes.push(change);
+    return changes;
+  }, []);
+}
+
+module.exports = {
+  flatten,
+  diffObjects
+};
@@ -0,0 +1,22 @@
+// utils/stableStringify.js - Deterministic JSON for hashing
+
+/**
+ * JSON with object keys sorted and undefined values dropped, so equal values always
+ * serialize (and hash) the same way whatever order their keys were added in
+ * @param {*} value - JSON-like value
+ * @returns {string} Serialized value
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+module.exports = { stableStringify };
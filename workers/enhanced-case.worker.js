@@ -1,6 +1,8 @@
 // workers/enhanced-case.worker.js - Enhanced case processing worker
 const EnhancedLinearPipelineService = require('../services/enhanced-linear-pipeline.service');
 const PDFService = require('../services/pdf.service');
+const WordService = require('../services/word.service');
+const { isWordDocument } = require('../utils/fileType');
 const { createClient } = require('@supabase/supabase-js');
 
 class EnhancedCaseWorker {
@@ -11,6 +13,7 @@ class EnhancedCaseWorker {
     
     this.enhancedPipeline = new EnhancedLinearPipelineService();
     this.pdfService = PDFService;
+    this.wordService = WordService;
   }
 
   async process(jobData) {
@@ -57,13 +60,20 @@ class EnhancedCaseWorker {
       const filePathToUse = validation.relativePath || document.file_path;
       console.log(`Using file path for extraction: ${filePathToUse}`);
       
-      // Extract text from PDF using the fixed service
-      const extractedText = await this.pdfService.extractText(filePathToUse);
+      // Word uploads go to the Word extractor; PDFs and images to the PDF service, which OCRs scans
+      const extractor = isWordDocument(document.file_name || filePathToUse) ? this.wordService : this.pdfService;
+      const extractedText = await extractor.extractText(filePathToUse);
       
       console.log(`✅ Text extraction successful for ${document.file_name}`);
       console.log(`Text length: ${extractedText.text ? extractedText.text.length : 0}`);
       console.log(`Pages: ${extractedText.pages}`);
       console.log(`Remaining credits: ${extractedText.remainingCredits}`);
+      if (extractedText.ocrPages?.length > 0) {
+        console.log(`OCR pages: ${extractedText.ocrPages.map(({ page, confidence }) => `${page} (${confidence})`).join(', ')}`);
+      }
+      if (extractedText.warning) {
+        console.warn(`⚠️ ${extractedText.warning}`);
+      }
       
       // Update document with extracted text
       await this.supabase
@@ -73,7 +83,8 @@ class EnhancedCaseWorker {
           processing_status: 'completed',
           processed_at: new Date().toISOString(),
           pages: extractedText.pages,
-          confidence: extractedText.confidence
+          confidence: extractedText.confidence,
+          ocr_page_confidence: extractedText.ocrPages || null
         })
         .eq('id', documentId);
       